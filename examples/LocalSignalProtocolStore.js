@@ -1,5 +1,6 @@
 var libsignal = require("@throneless/libsignal-protocol");
 var helpers = require("../src/helpers.js");
+var crypto = require("../src/crypto.js");
 var ByteBuffer = require("bytebuffer");
 var LocalStorage = require("node-localstorage").LocalStorage;
 
@@ -134,15 +135,17 @@ SignalProtocolStore.prototype = {
 
   // create a random group id that we haven't seen before.
   generateNewGroupId: function() {
-    var groupId = getString(libsignal.crypto.getRandomBytes(16));
-    return this.getGroup(groupId).then(function(group) {
-      if (group === undefined) {
-        return groupId;
-      } else {
-        console.warn("group id collision"); // probably a bad sign.
-        return this.generateNewGroupId();
-      }
-    });
+    var groupId = helpers.getString(crypto.getRandomBytes(16));
+    return this.getGroup(groupId).then(
+      function(group) {
+        if (group === undefined) {
+          return groupId;
+        } else {
+          console.warn("group id collision"); // probably a bad sign.
+          return this.generateNewGroupId();
+        }
+      }.bind(this)
+    );
   },
   getIdentityKeyPair: function() {
     var identityKey = this.get("identityKey");
@@ -465,13 +468,7 @@ SignalProtocolStore.prototype = {
     return Promise.resolve();
   },
   getUnprocessed: function(id) {
-    var collection = [];
-    for (let id of this.store._keys) {
-      if (id.startsWith("unprocessed" + id)) {
-        collection.push(this.get(id));
-      }
-    }
-    return Promise.resolve(collection);
+    return Promise.resolve(this.get("unprocessed" + id));
   },
   addUnprocessed: function(data) {
     return Promise.resolve(this.put("unprocessed" + data.id, data));
@@ -484,6 +481,63 @@ SignalProtocolStore.prototype = {
   removeUnprocessed: function(id) {
     return Promise.resolve(this.remove("unprocessed" + id));
   },
+  // OUTBOX
+  getAllOutboxItems: function() {
+    var collection = [];
+    for (let id of this.store._keys) {
+      if (id.startsWith("outbox")) {
+        collection.push(this.get(id));
+      }
+    }
+    return Promise.resolve(collection);
+  },
+  addOutboxItem: function(item) {
+    return Promise.resolve(this.put("outbox" + item.id, item));
+  },
+  updateOutboxItem: function(id, updates) {
+    var item = this.get("outbox" + id, { id: id });
+    Object.assign(item, updates);
+    return Promise.resolve(this.put("outbox" + id, item));
+  },
+  removeOutboxItem: function(id) {
+    return Promise.resolve(this.remove("outbox" + id));
+  },
+  getAllExpiringMessages: function() {
+    var collection = [];
+    for (let id of this.store._keys) {
+      if (id.startsWith("expiring")) {
+        collection.push(this.get(id));
+      }
+    }
+    return Promise.resolve(collection);
+  },
+  addExpiringMessage: function(item) {
+    return Promise.resolve(this.put("expiring" + item.id, item));
+  },
+  updateExpiringMessage: function(id, updates) {
+    var item = this.get("expiring" + id, { id: id });
+    Object.assign(item, updates);
+    return Promise.resolve(this.put("expiring" + id, item));
+  },
+  removeExpiringMessage: function(id) {
+    return Promise.resolve(this.remove("expiring" + id));
+  },
+  // Contacts, which the primary device sends linked devices that ask for them
+  getAllContacts: function() {
+    var collection = [];
+    for (let id of this.store._keys) {
+      if (id.startsWith("contact")) {
+        collection.push(this.get(id));
+      }
+    }
+    return Promise.resolve(collection);
+  },
+  putContact: function(contact) {
+    return Promise.resolve(this.put("contact" + contact.number, contact));
+  },
+  removeContact: function(number) {
+    return Promise.resolve(this.remove("contact" + number));
+  },
   // USER STORAGE
   userSetNumberAndDeviceId: function(number, deviceId, deviceName) {
     this.put("number_id", number + "." + deviceId);
@@ -508,49 +562,40 @@ SignalProtocolStore.prototype = {
   },
   // GROUP STORAGE
   groupsCreateNewGroup: function(numbers, groupId) {
-    var groupId = groupId;
-    return new Promise(function(resolve) {
-      if (groupId !== undefined) {
-        resolve(
-          this.getGroup(groupId).then(function(group) {
+    var getGroupId =
+      groupId === undefined
+        ? this.generateNewGroupId()
+        : this.getGroup(groupId).then(function(group) {
             if (group !== undefined) {
               throw new Error("Tried to recreate group");
             }
-          })
-        );
-      } else {
-        resolve(
-          generateNewGroupId().then(function(newGroupId) {
-            groupId = newGroupId;
-          })
-        );
-      }
-    }).then(function() {
-      var me = this.userGetNumber();
-      var haveMe = false;
-      var finalNumbers = [];
-      for (i of numbers) {
-        var number = numbers[i];
-        if (!helpers.isNumberSane(number))
-          throw new Error("Invalid number in group");
-        if (number == me) haveMe = true;
-        if (finalNumbers.indexOf(number) < 0) finalNumbers.push(number);
-      }
+            return groupId;
+          });
+    return getGroupId.then(
+      function(id) {
+        var me = this.userGetNumber();
+        var finalNumbers = [];
+        for (let number of numbers) {
+          if (!helpers.isNumberSane(number))
+            throw new Error("Invalid number in group");
+          if (finalNumbers.indexOf(number) < 0) finalNumbers.push(number);
+        }
 
-      if (!haveMe) finalNumbers.push(me);
+        if (finalNumbers.indexOf(me) < 0) finalNumbers.push(me);
 
-      var groupObject = { numbers: finalNumbers, numberRegistrationIds: {} };
-      for (i of finalNumbers)
-        groupObject.numberRegistrationIds[finalNumbers[i]] = {};
+        var groupObject = { numbers: finalNumbers, numberRegistrationIds: {} };
+        for (let number of finalNumbers)
+          groupObject.numberRegistrationIds[number] = {};
 
-      this.putGroup(groupId, groupObject).then(function() {
-        return { id: groupId, numbers: finalNumbers };
-      });
-    });
+        return this.putGroup(id, groupObject).then(function() {
+          return { id: id, numbers: finalNumbers };
+        });
+      }.bind(this)
+    );
   },
 
   groupsGetNumbers: function(groupId) {
-    this.getGroup(groupId).then(function(group) {
+    return this.getGroup(groupId).then(function(group) {
       if (group === undefined) return undefined;
 
       return group.numbers;
@@ -558,54 +603,67 @@ SignalProtocolStore.prototype = {
   },
 
   groupsRemoveNumber: function(groupId, number) {
-    this.getGroup(groupId).then(function(group) {
-      if (group === undefined) return undefined;
-
-      var me = this.userGetNumber();
-      if (number == me)
-        throw new Error(
-          "Cannot remove ourselves from a group, leave the group instead"
-        );
-
-      var i = group.numbers.indexOf(number);
-      if (i > -1) {
-        group.numbers.splice(i, 1);
-        delete group.numberRegistrationIds[number];
-        this.putGroup(groupId, group).then(function() {
-          return group.numbers;
-        });
-      }
+    return this.getGroup(groupId).then(
+      function(group) {
+        if (group === undefined) return undefined;
+
+        var me = this.userGetNumber();
+        if (number == me)
+          throw new Error(
+            "Cannot remove ourselves from a group, leave the group instead"
+          );
+
+        var i = group.numbers.indexOf(number);
+        if (i > -1) {
+          group.numbers.splice(i, 1);
+          delete group.numberRegistrationIds[number];
+          return this.putGroup(groupId, group).then(function() {
+            return group.numbers;
+          });
+        }
 
-      return group.numbers;
-    });
+        return group.numbers;
+      }.bind(this)
+    );
   },
 
   groupsAddNumbers: function(groupId, numbers) {
-    this.getGroup(groupId).then(function(group) {
-      if (group === undefined) return undefined;
-
-      for (i of numbers) {
-        var number = numbers[i];
-        if (!helpers.isNumberSane(number))
-          throw new Error("Invalid number in set to add to group");
-        if (group.numbers.indexOf(number) < 0) {
-          group.numbers.push(number);
-          group.numberRegistrationIds[number] = {};
+    return this.getGroup(groupId).then(
+      function(group) {
+        if (group === undefined) return undefined;
+
+        for (let number of numbers) {
+          if (!helpers.isNumberSane(number))
+            throw new Error("Invalid number in set to add to group");
+          if (group.numbers.indexOf(number) < 0) {
+            group.numbers.push(number);
+            group.numberRegistrationIds[number] = {};
+          }
         }
-      }
 
-      this.putGroup(groupId, group).then(function() {
-        return group.numbers;
-      });
-    });
+        return this.putGroup(groupId, group).then(function() {
+          return group.numbers;
+        });
+      }.bind(this)
+    );
   },
 
   groupsDeleteGroup: function(groupId) {
     return this.removeGroup(groupId);
   },
 
+  groupsGetAllGroups: function() {
+    var groups = [];
+    for (let id of this.store._keys) {
+      if (id.startsWith("group")) {
+        groups.push(this.groupsGetGroup(id.slice("group".length)));
+      }
+    }
+    return Promise.all(groups);
+  },
+
   groupsGetGroup: function(groupId) {
-    this.getGroup(groupId).then(function(group) {
+    return this.getGroup(groupId).then(function(group) {
       if (group === undefined) return undefined;
 
       return { id: groupId, numbers: group.numbers };
@@ -613,19 +671,21 @@ SignalProtocolStore.prototype = {
   },
 
   groupsUpdateNumbers: function(groupId, numbers) {
-    this.getGroup(groupId).then(function(group) {
-      if (group === undefined)
-        throw new Error("Tried to update numbers for unknown group");
+    return this.getGroup(groupId).then(
+      function(group) {
+        if (group === undefined)
+          throw new Error("Tried to update numbers for unknown group");
 
-      if (numbers.filter(helpers.isNumberSane).length < numbers.length)
-        throw new Error("Invalid number in new group members");
+        if (numbers.filter(helpers.isNumberSane).length < numbers.length)
+          throw new Error("Invalid number in new group members");
 
-      var added = numbers.filter(function(number) {
-        return group.numbers.indexOf(number) < 0;
-      });
+        var added = numbers.filter(function(number) {
+          return group.numbers.indexOf(number) < 0;
+        });
 
-      return this.groupsAddNumbers(groupId, added);
-    });
+        return this.groupsAddNumbers(groupId, added);
+      }.bind(this)
+    );
   }
 };
 
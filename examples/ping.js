@@ -78,17 +78,12 @@ switch (args[2]) {
       PASSWORD,
       protocolStore
     );
-    const now = Date.now();
     messageSender
-      .sendMessageToNumber(
-        args[3],
-        "PING",
-        null,
-        null,
-        now,
-        undefined,
-        protocolStore.get("profileKey")
-      )
+      .send({
+        to: args[3],
+        body: "PING",
+        profileKey: protocolStore.get("profileKey")
+      })
       .then(function(result) {
         console.log(result);
       })
@@ -0,0 +1,378 @@
+"use strict";
+
+/*
+ * Sealed sender
+ *
+ * A sealed message doesn't tell the server who sent it. The session ciphertext travels
+ * with a sender certificate, in which the server vouches for the sender's number,
+ * device and identity key, and both are encrypted to the recipient's identity key.
+ * Only the recipient learns the sender, after checking the certificate against the
+ * server's trust root.
+ *
+ * This is a port of SecretSessionCipher from libsignal-metadata-java.
+ */
+
+const { timingSafeEqual } = require("crypto");
+const libsignal = require("@throneless/libsignal-protocol");
+const crypto = require("./crypto.js");
+const protobuf = require("./protobufs.js");
+const Envelope = protobuf.lookupType("signalservice.Envelope");
+const SenderCertificate = protobuf.lookupType(
+  "signalservice.SenderCertificate"
+);
+const SenderCertificateContents = protobuf.lookupType(
+  "signalservice.SenderCertificate.Certificate"
+);
+const ServerCertificate = protobuf.lookupType(
+  "signalservice.ServerCertificate"
+);
+const ServerCertificateContents = protobuf.lookupType(
+  "signalservice.ServerCertificate.Certificate"
+);
+const UnidentifiedSenderMessage = protobuf.lookupType(
+  "signalservice.UnidentifiedSenderMessage"
+);
+const UnidentifiedSenderMessageContent = protobuf.lookupType(
+  "signalservice.UnidentifiedSenderMessage.Message"
+);
+
+const { createKeyPair, ECDHE, Ed25519Verify, HKDF } = libsignal._crypto.crypto;
+
+const CIPHERTEXT_VERSION = 1;
+const UNIDENTIFIED_DELIVERY_PREFIX = "UnidentifiedDelivery";
+const MAC_LENGTH = 10; // bytes
+// Ids of server certificates that must not be trusted any more
+const REVOKED_CERTIFICATES = [];
+
+function toArrayBuffer(thing) {
+  const buffer = Buffer.from(thing);
+  return buffer.buffer.slice(
+    buffer.byteOffset,
+    buffer.byteOffset + buffer.byteLength
+  );
+}
+
+function concatenate(...parts) {
+  return Buffer.concat(parts.map(part => Buffer.from(part)));
+}
+
+function constantTimeEqual(left, right) {
+  const a = Buffer.from(left);
+  const b = Buffer.from(right);
+  return a.length === b.length && timingSafeEqual(a, b);
+}
+
+function parseServerCertificate(serialized) {
+  const wrapper = ServerCertificate.decode(new Uint8Array(serialized));
+  if (!wrapper.certificate.length || !wrapper.signature.length) {
+    throw new Error("Missing fields in server certificate");
+  }
+  const contents = ServerCertificateContents.decode(wrapper.certificate);
+  if (!contents.key.length) {
+    throw new Error("Missing fields in server certificate");
+  }
+
+  return {
+    id: contents.id,
+    key: toArrayBuffer(contents.key),
+    certificate: toArrayBuffer(wrapper.certificate),
+    signature: toArrayBuffer(wrapper.signature)
+  };
+}
+
+// Reads a serialized SenderCertificate, as handed out by the server
+function parseSenderCertificate(serialized) {
+  const wrapper = SenderCertificate.decode(new Uint8Array(serialized));
+  if (!wrapper.certificate.length || !wrapper.signature.length) {
+    throw new Error("Missing fields in sender certificate");
+  }
+  const contents = SenderCertificateContents.decode(wrapper.certificate);
+  if (
+    !contents.sender ||
+    !contents.senderDevice ||
+    !contents.identityKey.length ||
+    !contents.signer
+  ) {
+    throw new Error("Missing fields in sender certificate");
+  }
+
+  return {
+    sender: contents.sender,
+    senderDevice: contents.senderDevice,
+    expires: contents.expires.toNumber(),
+    identityKey: toArrayBuffer(contents.identityKey),
+    signer: parseServerCertificate(
+      ServerCertificate.encode(contents.signer).finish()
+    ),
+    certificate: toArrayBuffer(wrapper.certificate),
+    signature: toArrayBuffer(wrapper.signature),
+    serialized: toArrayBuffer(serialized)
+  };
+}
+
+// Checks that a sender certificate comes from a server certificate signed by
+//   `trustRoot`, and that it hasn't expired by `validationTime`
+function createCertificateValidator(trustRoot) {
+  return {
+    async validate(certificate, validationTime) {
+      const { signer } = certificate;
+      await Ed25519Verify(trustRoot, signer.certificate, signer.signature);
+      if (REVOKED_CERTIFICATES.includes(signer.id)) {
+        throw new Error(`Server certificate ${signer.id} has been revoked`);
+      }
+
+      await Ed25519Verify(
+        signer.key,
+        certificate.certificate,
+        certificate.signature
+      );
+      if (validationTime > certificate.expires) {
+        throw new Error("Sender certificate has expired");
+      }
+    }
+  };
+}
+
+function parseUnidentifiedSenderMessage(serialized) {
+  const bytes = Buffer.from(serialized);
+  // eslint-disable-next-line no-bitwise
+  const version = bytes[0] >> 4;
+  if (version > CIPHERTEXT_VERSION) {
+    throw new Error(`Unknown sealed sender version ${version}`);
+  }
+  const message = UnidentifiedSenderMessage.decode(bytes.slice(1));
+  if (
+    !message.ephemeralPublic.length ||
+    !message.encryptedStatic.length ||
+    !message.encryptedMessage.length
+  ) {
+    throw new Error("Missing fields in sealed sender message");
+  }
+  return message;
+}
+
+function parseUnidentifiedSenderMessageContent(serialized) {
+  const message = UnidentifiedSenderMessageContent.decode(
+    new Uint8Array(serialized)
+  );
+  if (!message.type || !message.senderCertificate || !message.content.length) {
+    throw new Error("Missing fields in sealed sender message content");
+  }
+
+  let type;
+  switch (message.type) {
+    case UnidentifiedSenderMessageContent.Type.MESSAGE:
+      type = Envelope.Type.CIPHERTEXT;
+      break;
+    case UnidentifiedSenderMessageContent.Type.PREKEY_MESSAGE:
+      type = Envelope.Type.PREKEY_BUNDLE;
+      break;
+    default:
+      throw new Error(`Unknown sealed message type ${message.type}`);
+  }
+
+  return {
+    type,
+    senderCertificate: parseSenderCertificate(
+      SenderCertificate.encode(message.senderCertificate).finish()
+    ),
+    content: toArrayBuffer(message.content)
+  };
+}
+
+function getProtoMessageType(type) {
+  switch (type) {
+    case Envelope.Type.CIPHERTEXT:
+      return UnidentifiedSenderMessageContent.Type.MESSAGE;
+    case Envelope.Type.PREKEY_BUNDLE:
+      return UnidentifiedSenderMessageContent.Type.PREKEY_MESSAGE;
+    default:
+      throw new Error(`Cannot seal message type ${type}`);
+  }
+}
+
+async function calculateKeys(publicKey, privateKey, salt) {
+  const secret = await ECDHE(toArrayBuffer(publicKey), privateKey);
+  const [chainKey, cipherKey, macKey] = await HKDF(
+    secret,
+    toArrayBuffer(salt),
+    new ArrayBuffer(0)
+  );
+  return { chainKey, cipherKey, macKey };
+}
+
+async function encryptWithSecretKeys(cipherKey, macKey, plaintext) {
+  const ciphertext = await crypto.encryptAesCtr(
+    cipherKey,
+    plaintext,
+    new Uint8Array(16)
+  );
+  const mac = await crypto.hmacSha256(macKey, ciphertext);
+  return concatenate(ciphertext, Buffer.from(mac).slice(0, MAC_LENGTH));
+}
+
+async function decryptWithSecretKeys(cipherKey, macKey, data) {
+  if (data.length < MAC_LENGTH) {
+    throw new Error("Sealed sender ciphertext is too short for its MAC");
+  }
+  const ciphertext = toArrayBuffer(data.slice(0, data.length - MAC_LENGTH));
+  const theirMac = data.slice(data.length - MAC_LENGTH);
+  const ourMac = await crypto.hmacSha256(macKey, ciphertext);
+  if (!constantTimeEqual(Buffer.from(ourMac).slice(0, MAC_LENGTH), theirMac)) {
+    throw new Error("Bad MAC on sealed sender message");
+  }
+  return Buffer.from(
+    await crypto.decryptAesCtr(cipherKey, ciphertext, new Uint8Array(16))
+  );
+}
+
+class SecretSessionCipher {
+  // `options` are handed to the SessionCipher that encrypts outgoing messages
+  constructor(store, options = {}) {
+    this.store = store;
+    this.options = options;
+  }
+
+  // Encrypts `paddedPlaintext` for `address` and seals it along with our
+  //   `senderCertificate`. Resolves { body, registrationId } like SessionCipher does.
+  async encrypt(address, senderCertificate, paddedPlaintext) {
+    const sessionCipher = new libsignal.SessionCipher(
+      this.store,
+      address,
+      this.options
+    );
+    const message = await sessionCipher.encrypt(paddedPlaintext);
+    const ourIdentity = await this.store.getIdentityKeyPair();
+    const theirIdentity = await this.store.loadIdentityKey(address.toString());
+    if (!theirIdentity) {
+      throw new Error("Cannot seal a message without the recipient's identity");
+    }
+
+    const ephemeral = await createKeyPair();
+    const ephemeralKeys = await calculateKeys(
+      theirIdentity,
+      ephemeral.privKey,
+      concatenate(
+        Buffer.from(UNIDENTIFIED_DELIVERY_PREFIX),
+        theirIdentity,
+        ephemeral.pubKey
+      )
+    );
+    const encryptedStatic = await encryptWithSecretKeys(
+      ephemeralKeys.cipherKey,
+      ephemeralKeys.macKey,
+      ourIdentity.pubKey
+    );
+
+    const staticKeys = await calculateKeys(
+      theirIdentity,
+      ourIdentity.privKey,
+      concatenate(ephemeralKeys.chainKey, encryptedStatic)
+    );
+    const content = UnidentifiedSenderMessageContent.encode(
+      UnidentifiedSenderMessageContent.create({
+        type: getProtoMessageType(message.type),
+        senderCertificate: SenderCertificate.decode(
+          new Uint8Array(senderCertificate.serialized)
+        ),
+        content: Buffer.from(message.body, "binary")
+      })
+    ).finish();
+    const encryptedMessage = await encryptWithSecretKeys(
+      staticKeys.cipherKey,
+      staticKeys.macKey,
+      content
+    );
+
+    const wrapper = UnidentifiedSenderMessage.encode(
+      UnidentifiedSenderMessage.create({
+        ephemeralPublic: Buffer.from(ephemeral.pubKey),
+        encryptedStatic,
+        encryptedMessage
+      })
+    ).finish();
+    // eslint-disable-next-line no-bitwise
+    const version = (CIPHERTEXT_VERSION << 4) | CIPHERTEXT_VERSION;
+    return {
+      body: toArrayBuffer(concatenate([version], wrapper)),
+      registrationId: message.registrationId
+    };
+  }
+
+  // Unseals `ciphertext`, checks its sender certificate with `validator` as of
+  //   `timestamp` and decrypts the message inside. Resolves { isMe: true } for our own
+  //   messages from this device `me` ({ number, deviceId }), otherwise { sender,
+  //   content } where `content` is still padded. Errors after unsealing carry the
+  //   sender's address as `error.sender`.
+  async decrypt(validator, ciphertext, timestamp, me = {}) {
+    const ourIdentity = await this.store.getIdentityKeyPair();
+    const wrapper = parseUnidentifiedSenderMessage(ciphertext);
+
+    const ephemeralKeys = await calculateKeys(
+      wrapper.ephemeralPublic,
+      ourIdentity.privKey,
+      concatenate(
+        Buffer.from(UNIDENTIFIED_DELIVERY_PREFIX),
+        ourIdentity.pubKey,
+        wrapper.ephemeralPublic
+      )
+    );
+    const staticKey = await decryptWithSecretKeys(
+      ephemeralKeys.cipherKey,
+      ephemeralKeys.macKey,
+      wrapper.encryptedStatic
+    );
+
+    const staticKeys = await calculateKeys(
+      staticKey,
+      ourIdentity.privKey,
+      concatenate(ephemeralKeys.chainKey, wrapper.encryptedStatic)
+    );
+    const content = parseUnidentifiedSenderMessageContent(
+      await decryptWithSecretKeys(
+        staticKeys.cipherKey,
+        staticKeys.macKey,
+        wrapper.encryptedMessage
+      )
+    );
+
+    const { senderCertificate } = content;
+    await validator.validate(senderCertificate, timestamp);
+    if (!constantTimeEqual(senderCertificate.identityKey, staticKey)) {
+      throw new Error(
+        "Sender certificate key does not match the key used in the message"
+      );
+    }
+
+    const { sender, senderDevice } = senderCertificate;
+    if (sender === me.number && senderDevice === Number(me.deviceId)) {
+      return { isMe: true };
+    }
+
+    const address = new libsignal.SignalProtocolAddress(sender, senderDevice);
+    // No limit on message keys if we're communicating with our other devices
+    const options = sender === me.number ? { messageKeysLimit: false } : {};
+    const sessionCipher = new libsignal.SessionCipher(
+      this.store,
+      address,
+      options
+    );
+    try {
+      const padded =
+        content.type === Envelope.Type.PREKEY_BUNDLE
+          ? await sessionCipher.decryptPreKeyWhisperMessage(content.content)
+          : await sessionCipher.decryptWhisperMessage(content.content);
+      return { sender: address, content: padded };
+    } catch (error) {
+      // eslint-disable-next-line no-param-reassign
+      error.sender = address;
+      throw error;
+    }
+  }
+}
+
+exports = module.exports = {
+  SecretSessionCipher,
+  createCertificateValidator,
+  parseSenderCertificate
+};
@@ -39,6 +39,7 @@ class AccountManager extends EventTarget {
   constructor(username, password, store) {
     super(username, password, store);
     this.server = this.constructor.WebAPI.connect({ username, password });
+    this.logger = this.constructor.WebAPI.logger;
     this.store = store;
     this.password = password;
     this.pending = Promise.resolve();
@@ -85,6 +86,7 @@ class AccountManager extends EventTarget {
     const registerKeys = this.server.registerKeys.bind(this.server);
     const getSocket = this.server.getProvisioningSocket.bind(this.server);
     const queueTask = this.queueTask.bind(this);
+    const { logger } = this;
     const provisioningCipher = new libsignal.ProvisioningCipher();
     let gotProvisionEnvelope = false;
     return provisioningCipher.getPublicKey().then(
@@ -92,16 +94,17 @@ class AccountManager extends EventTarget {
         new Promise((resolve, reject) => {
           const socket = getSocket();
           socket.onclose = event => {
-            console.info("provisioning socket closed. Code:", event.code);
+            logger.info("provisioning socket closed", { code: event.code });
             if (!gotProvisionEnvelope) {
               reject(new Error("websocket closed"));
             }
           };
           socket.onopen = () => {
-            console.info("provisioning socket open");
+            logger.info("provisioning socket open");
           };
           const wsr = new WebSocketResource(socket, {
             keepalive: { path: "/v1/keepalive/provisioning" },
+            logger,
             handleRequest(request) {
               if (request.path === "/v1/address" && request.verb === "PUT") {
                 const proto = ProvisioningUuid.decode(request.body);
@@ -157,7 +160,9 @@ class AccountManager extends EventTarget {
                   )
                 );
               } else {
-                console.error("Unknown websocket message", request.path);
+                logger.error("Unknown websocket message", {
+                  path: request.path
+                });
               }
             }
           });
@@ -171,7 +176,7 @@ class AccountManager extends EventTarget {
 
     return this.queueTask(() =>
       this.server.getMyKeys().then(preKeyCount => {
-        console.info(`prekey count ${preKeyCount}`);
+        this.logger.info("prekey count", { preKeyCount });
         if (preKeyCount < 10) {
           return generateKeys().then(registerKeys);
         }
@@ -197,7 +202,7 @@ class AccountManager extends EventTarget {
           identityKey =>
             libsignal.KeyHelper.generateSignedPreKey(identityKey, signedKeyId),
           () => {
-            console.error(
+            this.logger.error(
               "Failed to get identity key. Canceling key rotation."
             );
           }
@@ -206,7 +211,7 @@ class AccountManager extends EventTarget {
           if (!res) {
             return null;
           }
-          console.info("Saving new signed prekey", res.keyId);
+          this.logger.info("Saving new signed prekey", { keyId: res.keyId });
           return Promise.all([
             this.store.put("signedKeyId", signedKeyId + 1),
             this.store.storeSignedPreKey(res.keyId, res.keyPair),
@@ -218,7 +223,9 @@ class AccountManager extends EventTarget {
           ])
             .then(() => {
               const confirmed = true;
-              console.info("Confirming new signed prekey", res.keyId);
+              this.logger.info("Confirming new signed prekey", {
+                keyId: res.keyId
+              });
               return Promise.all([
                 this.store.remove("signedKeyRotationRejected"),
                 this.store.storeSignedPreKey(res.keyId, res.keyPair, confirmed)
@@ -227,10 +234,9 @@ class AccountManager extends EventTarget {
             .then(() => cleanSignedPreKeys());
         })
         .catch(e => {
-          console.error(
-            "rotateSignedPrekey error:",
-            e && e.stack ? e.stack : e
-          );
+          this.logger.error("rotateSignedPrekey error", {
+            error: e && e.stack ? e.stack : e
+          });
 
           if (
             e instanceof Error &&
@@ -241,7 +247,7 @@ class AccountManager extends EventTarget {
             const rejections =
               1 + this.store.get("signedKeyRotationRejected", 0);
             this.store.put("signedKeyRotationRejected", rejections);
-            console.error("Signed key rotation rejected count:", rejections);
+            this.logger.error("Signed key rotation rejected", { rejections });
           } else {
             throw e;
           }
@@ -250,7 +256,9 @@ class AccountManager extends EventTarget {
   }
 
   queueTask(task) {
-    const taskWithTimeout = createTaskWithTimeout(task);
+    const taskWithTimeout = createTaskWithTimeout(task, "queueTask", {
+      logger: this.logger
+    });
     this.pending = this.pending.then(taskWithTimeout, taskWithTimeout);
 
     return this.pending;
@@ -266,15 +274,12 @@ class AccountManager extends EventTarget {
 
       const recent = allKeys[0] ? allKeys[0].keyId : "none";
       const recentConfirmed = confirmed[0] ? confirmed[0].keyId : "none";
-      console.info(`Most recent signed key: ${recent}`);
-      console.info(`Most recent confirmed signed key: ${recentConfirmed}`);
-      console.info(
-        "Total signed key count:",
-        allKeys.length,
-        "-",
-        confirmed.length,
-        "confirmed"
-      );
+      this.logger.info("Signed key summary", {
+        mostRecent: recent,
+        mostRecentConfirmed: recentConfirmed,
+        total: allKeys.length,
+        confirmed: confirmed.length
+      });
 
       let confirmedCount = confirmed.length;
 
@@ -287,12 +292,10 @@ class AccountManager extends EventTarget {
         const age = Date.now() - createdAt;
 
         if (age > ARCHIVE_AGE) {
-          console.info(
-            "Removing confirmed signed prekey:",
-            key.keyId,
-            "with timestamp:",
+          this.logger.info("Removing confirmed signed prekey", {
+            keyId: key.keyId,
             createdAt
-          );
+          });
           this.store.removeSignedPreKey(key.keyId);
           confirmedCount -= 1;
         }
@@ -310,12 +313,10 @@ class AccountManager extends EventTarget {
         const createdAt = key.created_at || 0;
         const age = Date.now() - createdAt;
         if (age > ARCHIVE_AGE) {
-          console.info(
-            "Removing unconfirmed signed prekey:",
-            key.keyId,
-            "with timestamp:",
+          this.logger.info("Removing unconfirmed signed prekey", {
+            keyId: key.keyId,
             createdAt
-          );
+          });
           this.store.removeSignedPreKey(key.keyId);
         }
       });
@@ -336,30 +337,35 @@ class AccountManager extends EventTarget {
 
     const previousNumber = getNumber(this.store.get("number_id"));
 
-    return this.server
-      .confirmCode(
-        number,
-        verificationCode,
-        this.password,
-        signalingKey,
-        registrationId,
-        deviceName
+    // Registering our access key lets contacts who know our profile key send us
+    //   sealed messages
+    return Promise.resolve(profileKey && crypto.deriveAccessKey(profileKey))
+      .then(accessKey =>
+        this.server.confirmCode(
+          number,
+          verificationCode,
+          this.password,
+          signalingKey,
+          registrationId,
+          deviceName,
+          { accessKey }
+        )
       )
       .then(response => {
         if (previousNumber && previousNumber !== number) {
-          console.warn(
+          this.logger.warn(
             "New number is different from old number; deleting all previous data"
           );
 
           return this.store.removeAllData().then(
             () => {
-              console.info("Successfully deleted previous data");
+              this.logger.info("Successfully deleted previous data");
               return response;
             },
             error => {
-              console.error(
+              this.logger.error(
                 "Something went wrong deleting data from previous number",
-                error && error.stack ? error.stack : error
+                { error: error && error.stack ? error.stack : error }
               );
 
               return response;
@@ -419,7 +425,7 @@ class AccountManager extends EventTarget {
   }
 
   clearSessionsAndPreKeys() {
-    console.info("clearing all sessions, prekeys, and signed prekeys");
+    this.logger.info("clearing all sessions, prekeys, and signed prekeys");
     return Promise.all([
       this.store.clearPreKeyStore(),
       this.store.clearSignedPreKeysStore(),
@@ -432,7 +438,7 @@ class AccountManager extends EventTarget {
     const key = keys.signedPreKey;
     const confirmed = true;
 
-    console.info("confirmKeys: confirming key", key.keyId);
+    this.logger.info("confirmKeys: confirming key", { keyId: key.keyId });
     return this.store.storeSignedPreKey(key.keyId, key.keyPair, confirmed);
   }
 
@@ -495,12 +501,13 @@ class AccountManager extends EventTarget {
   }
 
   registrationDone() {
-    console.info("registration done");
+    this.logger.info("registration done");
     this.dispatchEvent(new Event("registration"));
   }
 }
 
 exports = module.exports = WebAPI => {
-  AccountManager.WebAPI = WebAPI;
-  return AccountManager;
+  class BoundAccountManager extends AccountManager {}
+  BoundAccountManager.WebAPI = WebAPI;
+  return BoundAccountManager;
 };
@@ -0,0 +1,52 @@
+/*
+ * vim: ts=2:sw=2:expandtab
+ */
+
+"use strict";
+
+const path = require("path");
+
+const BUNDLED_CONFIG_DIR = path.join(__dirname, "..", "config");
+
+function isPlainObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+// Merges `overrides` into `base` the way node-config does: objects are merged key by
+//   key, and anything else, arrays included, replaces what was there.
+function deepMerge(base, overrides) {
+  const result = { ...base };
+  Object.keys(overrides).forEach(key => {
+    result[key] =
+      isPlainObject(base[key]) && isPlainObject(overrides[key])
+        ? deepMerge(base[key], overrides[key])
+        : overrides[key];
+  });
+  return result;
+}
+
+// Reads default.json from `configDir`, with `<env>.json` merged over it when there is
+//   one. Like node-config, `env` comes from NODE_CONFIG_ENV or NODE_ENV, and is
+//   "development" otherwise. Only a missing environment file is ignored; one that
+//   can't be read or parsed throws.
+function loadConfig(
+  configDir = BUNDLED_CONFIG_DIR,
+  env = process.env.NODE_CONFIG_ENV || process.env.NODE_ENV || "development"
+) {
+  const defaults = require(path.join(configDir, "default.json"));
+  const envFile = path.join(configDir, `${env}.json`);
+  let overrides = {};
+  try {
+    overrides = require(envFile);
+  } catch (error) {
+    if (error.code !== "MODULE_NOT_FOUND" || !error.message.includes(envFile)) {
+      throw error;
+    }
+  }
+  return deepMerge(defaults, overrides);
+}
+
+exports = module.exports = {
+  deepMerge,
+  loadConfig
+};
@@ -4,12 +4,14 @@
 
 const ByteBuffer = require("bytebuffer");
 const protobuf = require("./protobufs.js");
+const { createLogger } = require("./logger.js");
 const ContactDetails = protobuf.lookupType("signalservice.ContactDetails");
 const GroupDetails = protobuf.lookupType("signalservice.GroupDetails");
 
 class ProtoParser {
-  constructor(arrayBuffer, protobuf) {
+  constructor(arrayBuffer, protobuf, options = {}) {
     this.protobuf = protobuf;
+    this.logger = createLogger(options.logger);
     this.buffer = new ByteBuffer();
     this.buffer.append(arrayBuffer);
     this.buffer.offset = 0;
@@ -44,10 +46,9 @@ class ProtoParser {
 
       return proto;
     } catch (error) {
-      console.error(
-        "ProtoParser.next error:",
-        error && error.stack ? error.stack : error
-      );
+      this.logger.error("ProtoParser.next error", {
+        error: error && error.stack ? error.stack : error
+      });
     }
 
     return null;
@@ -55,16 +56,62 @@ class ProtoParser {
 }
 
 class GroupBuffer extends ProtoParser {
-  constructor(arrayBuffer) {
-    super(arrayBuffer, GroupDetails);
+  constructor(arrayBuffer, options) {
+    super(arrayBuffer, GroupDetails, options);
   }
 }
 
 class ContactBuffer extends ProtoParser {
-  constructor(arrayBuffer) {
-    super(arrayBuffer, ContactDetails);
+  constructor(arrayBuffer, options) {
+    super(arrayBuffer, ContactDetails, options);
+  }
+}
+
+// Serializes details in the format ProtoParser reads: each one's length as a varint,
+//   then the details, then the avatar's bytes
+class ProtoWriter {
+  constructor(protobuf) {
+    this.protobuf = protobuf;
+    this.buffer = new ByteBuffer();
+  }
+  // `details` are the proto's fields, with `avatar` as { contentType, data }
+  write({ avatar, ...details }) {
+    const proto = this.protobuf.fromObject(details);
+    const avatarData =
+      avatar && avatar.data ? new Uint8Array(avatar.data) : null;
+    if (avatarData) {
+      proto.avatar = this.protobuf.Avatar.create({
+        contentType: avatar.contentType,
+        length: avatarData.byteLength
+      });
+    }
+
+    const encoded = this.protobuf.encode(proto).finish();
+    this.buffer.writeVarint32(encoded.byteLength);
+    this.buffer.append(encoded);
+    if (avatarData) {
+      this.buffer.append(avatarData);
+    }
+    return this;
+  }
+  toArrayBuffer() {
+    return this.buffer.slice(0, this.buffer.offset).toArrayBuffer();
+  }
+}
+
+class GroupBufferWriter extends ProtoWriter {
+  constructor() {
+    super(GroupDetails);
+  }
+}
+
+class ContactBufferWriter extends ProtoWriter {
+  constructor() {
+    super(ContactDetails);
   }
 }
 
 module.exports.GroupBuffer = GroupBuffer;
 module.exports.ContactBuffer = ContactBuffer;
+module.exports.GroupBufferWriter = GroupBufferWriter;
+module.exports.ContactBufferWriter = ContactBufferWriter;
@@ -15,18 +15,16 @@ const WebSocketMessage = require("./protobufs.js").lookupType(
 /* eslint-disable more/no-then, no-bitwise */
 
 // eslint-disable-next-line func-names
-const {
-  encrypt,
-  decrypt,
-  calculateMAC,
-  getRandomBytes
-} = libsignal._crypto.crypto;
+const { encrypt, decrypt, getRandomBytes, sign } = libsignal._crypto.crypto;
 const verifyMAC = libsignal._crypto.verifyMAC;
+const HKDF = libsignal._crypto.HKDF;
 
 const PROFILE_IV_LENGTH = 12; // bytes
 const PROFILE_KEY_LENGTH = 32; // bytes
 const PROFILE_TAG_LENGTH = 128; // bits
 const PROFILE_NAME_PADDED_LENGTH = 26; // bytes
+const ACCESS_KEY_LENGTH = 16; // bytes
+const STICKER_PACK_KEY_LENGTH = 32; // bytes
 
 function verifyDigest(data, theirDigest) {
   return webcrypto.subtle.digest({ name: "SHA-256" }, data).then(ourDigest => {
@@ -121,7 +119,7 @@ exports = module.exports = {
       ivAndCiphertext.set(new Uint8Array(iv));
       ivAndCiphertext.set(new Uint8Array(ciphertext), 16);
 
-      return calculateMAC(macKey, ivAndCiphertext.buffer).then(mac => {
+      return sign(macKey, ivAndCiphertext.buffer).then(mac => {
         const encryptedBin = new Uint8Array(16 + ciphertext.byteLength + 32);
         encryptedBin.set(ivAndCiphertext);
         encryptedBin.set(new Uint8Array(mac), 16 + ciphertext.byteLength);
@@ -222,6 +220,83 @@ exports = module.exports = {
     });
   },
 
+  // Senders prove they may send sealed messages to an account with this key, which
+  //   the account uploads at registration: the start of 16 zero bytes encrypted with
+  //   AES-GCM under its profile key and a zero IV.
+  deriveAccessKey(profileKey) {
+    if (profileKey.byteLength !== PROFILE_KEY_LENGTH) {
+      throw new Error("Got invalid length profile key");
+    }
+    const iv = new Uint8Array(PROFILE_IV_LENGTH);
+    const plaintext = new Uint8Array(ACCESS_KEY_LENGTH);
+    return webcrypto.subtle
+      .importKey("raw", profileKey, { name: "AES-GCM" }, false, ["encrypt"])
+      .then(key =>
+        webcrypto.subtle.encrypt(
+          { name: "AES-GCM", iv, tagLength: PROFILE_TAG_LENGTH },
+          key,
+          plaintext
+        )
+      )
+      .then(ciphertext => ciphertext.slice(0, ACCESS_KEY_LENGTH));
+  },
+
+  encryptAesCtr(key, plaintext, counter) {
+    return webcrypto.subtle
+      .importKey("raw", key, { name: "AES-CTR" }, false, ["encrypt"])
+      .then(keyForEncryption =>
+        webcrypto.subtle.encrypt(
+          { name: "AES-CTR", counter: new Uint8Array(counter), length: 128 },
+          keyForEncryption,
+          plaintext
+        )
+      );
+  },
+
+  decryptAesCtr(key, ciphertext, counter) {
+    return webcrypto.subtle
+      .importKey("raw", key, { name: "AES-CTR" }, false, ["decrypt"])
+      .then(keyForDecryption =>
+        webcrypto.subtle.decrypt(
+          { name: "AES-CTR", counter: new Uint8Array(counter), length: 128 },
+          keyForDecryption,
+          ciphertext
+        )
+      );
+  },
+
+  hmacSha256(key, data) {
+    return sign(key, data);
+  },
+
+  // A sticker pack's manifest and stickers are encrypted like attachments, under the
+  //   64 bytes of AES and MAC key that HKDF expands the pack key into.
+  deriveStickerPackKey(packKey) {
+    if (packKey.byteLength !== STICKER_PACK_KEY_LENGTH) {
+      throw new Error("Got invalid length sticker pack key");
+    }
+    return HKDF(packKey, new ArrayBuffer(32), "Sticker Pack").then(
+      ([aesKey, macKey]) => {
+        const keys = new Uint8Array(64);
+        keys.set(new Uint8Array(aesKey));
+        keys.set(new Uint8Array(macKey), 32);
+        return keys.buffer;
+      }
+    );
+  },
+
+  decryptSticker(packKey, encryptedBin) {
+    return this.deriveStickerPackKey(packKey).then(keys =>
+      this.decryptAttachment(encryptedBin, keys, null)
+    );
+  },
+
+  encryptSticker(packKey, plaintext) {
+    return this.deriveStickerPackKey(packKey)
+      .then(keys => this.encryptAttachment(plaintext, keys, getRandomBytes(16)))
+      .then(result => result.ciphertext);
+  },
+
   getRandomBytes: getRandomBytes,
 
   getRandomValues: getRandomValues
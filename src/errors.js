@@ -114,7 +114,30 @@ class UnregisteredUserError extends Error {
   }
 }
 
+class RateLimitError extends Error {
+  constructor(endpoint, retryAfter, httpError) {
+    super("Rate limit exceeded, please try again later.");
+    this.message = "Rate limit exceeded, please try again later.";
+    this.name = "RateLimitError";
+    // Maintains proper stack trace, where our error was thrown (only available on V8)
+    //   via https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Error
+    if (Error.captureStackTrace) {
+      Error.captureStackTrace(this);
+    }
+    this.endpoint = endpoint;
+    this.code = httpError.code;
+    // Milliseconds to wait, and the time after which the server should accept us again
+    this.retryAfter = retryAfter;
+    this.retryAt = Date.now() + retryAfter;
+    if (httpError.response) {
+      this.response = httpError.response;
+    }
+    appendStack(this, httpError);
+  }
+}
+
 module.exports.UnregisteredUserError = UnregisteredUserError;
+module.exports.RateLimitError = RateLimitError;
 module.exports.SendMessageNetworkError = SendMessageNetworkError;
 module.exports.IncomingIdentityKeyError = IncomingIdentityKeyError;
 module.exports.OutgoingIdentityKeyError = OutgoingIdentityKeyError;
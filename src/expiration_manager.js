@@ -0,0 +1,233 @@
+/*
+ * vim: ts=2:sw=2:expandtab
+ */
+
+"use strict";
+const EventTarget = require("event-target-shim");
+const Event = require("./event.js");
+const { createLogger } = require("./logger.js");
+const protobuf = require("./protobufs.js");
+const DataMessage = protobuf.lookupType("signalservice.DataMessage");
+
+/* eslint-disable more/no-then, no-bitwise */
+
+// setTimeout can't wait longer than this, so later expirations are checked in steps
+const MAX_TIMEOUT = 2147483647;
+
+/*
+ * ExpirationManager
+ *
+ * Enforces disappearing messages. It keeps each conversation's timer, in seconds, under
+ * "expire-timers" in the ProtocolStore, and every message with a timer in the store too
+ * (with addExpiringMessage, updateExpiringMessage, removeExpiringMessage and
+ * getAllExpiringMessages), so countdowns carry on after the process restarts.
+ *
+ * Messages that arrive without a timer of their own, as some clients send them, take
+ * their conversation's. A message's countdown starts once it's read, or right away for
+ * the ones we sent.
+ * When it runs out, an `expired` event carries the message's `conversationId` (a
+ * number, or a group id), `source` and `timestamp`, which together identify it.
+ * Conversations are the sender's number, or the group id, for incoming messages and
+ * the destination, or the group id, for the ones we sent.
+ */
+class ExpirationManager extends EventTarget {
+  constructor(store, options = {}) {
+    super();
+    this.store = store;
+    this.logger = createLogger(options.logger);
+    this.messages = new Map();
+    this.stopped = true;
+  }
+
+  // Loads the messages saved in the store and starts their countdowns. Messages that
+  //   expired while we were stopped expire right away.
+  start() {
+    this.stopped = false;
+    return this.store.getAllExpiringMessages().then(items => {
+      items.forEach(item => {
+        if (!this.messages.has(item.id)) {
+          this.messages.set(item.id, item);
+        }
+      });
+      this.schedule();
+    });
+  }
+
+  stop() {
+    this.stopped = true;
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+
+  // Follows a MessageReceiver's events: timer updates, contact and group syncs and
+  //   transcripts set conversation timers, and incoming messages, transcripts and read
+  //   syncs start countdowns. Listening to a MessageSender too starts the countdowns
+  //   of the messages it sends, and picks up the timers it sets.
+  listen(target) {
+    const handle = (handler, ev) =>
+      handler.call(this, ev).catch(error => {
+        this.logger.error("ExpirationManager failed to handle event", {
+          type: ev.type,
+          error: error && error.stack ? error.stack : error
+        });
+      });
+    target.addEventListener("message", ev => handle(this.onMessage, ev));
+    target.addEventListener("sent", ev => handle(this.onSent, ev));
+    target.addEventListener("readSync", ev => handle(this.onReadSync, ev));
+    target.addEventListener("contact", ev => handle(this.onContact, ev));
+    target.addEventListener("group", ev => handle(this.onGroup, ev));
+  }
+
+  getExpireTimer(conversationId) {
+    return this.store.get("expire-timers", {})[conversationId] || 0;
+  }
+
+  setExpireTimer(conversationId, expireTimer) {
+    const timers = this.store.get("expire-timers", {});
+    if (expireTimer) {
+      timers[conversationId] = expireTimer;
+    } else {
+      delete timers[conversationId];
+    }
+    this.store.put("expire-timers", timers);
+  }
+
+  // Starts tracking a message with an `expireTimer`. Its countdown begins at
+  //   `expirationStartTimestamp` if there is one, or else when it's marked read.
+  track(
+    { conversationId, source, timestamp, expireTimer },
+    expirationStartTimestamp
+  ) {
+    if (!expireTimer) {
+      return Promise.resolve();
+    }
+    const item = {
+      id: `${source} ${timestamp}`,
+      conversationId,
+      source,
+      timestamp,
+      expireTimer,
+      expirationStartTimestamp: expirationStartTimestamp || null,
+      expiresAt: expirationStartTimestamp
+        ? expirationStartTimestamp + expireTimer * 1000
+        : null
+    };
+    this.messages.set(item.id, item);
+    return this.store.addExpiringMessage(item).then(() => this.schedule());
+  }
+
+  // Starts the countdown of the message `source` sent at `timestamp`, if it hasn't
+  //   started yet
+  markRead(source, timestamp, readAt = Date.now()) {
+    const item = this.messages.get(`${source} ${timestamp}`);
+    if (!item || item.expirationStartTimestamp) {
+      return Promise.resolve();
+    }
+    item.expirationStartTimestamp = readAt;
+    item.expiresAt = readAt + item.expireTimer * 1000;
+    return this.store
+      .updateExpiringMessage(item.id, item)
+      .then(() => this.schedule());
+  }
+
+  onMessage({ data }) {
+    const { message } = data;
+    const conversationId = message.group ? message.group.id : data.source;
+    if (message.flags & DataMessage.Flags.EXPIRATION_TIMER_UPDATE) {
+      this.setExpireTimer(conversationId, message.expireTimer);
+      return Promise.resolve();
+    }
+    return this.track({
+      conversationId,
+      source: data.source,
+      timestamp: data.timestamp,
+      expireTimer: message.expireTimer || this.getExpireTimer(conversationId)
+    });
+  }
+
+  onSent({ data }) {
+    const { message } = data;
+    const conversationId = message.group ? message.group.id : data.destination;
+    if (message.flags & DataMessage.Flags.EXPIRATION_TIMER_UPDATE) {
+      this.setExpireTimer(conversationId, message.expireTimer);
+      return Promise.resolve();
+    }
+    return this.track(
+      {
+        conversationId,
+        source: this.store.userGetNumber(),
+        timestamp: data.timestamp,
+        expireTimer: message.expireTimer || this.getExpireTimer(conversationId)
+      },
+      data.expirationStartTimestamp || data.timestamp
+    );
+  }
+
+  onReadSync(ev) {
+    return this.markRead(ev.read.sender, ev.read.timestamp, ev.timestamp);
+  }
+
+  onContact({ contactDetails }) {
+    this.setExpireTimer(contactDetails.number, contactDetails.expireTimer);
+    return Promise.resolve();
+  }
+
+  onGroup({ groupDetails }) {
+    this.setExpireTimer(groupDetails.id, groupDetails.expireTimer);
+    return Promise.resolve();
+  }
+
+  schedule() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    if (this.stopped) {
+      return;
+    }
+    let next = Infinity;
+    this.messages.forEach(item => {
+      if (item.expiresAt !== null && item.expiresAt < next) {
+        next = item.expiresAt;
+      }
+    });
+    if (next === Infinity) {
+      return;
+    }
+    const delay = Math.min(Math.max(next - Date.now(), 0), MAX_TIMEOUT);
+    this.timer = setTimeout(() => this.expire(), delay);
+  }
+
+  expire() {
+    const now = Date.now();
+    const expired = [];
+    this.messages.forEach(item => {
+      if (item.expiresAt !== null && item.expiresAt <= now) {
+        expired.push(item);
+      }
+    });
+
+    return Promise.all(
+      expired.map(item => {
+        this.messages.delete(item.id);
+        return this.store
+          .removeExpiringMessage(item.id)
+          .catch(error => {
+            this.logger.error("Failed to remove expired message", {
+              id: item.id,
+              error: error && error.stack ? error.stack : error
+            });
+          })
+          .then(() => {
+            const ev = new Event("expired");
+            ev.message = {
+              conversationId: item.conversationId,
+              source: item.source,
+              timestamp: item.timestamp
+            };
+            this.dispatchEvent(ev);
+          });
+      })
+    ).then(() => this.schedule());
+  }
+}
+
+exports = module.exports = ExpirationManager;
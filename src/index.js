@@ -2,27 +2,100 @@
 
 const btoa = require("btoa");
 const helpers = require("./helpers.js");
-const origConfigDir = process.env.NODE_CONFIG_DIR;
-process.env.NODE_CONFIG_DIR = __dirname + "/../config";
-const config = require("config");
-process.env.NODE_CONFIG_DIR = origConfigDir;
-let proxyUrl;
-if (config.has("proxyUrl")) {
-  proxyUrl = config.get("proxyUrl");
+const WebAPI = require("./web_api.js");
+const { loadConfig } = require("./config.js");
+const AccountManager = require("./account_manager.js");
+const MessageReceiver = require("./message_receiver.js");
+const MessageSender = require("./sendmessage.js");
+
+// Each service gets its own WebAPI instance and its own set of classes bound to it,
+//   so several services (say staging and production) can live in one process.
+//
+// `transport` may replace the fetch implementation, supply an agent (or a function
+//   returning one per URL) and add TLS options per host, e.g.
+//   { fetch, agent, tlsOptions: { "cdn.example.org": { ca } } }
+//   An agent of your own is used as it is, so `ca` and `tlsOptions` don't reach the
+//   requests it makes: it has to trust the server's certificate authority itself,
+//   e.g. new https.Agent({ ca }).
+//
+// `retryPolicy` tunes how failed requests are retried; see DEFAULT_RETRY_POLICY in
+//   web_api.js.
+//
+// `logger` is any object with debug/info/warn/error(message, fields) methods, or one
+//   returned by createLogger() to choose the level and turn off redaction.
+//
+// `serverTrustRoot` is the server's public key, in base64, that sender certificates
+//   on sealed sender messages must chain up to.
+function createSignalService({
+  serverUrl,
+  cdnUrl,
+  ca,
+  proxyUrl,
+  transport,
+  logger,
+  retryPolicy,
+  serverTrustRoot
+} = {}) {
+  const webAPI = WebAPI.initialize({
+    url: serverUrl,
+    cdnUrl,
+    certificateAuthority: ca,
+    proxyUrl,
+    transport,
+    logger,
+    retryPolicy,
+    serverTrustRoot
+  });
+
+  return {
+    WebAPI: webAPI,
+    AccountManager: AccountManager(webAPI),
+    MessageReceiver: MessageReceiver(webAPI),
+    MessageSender: MessageSender(webAPI)
+  };
 }
-const WebAPI = require("./web_api.js").initialize({
-  url: config.get("serverUrl"),
-  cdnUrl: config.get("cdnUrl"),
-  certificateAuthority: config.get("certificateAuthority"),
-  proxyUrl: proxyUrl
-});
+
+let defaultService;
+function getDefaultService() {
+  if (!defaultService) {
+    // The bundled config directory is read directly, without going through
+    //   node-config, so the application's own NODE_CONFIG_DIR is left alone.
+    const defaults = loadConfig();
+    defaultService = createSignalService({
+      serverUrl: defaults.serverUrl,
+      cdnUrl: defaults.cdnUrl,
+      ca: defaults.certificateAuthority,
+      proxyUrl: defaults.proxyUrl,
+      serverTrustRoot: defaults.serverTrustRoot
+    });
+  }
+  return defaultService;
+}
+
 exports = module.exports = {};
-exports.AccountManager = require("./account_manager.js")(WebAPI);
-exports.MessageReceiver = require("./message_receiver.js")(WebAPI);
-exports.MessageSender = require("./sendmessage.js")(WebAPI);
+exports.createSignalService = createSignalService;
+exports.createLogger = require("./logger.js").createLogger;
+exports.errors = require("./errors.js");
+
+// The bundled config is only read when one of these is first used, for callers that
+//   don't need more than one service.
+["AccountManager", "MessageReceiver", "MessageSender"].forEach(name => {
+  Object.defineProperty(exports, name, {
+    enumerable: true,
+    get: () => getDefaultService()[name]
+  });
+});
+
 exports.SyncRequest = require("./sync_request.js");
+exports.Outbox = require("./outbox.js");
+exports.ExpirationManager = require("./expiration_manager.js");
+exports.ContactBuffer = require("./contacts_parser.js").ContactBuffer;
+exports.GroupBuffer = require("./contacts_parser.js").GroupBuffer;
+exports.ContactBufferWriter = require("./contacts_parser.js").ContactBufferWriter;
+exports.GroupBufferWriter = require("./contacts_parser.js").GroupBufferWriter;
 exports.KeyHelper = require("@throneless/libsignal-protocol").KeyHelper;
 exports.KeyHelper.getRandomBytes = require("./crypto.js").getRandomBytes;
+exports.KeyHelper.deriveAccessKey = require("./crypto.js").deriveAccessKey;
 exports.KeyHelper.generatePassword = function() {
   var password = btoa(helpers.getString(exports.KeyHelper.getRandomBytes(16)));
   return password.substring(0, password.length - 2);
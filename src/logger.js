@@ -0,0 +1,111 @@
+/*
+ * vim: ts=2:sw=2:expandtab
+ */
+"use strict";
+
+/*
+ * Logging
+ *
+ * Every module logs through an object with debug/info/warn/error methods that take a
+ * message and an optional object of structured fields:
+ *
+ *   logger.info("sending message", { destination, timestamp });
+ *
+ * Callers can pass their own implementation of that interface to createSignalService.
+ * Before anything reaches it, phone numbers, UUIDs and group ids are redacted unless
+ * redaction is turned off.
+ */
+
+const LEVELS = ["debug", "info", "warn", "error"];
+
+const REDACTED = "[REDACTED]";
+const PHONE_NUMBER_PATTERN = /\+\d{4,}(\d{3})/g;
+const UUID_PATTERN = /[0-9A-F]{8}-[0-9A-F]{4}-[0-9A-F]{4}-[0-9A-F]{4}-[0-9A-F]{9}([0-9A-F]{3})/gi;
+const GROUP_ID_PATTERN = /group\([^)]*\)/g;
+const REDACTED_FIELDS = ["groupId", "groupIds", "password", "signalingKey"];
+
+function redactString(text) {
+  return text
+    .replace(PHONE_NUMBER_PATTERN, `+${REDACTED}$1`)
+    .replace(UUID_PATTERN, `${REDACTED}$1`)
+    .replace(GROUP_ID_PATTERN, `group(${REDACTED})`);
+}
+
+function redactValue(value, key) {
+  if (REDACTED_FIELDS.includes(key) && value !== undefined && value !== null) {
+    return REDACTED;
+  }
+  if (typeof value === "string") {
+    return redactString(value);
+  }
+  if (value instanceof Array) {
+    return value.map(item => redactValue(item));
+  }
+  if (value instanceof Error) {
+    return redactString(value.stack || value.message);
+  }
+  if (value && value.constructor === Object) {
+    const result = {};
+    Object.keys(value).forEach(name => {
+      result[name] = redactValue(value[name], name);
+    });
+    return result;
+  }
+  return value;
+}
+
+const consoleLogger = {
+  debug: (message, fields) => console.debug(message, fields || ""),
+  info: (message, fields) => console.info(message, fields || ""),
+  warn: (message, fields) => console.warn(message, fields || ""),
+  error: (message, fields) => console.error(message, fields || "")
+};
+
+// Wraps `sink` (anything with debug/info/warn/error methods) so that messages below
+//   `level` are dropped, `fields` are attached to every entry and identifiers are
+//   redacted. A "silent" level drops everything. Passing an already wrapped logger
+//   returns it unchanged.
+function createLogger(sink = consoleLogger, options = {}) {
+  if (sink.isSignalLogger) {
+    return sink;
+  }
+  const { level = "info", redact = true, fields: baseFields = {} } = options;
+  const minimum = level === "silent" ? LEVELS.length : LEVELS.indexOf(level);
+  if (minimum < 0) {
+    throw new Error(`Unknown log level ${level}`);
+  }
+
+  const logger = {
+    isSignalLogger: true,
+    child(fields) {
+      return createLogger(sink, {
+        level,
+        redact,
+        fields: { ...baseFields, ...fields }
+      });
+    }
+  };
+
+  LEVELS.forEach((name, index) => {
+    logger[name] = (message, fields) => {
+      if (index < minimum || typeof sink[name] !== "function") {
+        return;
+      }
+      let entry = { ...baseFields, ...fields };
+      let text = message;
+      if (redact) {
+        entry = redactValue(entry);
+        text = redactString(String(message));
+      }
+      sink[name](text, Object.keys(entry).length ? entry : undefined);
+    };
+  });
+
+  return logger;
+}
+
+exports = module.exports = {
+  createLogger,
+  redactString,
+  LEVELS
+};
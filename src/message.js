@@ -1,6 +1,6 @@
 const protobuf = require("./protobufs.js");
 const DataMessage = protobuf.lookupType("signalservice.DataMessage");
-const GroupContext = protobuf.lookupType("signalservice.DataMessage");
+const GroupContext = protobuf.lookupType("signalservice.GroupContext");
 
 /* eslint-disable more/no-then, no-bitwise */
 
@@ -28,6 +28,12 @@ class Message {
     this.needsSync = options.needsSync;
     this.expireTimer = options.expireTimer;
     this.profileKey = options.profileKey;
+    this.contact = options.contact;
+    this.previews = options.previews;
+    this.sticker = options.sticker;
+    this.reaction = options.reaction;
+    this.deletedForEveryoneTimestamp = options.deletedForEveryoneTimestamp;
+    this.viewOnce = options.viewOnce;
 
     if (!(this.recipients instanceof Array) || this.recipients.length < 1) {
       throw new Error("Invalid recipient list");
@@ -57,6 +63,43 @@ class Message {
         throw new Error("Invalid message flags");
       }
     }
+    if (this.contact !== undefined && !(this.contact instanceof Array)) {
+      throw new Error("Invalid message contacts");
+    }
+    if (this.previews !== undefined) {
+      if (
+        !(this.previews instanceof Array) ||
+        this.previews.some(preview => typeof preview.url !== "string")
+      ) {
+        throw new Error("Invalid message previews");
+      }
+    }
+    if (this.sticker) {
+      if (
+        typeof this.sticker.packId !== "string" ||
+        typeof this.sticker.packKey !== "string" ||
+        typeof this.sticker.stickerId !== "number"
+      ) {
+        throw new Error("Invalid message sticker");
+      }
+    }
+    if (this.reaction) {
+      if (
+        typeof this.reaction.emoji !== "string" ||
+        !this.reaction.emoji ||
+        typeof this.reaction.targetAuthorE164 !== "string" ||
+        !this.reaction.targetAuthorE164 ||
+        typeof this.reaction.targetSentTimestamp !== "number"
+      ) {
+        throw new Error("Invalid message reaction");
+      }
+    }
+    if (
+      this.deletedForEveryoneTimestamp !== undefined &&
+      typeof this.deletedForEveryoneTimestamp !== "number"
+    ) {
+      throw new Error("Invalid deletedForEveryoneTimestamp");
+    }
     if (this.isEndSession()) {
       if (
         this.body !== null ||
@@ -103,22 +146,23 @@ class Message {
       proto.flags = this.flags;
     }
     if (this.group) {
-      proto.group = new GroupContext();
-      proto.group.id = stringToArrayBuffer(this.group.id);
-      proto.group.type = this.group.type;
+      proto.group = GroupContext.create({
+        id: new Uint8Array(stringToArrayBuffer(this.group.id)),
+        type: this.group.type
+      });
     }
     if (this.quote) {
       const { QuotedAttachment } = DataMessage.Quote;
       const { Quote } = DataMessage;
 
-      proto.quote = new Quote();
+      proto.quote = Quote.create();
       const { quote } = proto;
 
       quote.id = this.quote.id;
       quote.author = this.quote.author;
       quote.text = this.quote.text;
       quote.attachments = (this.quote.attachments || []).map(attachment => {
-        const quotedAttachment = new QuotedAttachment();
+        const quotedAttachment = QuotedAttachment.create();
 
         quotedAttachment.contentType = attachment.contentType;
         quotedAttachment.fileName = attachment.fileName;
@@ -129,6 +173,65 @@ class Message {
         return quotedAttachment;
       });
     }
+    if (this.contact) {
+      // Contacts carry their avatar as an attachment pointer, like quote thumbnails
+      proto.contact = this.contact.map(contact => {
+        const item = DataMessage.Contact.fromObject(
+          Object.assign({}, contact, { avatar: undefined })
+        );
+        if (contact.avatar && contact.avatar.attachmentPointer) {
+          item.avatar = DataMessage.Contact.Avatar.create({
+            avatar: contact.avatar.attachmentPointer,
+            isProfile: Boolean(contact.avatar.isProfile)
+          });
+        }
+        return item;
+      });
+    }
+    if (this.previews) {
+      proto.preview = this.previews.map(preview => {
+        const item = DataMessage.Preview.create();
+        item.url = preview.url;
+        item.title = preview.title;
+        if (preview.attachmentPointer) {
+          item.image = preview.attachmentPointer;
+        }
+        return item;
+      });
+    }
+    if (this.sticker) {
+      proto.sticker = DataMessage.Sticker.create({
+        packId: Buffer.from(this.sticker.packId, "hex"),
+        packKey: Buffer.from(this.sticker.packKey, "base64"),
+        stickerId: this.sticker.stickerId
+      });
+      if (this.sticker.attachmentPointer) {
+        proto.sticker.data = this.sticker.attachmentPointer;
+      }
+    }
+    if (this.reaction) {
+      proto.reaction = DataMessage.Reaction.create({
+        emoji: this.reaction.emoji,
+        remove: Boolean(this.reaction.remove),
+        targetAuthorE164: this.reaction.targetAuthorE164,
+        targetSentTimestamp: this.reaction.targetSentTimestamp
+      });
+    }
+    if (this.deletedForEveryoneTimestamp) {
+      proto.delete = DataMessage.Delete.create({
+        targetSentTimestamp: this.deletedForEveryoneTimestamp
+      });
+    }
+    if (this.viewOnce) {
+      proto.isViewOnce = true;
+    }
+    // Older clients show a "please update" notice rather than misread these
+    if (this.reaction) {
+      proto.requiredProtocolVersion = DataMessage.ProtocolVersion.REACTIONS;
+    } else if (this.viewOnce) {
+      proto.requiredProtocolVersion =
+        DataMessage.ProtocolVersion.VIEW_ONCE_VIDEO;
+    }
     if (this.expireTimer) {
       proto.expireTimer = this.expireTimer;
     }
@@ -7,36 +7,55 @@ const ByteBuffer = require("bytebuffer");
 const EventTarget = require("event-target-shim");
 const Event = require("./event.js");
 const Worker = require("tiny-worker");
+const WebSocket = require("websocket").w3cwebsocket;
 const createTaskWithTimeout = require("./task_with_timeout.js");
 const crypto = require("./crypto.js");
 const errors = require("./errors.js");
 const WebSocketResource = require("./websocket-resources.js");
+const {
+  SecretSessionCipher,
+  createCertificateValidator
+} = require("./SecretSessionCipher.js");
 const protobuf = require("./protobufs.js");
 const Content = protobuf.lookupType("signalservice.Content");
 const DataMessage = protobuf.lookupType("signalservice.DataMessage");
 const Envelope = protobuf.lookupType("signalservice.Envelope");
 const GroupContext = protobuf.lookupType("signalservice.GroupContext");
 const ReceiptMessage = protobuf.lookupType("signalservice.ReceiptMessage");
+const TypingMessage = protobuf.lookupType("signalservice.TypingMessage");
 const { ContactBuffer, GroupBuffer } = require("./contacts_parser.js");
+const { downloadSticker } = require("./sticker_packs.js");
+const MessageSender = require("./sendmessage.js");
 
 /* eslint-disable more/no-then */
 
 const WORKER_TIMEOUT = 60 * 1000; // one minute
+const RECEIVE_MODES = ["websocket", "poll", "auto"];
+const POLL_INTERVAL = 10 * 1000;
+// Delivery receipts for messages confirmed within this long of each other are sent
+//   together, one receipt message per sender.
+const DELIVERY_RECEIPT_DELAY = 1000;
+// In "auto" mode, this many unexpected socket closes within the window switch us to
+//   polling, and the socket is tried again every SOCKET_RETRY_INTERVAL while we poll.
+const SOCKET_FAILURE_LIMIT = 3;
+const SOCKET_FAILURE_WINDOW = 10 * 60 * 1000;
+const SOCKET_RETRY_INTERVAL = 5 * 60 * 1000;
 
 const _utilWorker = new Worker(__dirname + "/util_worker.js");
 const _jobs = Object.create(null);
 const _DEBUG = false;
 let _jobCounter = 0;
 
-function _makeJob(fnName) {
+function _makeJob(fnName, logger) {
   _jobCounter += 1;
   const id = _jobCounter;
 
   if (_DEBUG) {
-    console.info(`Worker job ${id} (${fnName}) started`);
+    logger.info(`Worker job ${id} (${fnName}) started`);
   }
   _jobs[id] = {
     fnName,
+    logger,
     start: Date.now()
   };
 
@@ -45,7 +64,7 @@ function _makeJob(fnName) {
 
 function _updateJob(id, data) {
   const { resolve, reject } = data;
-  const { fnName, start } = _jobs[id];
+  const { fnName, logger, start } = _jobs[id];
 
   _jobs[id] = {
     ..._jobs[id],
@@ -53,7 +72,7 @@ function _updateJob(id, data) {
     resolve: value => {
       _removeJob(id);
       const end = Date.now();
-      console.info(
+      logger.debug(
         `Worker job ${id} (${fnName}) succeeded in ${end - start}ms`
       );
       return resolve(value);
@@ -61,7 +80,7 @@ function _updateJob(id, data) {
     reject: error => {
       _removeJob(id);
       const end = Date.now();
-      console.info(`Worker job ${id} (${fnName}) failed in ${end - start}ms`);
+      logger.info(`Worker job ${id} (${fnName}) failed in ${end - start}ms`);
       return reject(error);
     }
   };
@@ -79,8 +98,8 @@ function _getJob(id) {
   return _jobs[id];
 }
 
-async function callWorker(fnName, ...args) {
-  const jobId = _makeJob(fnName);
+async function callWorker(logger, fnName, ...args) {
+  const jobId = _makeJob(fnName, logger);
 
   return new Promise((resolve, reject) => {
     _utilWorker.postMessage([jobId, fnName, ...args]);
@@ -121,6 +140,22 @@ _utilWorker.onmessage = e => {
   return resolve(result);
 };
 
+// Contact cards reach the `message` event as plain objects, shaped like the `contact`
+//   option of sendMessage, with the avatar downloaded like any attachment.
+function normalizeContact(contact) {
+  const result = DataMessage.Contact.toObject(contact);
+  const { avatar } = contact;
+  if (avatar && avatar.avatar) {
+    result.avatar = {
+      avatar: avatar.avatar,
+      isProfile: Boolean(avatar.isProfile)
+    };
+  } else {
+    delete result.avatar;
+  }
+  return result;
+}
+
 class MessageReceiver extends EventTarget {
   constructor(username, password, signalingKey, store, options = {}) {
     super();
@@ -130,6 +165,8 @@ class MessageReceiver extends EventTarget {
     this.username = username;
     this.password = password;
     this.server = this.constructor.WebAPI.connect({ username, password });
+    this.logger = this.constructor.WebAPI.logger;
+    this.serverTrustRoot = this.constructor.WebAPI.serverTrustRoot;
 
     const address = libsignal.SignalProtocolAddress.fromString(username);
     this.number = address.getName();
@@ -138,6 +175,25 @@ class MessageReceiver extends EventTarget {
 
     this.pending = Promise.resolve();
 
+    // "websocket" receives over the message socket, "poll" fetches queued messages over
+    //   REST every `pollInterval` ms and "auto" starts with the socket but falls back to
+    //   polling when the socket keeps getting dropped, until the socket works again.
+    this.receiveMode = options.receiveMode || "websocket";
+    if (!RECEIVE_MODES.includes(this.receiveMode)) {
+      throw new Error(`Unknown receiveMode ${this.receiveMode}`);
+    }
+    this.pollInterval = options.pollInterval || POLL_INTERVAL;
+    this.socketRetryInterval =
+      options.socketRetryInterval || SOCKET_RETRY_INTERVAL;
+    this.polling = this.receiveMode === "poll";
+    this.socketFailures = [];
+
+    if (options.sendDeliveryReceipts) {
+      this.deliveryReceiptDelay =
+        options.deliveryReceiptDelay || DELIVERY_RECEIPT_DELAY;
+      this.deliveryReceipts = new Map();
+    }
+
     if (options.retryCached) {
       this.pending = this.queueAllCached();
     }
@@ -160,6 +216,13 @@ class MessageReceiver extends EventTarget {
       this.socket.close();
       this.wsr.close();
     }
+
+    if (this.polling) {
+      this.incoming = [this.pending];
+      this.startPolling();
+      return;
+    }
+
     // initialize the socket and start listening for messages
     this.socket = this.server.getMessageSocket();
     this.socket.onclose = this.onclose.bind(this);
@@ -170,7 +233,8 @@ class MessageReceiver extends EventTarget {
       keepalive: {
         path: "/v1/keepalive",
         disconnect: true
-      }
+      },
+      logger: this.logger
     });
 
     // Because sometimes the socket doesn't properly emit its close event
@@ -183,6 +247,10 @@ class MessageReceiver extends EventTarget {
   }
 
   shutdown() {
+    if (this.wsr) {
+      this.server.clearMessageSocket(this.wsr);
+    }
+
     if (this.socket) {
       this.socket.onclose = null;
       this.socket.onerror = null;
@@ -197,8 +265,10 @@ class MessageReceiver extends EventTarget {
   }
 
   close() {
-    console.info("MessageReceiver.close()");
+    this.logger.info("MessageReceiver.close()");
     this.calledClose = true;
+    clearTimeout(this.pollTimer);
+    clearTimeout(this.socketRetryTimer);
 
     // Our WebSocketResource instance will close the socket and emit a 'close' event
     //   if the socket doesn't emit one quickly enough.
@@ -206,15 +276,19 @@ class MessageReceiver extends EventTarget {
       this.wsr.close(3000, "called close");
     }
 
-    return this.drain();
+    return Promise.resolve(this.pollPromise)
+      .then(() => this.drain())
+      .then(() => this.sendDeliveryReceipts());
   }
 
   onopen() {
-    console.info("websocket open");
+    this.logger.info("websocket open");
+    // Lets MessageSenders for this account send over the socket too
+    this.server.setMessageSocket(this.wsr);
   }
 
   onerror() {
-    console.error("websocket error");
+    this.logger.error("websocket error");
   }
 
   dispatchAndWait(event) {
@@ -222,13 +296,11 @@ class MessageReceiver extends EventTarget {
   }
 
   onclose(ev) {
-    console.info(
-      "websocket closed",
-      ev.code,
-      ev.reason || "",
-      "calledClose:",
-      this.calledClose
-    );
+    this.logger.info("websocket closed", {
+      code: ev.code,
+      reason: ev.reason || "",
+      calledClose: this.calledClose
+    });
 
     this.shutdown();
 
@@ -241,6 +313,23 @@ class MessageReceiver extends EventTarget {
     if (ev.code === 3001) {
       this.onEmpty();
     }
+    if (this.receiveMode === "auto") {
+      const now = Date.now();
+      this.socketFailures = this.socketFailures
+        .filter(time => now - time < SOCKET_FAILURE_WINDOW)
+        .concat(now);
+      if (this.socketFailures.length >= SOCKET_FAILURE_LIMIT) {
+        this.logger.warn("websocket keeps closing, switching to polling", {
+          failures: this.socketFailures.length
+        });
+        this.polling = true;
+        this.socketFailures = [];
+        this.socketRetryTimer = setTimeout(
+          () => this.retrySocket(),
+          this.socketRetryInterval
+        );
+      }
+    }
     // possible 403 or network issue. Make an request to confirm
     return this.server
       .getDevices(this.number)
@@ -252,6 +341,96 @@ class MessageReceiver extends EventTarget {
       });
   }
 
+  // Gives the socket another go after "auto" mode switched to polling. Should it keep
+  //   closing, we're back to polling again.
+  retrySocket() {
+    if (this.calledClose) {
+      return;
+    }
+    this.logger.info("trying the websocket again");
+    clearTimeout(this.pollTimer);
+    this.polling = false;
+    Promise.resolve(this.pollPromise).then(() => this.connect());
+  }
+
+  startPolling() {
+    clearTimeout(this.pollTimer);
+    this.polledEmpty = false;
+    this.pollPromise = this.poll();
+  }
+
+  async poll() {
+    this.pollTimer = null;
+    try {
+      let more = true;
+      while (more && !this.calledClose) {
+        // eslint-disable-next-line no-await-in-loop
+        const response = await this.server.getMessages();
+        for (let i = 0; i < response.messages.length; i += 1) {
+          if (this.calledClose) {
+            return;
+          }
+          // eslint-disable-next-line no-await-in-loop
+          await this.handlePolledMessage(response.messages[i]);
+        }
+        more = response.more;
+      }
+      if (!this.polledEmpty && !this.calledClose) {
+        this.polledEmpty = true;
+        this.onEmpty();
+      }
+    } catch (error) {
+      this.logger.error("polling for messages failed", {
+        error: error && error.stack ? error.stack : error
+      });
+      if (
+        error.name === "HTTPError" &&
+        (error.code === 401 || error.code === 403)
+      ) {
+        const ev = new Event("error");
+        ev.error = error;
+        await this.dispatchAndWait(ev);
+        return;
+      }
+    }
+
+    if (!this.calledClose && this.polling) {
+      this.pollTimer = setTimeout(() => {
+        this.pollPromise = this.poll();
+      }, this.pollInterval);
+    }
+  }
+
+  // Polled messages arrive as JSON rather than as an encrypted Envelope. Each one is
+  //   only acknowledged, which removes it from the server, once it has been handled.
+  async handlePolledMessage(message) {
+    const envelope = Envelope.fromObject({
+      type: message.type,
+      source: message.source,
+      sourceDevice: message.sourceDevice,
+      relay: message.relay,
+      timestamp: message.timestamp,
+      legacyMessage: message.message,
+      content: message.content,
+      serverGuid: message.guid,
+      serverTimestamp: message.serverTimestamp
+    });
+
+    // Sealed envelopes are checked once they're decrypted
+    if (!envelope.source || !this.isBlocked(envelope.source)) {
+      await this.addToCache(envelope, Envelope.encode(envelope).finish());
+      const promise = this.queueEnvelope(envelope);
+      this.incoming.push(promise);
+      await promise;
+    }
+
+    if (message.guid) {
+      await this.server.acknowledgeMessageByGuid(message.guid);
+    } else {
+      await this.server.acknowledgeMessage(message.source, message.timestamp);
+    }
+  }
+
   handleRequest(request) {
     this.incoming = this.incoming || [];
     const lastPromise = _.last(this.incoming);
@@ -261,7 +440,10 @@ class MessageReceiver extends EventTarget {
 
     // TODO: handle different types of requests.
     if (request.path !== "/api/v1/message") {
-      console.info("got request", request.verb, request.path);
+      this.logger.info("got request", {
+        verb: request.verb,
+        path: request.path
+      });
       request.respond(200, "OK");
 
       if (request.verb === "PUT" && request.path === "/api/v1/queue/empty") {
@@ -278,7 +460,8 @@ class MessageReceiver extends EventTarget {
         //   fault, and we should handle them gracefully and tell the
         //   user they received an invalid message
 
-        if (this.isBlocked(envelope.source)) {
+        // Sealed envelopes are checked once they're decrypted
+        if (envelope.source && this.isBlocked(envelope.source)) {
           return request.respond(200, "OK");
         }
 
@@ -292,19 +475,18 @@ class MessageReceiver extends EventTarget {
           },
           error => {
             request.respond(500, "Failed to cache message");
-            console.error(
-              "handleRequest error trying to add message to cache:",
-              error && error.stack ? error.stack : error
+            this.logger.error(
+              "handleRequest error trying to add message to cache",
+              { error: error && error.stack ? error.stack : error }
             );
           }
         );
       })
       .catch(e => {
         request.respond(500, "Bad encrypted websocket message");
-        console.error(
-          "Error handling incoming message:",
-          e && e.stack ? e.stack : e
-        );
+        this.logger.error("Error handling incoming message", {
+          error: e && e.stack ? e.stack : e
+        });
         const ev = new Event("error");
         ev.error = e;
         return this.dispatchAndWait(ev);
@@ -339,7 +521,7 @@ class MessageReceiver extends EventTarget {
     this.incoming = [];
 
     const dispatchEmpty = () => {
-      console.info("MessageReceiver: emitting 'empty' event");
+      this.logger.info("MessageReceiver: emitting 'empty' event");
       const ev = new Event("empty");
       return this.dispatchAndWait(ev);
     };
@@ -357,13 +539,62 @@ class MessageReceiver extends EventTarget {
     Promise.all(incoming).then(queueDispatch, queueDispatch);
   }
 
+  // For the messages we send in return, like receipts and answers to sync requests
+  getSender() {
+    if (!this.sender) {
+      const Sender = MessageSender(this.constructor.WebAPI);
+      this.sender = new Sender(this.username, this.password, this.store);
+    }
+    return this.sender;
+  }
+
+  // With `sendDeliveryReceipts`, each confirmed `message` event queues a receipt for
+  //   its sender; they go out together once the batch delay has passed.
+  queueDeliveryReceipt(sender, timestamp) {
+    if (!this.deliveryReceipts || sender === this.number) {
+      return;
+    }
+    const timestamps = this.deliveryReceipts.get(sender) || [];
+    timestamps.push(timestamp);
+    this.deliveryReceipts.set(sender, timestamps);
+
+    if (!this.deliveryReceiptTimer) {
+      this.deliveryReceiptTimer = setTimeout(
+        () => this.sendDeliveryReceipts(),
+        this.deliveryReceiptDelay
+      );
+    }
+  }
+
+  sendDeliveryReceipts() {
+    if (!this.deliveryReceipts) {
+      return Promise.resolve();
+    }
+    clearTimeout(this.deliveryReceiptTimer);
+    this.deliveryReceiptTimer = null;
+
+    const batches = Array.from(this.deliveryReceipts);
+    this.deliveryReceipts.clear();
+    return Promise.all(
+      batches.map(([sender, timestamps]) =>
+        this.getSender()
+          .sendDeliveryReceipts(sender, timestamps)
+          .catch(error => {
+            this.logger.error("Failed to send delivery receipts", {
+              error: error && error.stack ? error.stack : error
+            });
+          })
+      )
+    );
+  }
+
   drain() {
     const { incoming } = this;
     this.incoming = [];
 
     const queueDispatch = () =>
       this.addToQueue(() => {
-        console.info("drained");
+        this.logger.info("drained");
       });
 
     // This promise will resolve when there are no more messages to be processed.
@@ -393,79 +624,97 @@ class MessageReceiver extends EventTarget {
       let envelopePlaintext = item.envelope;
 
       if (item.version === 2) {
-        envelopePlaintext = await MessageReceiver.stringToArrayBufferBase64(
+        envelopePlaintext = await this.stringToArrayBufferBase64(
           envelopePlaintext
         );
       }
 
       if (typeof envelopePlaintext === "string") {
-        envelopePlaintext = await MessageReceiver.stringToArrayBuffer(
-          envelopePlaintext
-        );
+        envelopePlaintext = await this.stringToArrayBuffer(envelopePlaintext);
       }
       const envelope = Envelope.decode(new Uint8Array(envelopePlaintext));
+      envelope.id = item.id;
+      if (item.source) {
+        // A sealed envelope, whose sender we learned when decrypting it
+        envelope.source = item.source;
+        envelope.sourceDevice = item.sourceDevice;
+        envelope.unidentifiedDeliveryReceived = true;
+      }
 
       const { decrypted } = item;
       if (decrypted) {
         let payloadPlaintext = decrypted;
 
         if (item.version === 2) {
-          payloadPlaintext = await MessageReceiver.stringToArrayBufferBase64(
+          payloadPlaintext = await this.stringToArrayBufferBase64(
             payloadPlaintext
           );
         }
 
         if (typeof payloadPlaintext === "string") {
-          payloadPlaintext = await MessageReceiver.stringToArrayBuffer(
-            payloadPlaintext
-          );
+          payloadPlaintext = await this.stringToArrayBuffer(payloadPlaintext);
         }
         this.queueDecryptedEnvelope(envelope, payloadPlaintext);
       } else {
         this.queueEnvelope(envelope);
       }
     } catch (error) {
-      console.error(
-        "queueCached error handling item",
-        item.id,
-        "removing it. Error:",
-        error && error.stack ? error.stack : error
-      );
+      this.logger.error("queueCached error handling item, removing it", {
+        id: item.id,
+        error: error && error.stack ? error.stack : error
+      });
 
       try {
         const { id } = item;
         await this.store.removeUnprocessed(id);
       } catch (deleteError) {
-        console.error(
-          "queueCached error deleting item",
-          item.id,
-          "Error:",
-          deleteError && deleteError.stack ? deleteError.stack : deleteError
-        );
+        this.logger.error("queueCached error deleting item", {
+          id: item.id,
+          error:
+            deleteError && deleteError.stack ? deleteError.stack : deleteError
+        });
       }
     }
   }
 
+  // Envelopes keep the id they're first given, since it's their key in the cache too.
+  //   Sealed envelopes only say who sent them once decrypted, so until then they go by
+  //   the server's guid, or a random id.
   getEnvelopeId(envelope) {
-    return `${envelope.source}.${
-      envelope.sourceDevice
-    } ${envelope.timestamp.toNumber()}`;
+    if (!envelope.id) {
+      const timestamp = envelope.timestamp.toNumber();
+      if (envelope.source) {
+        // eslint-disable-next-line no-param-reassign
+        envelope.id = `${envelope.source}.${
+          envelope.sourceDevice
+        } ${timestamp}`;
+      } else {
+        const guid =
+          envelope.serverGuid ||
+          Buffer.from(crypto.getRandomBytes(8)).toString("hex");
+        // eslint-disable-next-line no-param-reassign
+        envelope.id = `sealed ${guid} ${timestamp}`;
+      }
+    }
+    return envelope.id;
   }
 
   async getAllFromCache() {
-    console.info("getAllFromCache");
+    this.logger.info("getAllFromCache");
     const count = await this.store.countUnprocessed();
 
     if (count > 250) {
       await this.store.removeAllUnprocessed();
-      console.warn(
+      this.logger.warn(
         `There were ${count} messages in cache. Deleted all instead of reprocessing`
       );
       return [];
     }
 
     const items = await this.store.getAllUnprocessed();
-    console.info("getAllFromCache loaded", items.length, "saved envelopes");
+    this.logger.info("getAllFromCache loaded saved envelopes", {
+      count: items.length
+    });
 
     return Promise.all(
       _.map(items, async item => {
@@ -473,16 +722,17 @@ class MessageReceiver extends EventTarget {
 
         try {
           if (attempts >= 3) {
-            console.warn("getAllFromCache final attempt for envelope", item.id);
+            this.logger.warn("getAllFromCache final attempt for envelope", {
+              id: item.id
+            });
             await this.store.removeUnprocessed(item.id);
           } else {
             await this.store.updateUnprocessed(item.id, { ...item, attempts });
           }
         } catch (error) {
-          console.error(
-            "getAllFromCache error updating item after load:",
-            error && error.stack ? error.stack : error
-          );
+          this.logger.error("getAllFromCache error updating item after load", {
+            error: error && error.stack ? error.stack : error
+          });
         }
 
         return item;
@@ -492,11 +742,10 @@ class MessageReceiver extends EventTarget {
 
   async addToCache(envelope, plaintext) {
     const id = this.getEnvelopeId(envelope);
-    const decoded = await this.arrayBufferToStringBase64(plaintext);
     const data = {
       id,
       version: 2,
-      envelope: new Uint8Array(decoded),
+      envelope: await this.arrayBufferToStringBase64(plaintext),
       timestamp: Date.now(),
       attempts: 1
     };
@@ -507,7 +756,9 @@ class MessageReceiver extends EventTarget {
     const id = this.getEnvelopeId(envelope);
     const item = await this.store.getUnprocessed(id);
     if (!item) {
-      console.error(`updateCache: Didn't find item ${id} in cache to update`);
+      this.logger.error("updateCache: Didn't find item in cache to update", {
+        id
+      });
       return null;
     }
 
@@ -516,8 +767,12 @@ class MessageReceiver extends EventTarget {
     } else {
       item.decrypted = await this.arrayBufferToString(plaintext);
     }
+    if (envelope.unidentifiedDeliveryReceived) {
+      item.source = envelope.source;
+      item.sourceDevice = envelope.sourceDevice;
+    }
 
-    return this.store.updateUnprocessed(id, item.attributes);
+    return this.store.updateUnprocessed(id, item);
   }
 
   removeFromCache(envelope) {
@@ -527,40 +782,39 @@ class MessageReceiver extends EventTarget {
 
   queueDecryptedEnvelope(envelope, plaintext) {
     const id = this.getEnvelopeId(envelope);
-    console.info("queueing decrypted envelope", id);
+    this.logger.info("queueing decrypted envelope", { id });
 
     const task = this.handleDecryptedEnvelope.bind(this, envelope, plaintext);
     const taskWithTimeout = createTaskWithTimeout(
       task,
-      `queueEncryptedEnvelope ${id}`
+      `queueEncryptedEnvelope ${id}`,
+      { logger: this.logger }
     );
     const promise = this.addToQueue(taskWithTimeout);
 
     return promise.catch(error => {
-      console.error(
-        "queueDecryptedEnvelope error handling envelope",
+      this.logger.error("queueDecryptedEnvelope error handling envelope", {
         id,
-        ":",
-        error && error.stack ? error.stack : error
-      );
+        error: error && error.stack ? error.stack : error
+      });
     });
   }
 
   queueEnvelope(envelope) {
     const id = this.getEnvelopeId(envelope);
-    console.info("queueing envelope", id);
+    this.logger.info("queueing envelope", { id });
 
     const task = this.handleEnvelope.bind(this, envelope);
-    const taskWithTimeout = createTaskWithTimeout(task, `queueEnvelope ${id}`);
+    const taskWithTimeout = createTaskWithTimeout(task, `queueEnvelope ${id}`, {
+      logger: this.logger
+    });
     const promise = this.addToQueue(taskWithTimeout);
 
     return promise.catch(error => {
-      console.error(
-        "queueEnvelope error handling envelope",
+      this.logger.error("queueEnvelope error handling envelope", {
         id,
-        ":",
-        error && error.stack ? error.stack : error
-      );
+        error: error && error.stack ? error.stack : error
+      });
     });
   }
 
@@ -571,6 +825,9 @@ class MessageReceiver extends EventTarget {
     // No decryption is required for delivery receipts, so the decrypted field of
     //   the Unprocessed model will never be set
 
+    if (envelope.source && this.isBlocked(envelope.source)) {
+      return this.dropBlockedEnvelope(envelope);
+    }
     if (envelope.content) {
       return this.innerHandleContentMessage(envelope, plaintext);
     } else if (envelope.legacyMessage) {
@@ -581,6 +838,10 @@ class MessageReceiver extends EventTarget {
   }
 
   handleEnvelope(envelope) {
+    // Sealed envelopes are checked once they're decrypted
+    if (envelope.source && this.isBlocked(envelope.source)) {
+      return this.dropBlockedEnvelope(envelope);
+    }
     if (envelope.type === Envelope.Type.RECEIPT) {
       return this.onDeliveryReceipt(envelope);
     }
@@ -595,6 +856,9 @@ class MessageReceiver extends EventTarget {
   }
 
   getStatus() {
+    if (this.polling && this.hasConnected && !this.calledClose) {
+      return WebSocket.OPEN;
+    }
     if (this.socket) {
       return this.socket.readyState;
     } else if (this.hasConnected) {
@@ -658,35 +922,47 @@ class MessageReceiver extends EventTarget {
 
     switch (envelope.type) {
       case Envelope.Type.CIPHERTEXT:
-        console.info("message from", this.getEnvelopeId(envelope));
+        this.logger.info("message from", { id: this.getEnvelopeId(envelope) });
         promise = sessionCipher
           .decryptWhisperMessage(ciphertext)
           .then(this.unpad);
         break;
       case Envelope.Type.PREKEY_BUNDLE:
-        console.info("prekey message from", this.getEnvelopeId(envelope));
+        this.logger.info("prekey message from", {
+          id: this.getEnvelopeId(envelope)
+        });
         promise = this.decryptPreKeyWhisperMessage(
           ciphertext,
           sessionCipher,
           address
         );
         break;
+      case Envelope.Type.UNIDENTIFIED_SENDER:
+        this.logger.info("sealed sender message", {
+          id: this.getEnvelopeId(envelope)
+        });
+        promise = this.decryptSealedSender(envelope, ciphertext);
+        break;
       default:
         promise = Promise.reject(new Error("Unknown message type"));
     }
 
     return promise
-      .then(plaintext =>
-        this.updateCache(envelope, plaintext).then(
-          () => plaintext,
-          error => {
-            console.error(
-              "decrypt failed to save decrypted message contents to cache:",
-              error && error.stack ? error.stack : error
-            );
-            return plaintext;
-          }
-        )
+      .then(
+        plaintext =>
+          // Nothing is left to do for sealed messages that turn out to be dropped
+          plaintext === null
+            ? null
+            : this.updateCache(envelope, plaintext).then(
+                () => plaintext,
+                error => {
+                  this.logger.error(
+                    "decrypt failed to save decrypted message contents to cache",
+                    { error: error && error.stack ? error.stack : error }
+                  );
+                  return plaintext;
+                }
+              )
       )
       .catch(error => {
         let errorToThrow = error;
@@ -696,7 +972,7 @@ class MessageReceiver extends EventTarget {
           // user if they want to re-negotiate
           const buffer = ByteBuffer.wrap(ciphertext);
           errorToThrow = new errors.IncomingIdentityKeyError(
-            address.toString(),
+            (error.sender || address).toString(),
             buffer.toArrayBuffer(),
             error.identityKey
           );
@@ -711,6 +987,65 @@ class MessageReceiver extends EventTarget {
       });
   }
 
+  // Unseals a sealed sender message, checking the sender certificate against the
+  //   server's trust root, and fills in the envelope's source. Resolves null for
+  //   messages that are dropped: our own from this device, and blocked senders'.
+  async decryptSealedSender(envelope, ciphertext) {
+    if (!this.serverTrustRoot) {
+      throw new Error("Cannot check sealed messages without a serverTrustRoot");
+    }
+    const secretSessionCipher = new SecretSessionCipher(this.store);
+    const validator = createCertificateValidator(
+      ByteBuffer.wrap(this.serverTrustRoot, "base64").toArrayBuffer()
+    );
+    // Certificates are checked as of when the server got the message
+    const timestamp =
+      envelope.serverTimestamp && envelope.serverTimestamp.toNumber()
+        ? envelope.serverTimestamp.toNumber()
+        : envelope.timestamp.toNumber();
+
+    const setSender = address => {
+      // eslint-disable-next-line no-param-reassign
+      envelope.source = address.getName();
+      // eslint-disable-next-line no-param-reassign
+      envelope.sourceDevice = address.getDeviceId();
+      // eslint-disable-next-line no-param-reassign
+      envelope.unidentifiedDeliveryReceived = true;
+    };
+
+    let result;
+    try {
+      result = await secretSessionCipher.decrypt(
+        validator,
+        ciphertext,
+        timestamp,
+        { number: this.number, deviceId: this.deviceId }
+      );
+    } catch (error) {
+      if (error && error.sender) {
+        setSender(error.sender);
+      }
+      throw error;
+    }
+
+    const id = this.getEnvelopeId(envelope);
+    if (result.isMe) {
+      this.logger.info("dropping sealed message from this device", { id });
+      await this.removeFromCache(envelope);
+      return null;
+    }
+    setSender(result.sender);
+    if (this.isBlocked(envelope.source)) {
+      await this.dropBlockedEnvelope(envelope);
+      return null;
+    }
+    this.logger.info("unsealed message", {
+      id,
+      source: `${envelope.source}.${envelope.sourceDevice}`
+    });
+    return this.unpad(result.content);
+  }
+
   async decryptPreKeyWhisperMessage(ciphertext, sessionCipher, address) {
     const padded = await sessionCipher.decryptPreKeyWhisperMessage(ciphertext);
 
@@ -736,7 +1071,8 @@ class MessageReceiver extends EventTarget {
     destination,
     timestamp,
     msg,
-    expirationStartTimestamp
+    expirationStartTimestamp,
+    unidentifiedStatus = []
   ) {
     let p = Promise.resolve();
     // eslint-disable-next-line no-bitwise
@@ -745,28 +1081,39 @@ class MessageReceiver extends EventTarget {
     }
     return p.then(() =>
       this.processDecrypted(envelope, msg, this.number).then(message => {
-        const groupId = message.group && message.group.id;
-        const isBlocked = this.isGroupBlocked(groupId);
-        const isMe = envelope.source === this.store.userGetNumber();
-        const isLeavingGroup = Boolean(
-          message.group && message.group.type === GroupContext.Type.QUIT
-        );
-
-        if (groupId && isBlocked && !(isMe && isLeavingGroup)) {
-          console.warn(
-            `Message ${this.getEnvelopeId(
-              envelope
-            )} ignored; destined for blocked group`
-          );
+        if (!message) {
           return this.removeFromCache(envelope);
         }
 
+        if (message.reaction) {
+          return this.handleReaction(envelope, message, {
+            source: this.number,
+            sourceDevice: envelope.sourceDevice,
+            destination,
+            timestamp: timestamp.toNumber()
+          });
+        }
+
+        if (message.delete) {
+          return this.handleDelete(envelope, message, {
+            source: this.number,
+            sourceDevice: envelope.sourceDevice,
+            destination,
+            timestamp: timestamp.toNumber()
+          });
+        }
+
         const ev = new Event("sent");
         ev.confirm = this.removeFromCache.bind(this, envelope);
         ev.data = {
           destination,
           timestamp: timestamp.toNumber(),
           device: envelope.sourceDevice,
+          // Who our other device sent the message sealed to
+          unidentifiedStatus: unidentifiedStatus.map(status => ({
+            destination: status.destination,
+            unidentified: status.unidentified
+          })),
           message
         };
         if (expirationStartTimestamp) {
@@ -778,7 +1125,7 @@ class MessageReceiver extends EventTarget {
   }
 
   handleDataMessage(envelope, msg) {
-    console.info("data message from", this.getEnvelopeId(envelope));
+    this.logger.info("data message from", { id: this.getEnvelopeId(envelope) });
     let p = Promise.resolve();
     // eslint-disable-next-line no-bitwise
     if (msg.flags & DataMessage.Flags.END_SESSION) {
@@ -786,29 +1133,43 @@ class MessageReceiver extends EventTarget {
     }
     return p.then(() =>
       this.processDecrypted(envelope, msg, envelope.source).then(message => {
-        const groupId = message.group && message.group.id;
-        const isBlocked = this.isGroupBlocked(groupId);
-        const isMe = envelope.source === this.store.userGetNumber();
-        const isLeavingGroup = Boolean(
-          message.group && message.group.type === GroupContext.Type.QUIT
-        );
-
-        if (groupId && isBlocked && !(isMe && isLeavingGroup)) {
-          console.warn(
-            `Message ${this.getEnvelopeId(
-              envelope
-            )} ignored; destined for blocked group`
-          );
+        if (!message) {
           return this.removeFromCache(envelope);
         }
 
+        if (message.reaction) {
+          return this.handleReaction(envelope, message, {
+            source: envelope.source,
+            sourceDevice: envelope.sourceDevice,
+            timestamp: envelope.timestamp.toNumber()
+          });
+        }
+
+        if (message.delete) {
+          return this.handleDelete(envelope, message, {
+            source: envelope.source,
+            sourceDevice: envelope.sourceDevice,
+            timestamp: envelope.timestamp.toNumber()
+          });
+        }
+
         const ev = new Event("message");
-        ev.confirm = this.removeFromCache.bind(this, envelope);
+        ev.confirm = () => {
+          this.queueDeliveryReceipt(
+            envelope.source,
+            envelope.timestamp.toNumber()
+          );
+          return this.removeFromCache(envelope);
+        };
         ev.data = {
           source: envelope.source,
           sourceDevice: envelope.sourceDevice,
           timestamp: envelope.timestamp.toNumber(),
           receivedAt: envelope.receivedAt,
+          unidentifiedDeliveryReceived: Boolean(
+            envelope.unidentifiedDeliveryReceived
+          ),
+          viewOnce: Boolean(message.isViewOnce),
           message
         };
         return this.dispatchAndWait(ev);
@@ -816,9 +1177,45 @@ class MessageReceiver extends EventTarget {
     );
   }
 
+  // Reactions get an event of their own, pointing at the message they react to,
+  //   rather than a `message` event without a body.
+  handleReaction(envelope, message, data) {
+    const { reaction } = message;
+    const ev = new Event("reaction");
+    ev.confirm = this.removeFromCache.bind(this, envelope);
+    ev.data = Object.assign({}, data, {
+      groupId: message.group ? message.group.id : null,
+      reaction: {
+        emoji: reaction.emoji,
+        remove: reaction.remove,
+        targetAuthor: reaction.targetAuthorE164,
+        targetTimestamp: reaction.targetSentTimestamp
+      }
+    });
+    return this.dispatchAndWait(ev);
+  }
+
+  // Remote deletes get an event of their own too. Only a message's author may delete
+  //   it, so the target author is always the sender.
+  handleDelete(envelope, message, data) {
+    const ev = new Event("delete");
+    ev.confirm = this.removeFromCache.bind(this, envelope);
+    ev.data = Object.assign({}, data, {
+      groupId: message.group ? message.group.id : null,
+      delete: {
+        targetAuthor: data.source,
+        targetTimestamp: message.delete.targetSentTimestamp
+      }
+    });
+    return this.dispatchAndWait(ev);
+  }
+
   handleLegacyMessage(envelope) {
-    return this.decrypt(envelope, envelope.legacyMessage).then(plaintext =>
-      this.innerHandleLegacyMessage(envelope, plaintext)
+    return this.decrypt(envelope, envelope.legacyMessage).then(
+      plaintext =>
+        plaintext === null
+          ? null
+          : this.innerHandleLegacyMessage(envelope, plaintext)
     );
   }
 
@@ -828,8 +1225,11 @@ class MessageReceiver extends EventTarget {
   }
 
   handleContentMessage(envelope) {
-    return this.decrypt(envelope, envelope.content).then(plaintext =>
-      this.innerHandleContentMessage(envelope, plaintext)
+    return this.decrypt(envelope, envelope.content).then(
+      plaintext =>
+        plaintext === null
+          ? null
+          : this.innerHandleContentMessage(envelope, plaintext)
     );
   }
 
@@ -845,13 +1245,15 @@ class MessageReceiver extends EventTarget {
       return this.handleCallMessage(envelope, content.callMessage);
     } else if (content.receiptMessage) {
       return this.handleReceiptMessage(envelope, content.receiptMessage);
+    } else if (content.typingMessage) {
+      return this.handleTypingMessage(envelope, content.typingMessage);
     }
     this.removeFromCache(envelope);
     throw new Error("Unsupported content message");
   }
 
   handleCallMessage(envelope) {
-    console.info("call message from", this.getEnvelopeId(envelope));
+    this.logger.info("call message from", { id: this.getEnvelopeId(envelope) });
     this.removeFromCache(envelope);
   }
 
@@ -883,8 +1285,38 @@ class MessageReceiver extends EventTarget {
     return Promise.all(results);
   }
 
+  handleTypingMessage(envelope, typingMessage) {
+    this.removeFromCache(envelope);
+
+    const timestamp = typingMessage.timestamp.toNumber();
+    if (timestamp && timestamp !== envelope.timestamp.toNumber()) {
+      this.logger.warn("Typing message timestamp does not match its envelope", {
+        id: this.getEnvelopeId(envelope)
+      });
+      return null;
+    }
+
+    const groupId = typingMessage.groupId.length
+      ? ByteBuffer.wrap(typingMessage.groupId).toBinary()
+      : null;
+    if (groupId && this.isGroupBlocked(groupId)) {
+      return null;
+    }
+
+    const ev = new Event("typing");
+    ev.sender = envelope.source;
+    ev.senderDevice = envelope.sourceDevice;
+    ev.typing = {
+      timestamp: timestamp || Date.now(),
+      groupId,
+      started: typingMessage.action === TypingMessage.Action.STARTED,
+      stopped: typingMessage.action === TypingMessage.Action.STOPPED
+    };
+    return this.dispatchAndWait(ev);
+  }
+
   handleNullMessage(envelope) {
-    console.info("null message from", this.getEnvelopeId(envelope));
+    this.logger.info("null message from", { id: this.getEnvelopeId(envelope) });
     this.removeFromCache(envelope);
   }
 
@@ -899,22 +1331,21 @@ class MessageReceiver extends EventTarget {
     if (syncMessage.sent) {
       const sentMessage = syncMessage.sent;
       const to = sentMessage.message.group
-        ? `group(${sentMessage.message.group.id.toBinary()})`
+        ? `group(${ByteBuffer.wrap(sentMessage.message.group.id).toBinary()})`
         : sentMessage.destination;
 
-      console.info(
-        "sent message to",
+      this.logger.info("sent message", {
         to,
-        sentMessage.timestamp.toNumber(),
-        "from",
-        this.getEnvelopeId(envelope)
-      );
+        timestamp: sentMessage.timestamp.toNumber(),
+        id: this.getEnvelopeId(envelope)
+      });
       return this.handleSentMessage(
         envelope,
         sentMessage.destination,
         sentMessage.timestamp,
         sentMessage.message,
-        sentMessage.expirationStartTimestamp
+        sentMessage.expirationStartTimestamp,
+        sentMessage.unidentifiedStatus
       );
     } else if (syncMessage.contacts) {
       return this.handleContacts(envelope, syncMessage.contacts);
@@ -923,19 +1354,48 @@ class MessageReceiver extends EventTarget {
     } else if (syncMessage.blocked) {
       return this.handleBlocked(envelope, syncMessage.blocked);
     } else if (syncMessage.request) {
-      console.info("Got SyncMessage Request");
-      return this.removeFromCache(envelope);
+      return this.handleSyncRequest(envelope, syncMessage.request);
     } else if (syncMessage.read && syncMessage.read.length) {
-      console.info("read messages from", this.getEnvelopeId(envelope));
+      this.logger.info("read messages from", {
+        id: this.getEnvelopeId(envelope)
+      });
       return this.handleRead(envelope, syncMessage.read);
     } else if (syncMessage.verified) {
       return this.handleVerified(envelope, syncMessage.verified);
     } else if (syncMessage.configuration) {
       return this.handleConfiguration(envelope, syncMessage.configuration);
+    } else if (syncMessage.viewOnceOpen) {
+      return this.handleViewOnceOpen(envelope, syncMessage.viewOnceOpen);
     }
     throw new Error("Got empty SyncMessage");
   }
 
+  // One of our linked devices asked for our contacts, groups, blocked list or settings,
+  //   which only the primary device answers
+  handleSyncRequest(envelope, request) {
+    // eslint-disable-next-line eqeqeq
+    if (this.deviceId != 1) {
+      this.logger.info("ignoring sync request, we're not the primary device", {
+        id: this.getEnvelopeId(envelope)
+      });
+      return this.removeFromCache(envelope);
+    }
+
+    this.logger.info("answering sync request", {
+      type: request.type,
+      id: this.getEnvelopeId(envelope)
+    });
+    return this.getSender()
+      .answerSyncRequest(request.type)
+      .catch(error => {
+        this.logger.error("Failed to answer sync request", {
+          type: request.type,
+          error: error && error.stack ? error.stack : error
+        });
+      })
+      .then(() => this.removeFromCache(envelope));
+  }
+
   handleConfiguration(envelope, configuration) {
     const ev = new Event("configuration");
     ev.confirm = this.removeFromCache.bind(this, envelope);
@@ -971,12 +1431,26 @@ class MessageReceiver extends EventTarget {
     return Promise.all(results);
   }
 
+  // Another of our devices opened a view-once message, so its media should be erased
+  handleViewOnceOpen(envelope, viewOnceOpen) {
+    const ev = new Event("viewSync");
+    ev.confirm = this.removeFromCache.bind(this, envelope);
+    ev.timestamp = envelope.timestamp.toNumber();
+    ev.view = {
+      sender: viewOnceOpen.sender,
+      timestamp: viewOnceOpen.timestamp.toNumber()
+    };
+    return this.dispatchAndWait(ev);
+  }
+
   handleContacts(envelope, contacts) {
-    console.info("contact sync");
+    this.logger.info("contact sync");
     const attachmentPointer = contacts.blob;
     return this.handleAttachment(attachmentPointer).then(() => {
       const results = [];
-      const contactBuffer = new ContactBuffer(attachmentPointer.data);
+      const contactBuffer = new ContactBuffer(attachmentPointer.data, {
+        logger: this.logger
+      });
       let contactDetails = contactBuffer.next();
       while (contactDetails !== undefined) {
         const ev = new Event("contact");
@@ -990,23 +1464,25 @@ class MessageReceiver extends EventTarget {
       results.push(this.dispatchAndWait(ev));
 
       return Promise.all(results).then(() => {
-        console.info("handleContacts: finished");
+        this.logger.info("handleContacts: finished");
         return this.removeFromCache(envelope);
       });
     });
   }
 
   handleGroups(envelope, groups) {
-    console.info("group sync");
+    this.logger.info("group sync");
     const attachmentPointer = groups.blob;
     return this.handleAttachment(attachmentPointer).then(() => {
-      const groupBuffer = new GroupBuffer(attachmentPointer.data);
+      const groupBuffer = new GroupBuffer(attachmentPointer.data, {
+        logger: this.logger
+      });
       let groupDetails = groupBuffer.next();
       const promises = [];
       while (groupDetails !== undefined) {
         const getGroupDetails = details => {
           // eslint-disable-next-line no-param-reassign
-          details.id = details.id.toBinary();
+          details.id = ByteBuffer.wrap(details.id).toBinary();
           if (details.active) {
             return this.store
               .groupsGetGroup(details.id)
@@ -1035,7 +1511,9 @@ class MessageReceiver extends EventTarget {
             return this.dispatchAndWait(ev);
           })
           .catch(e => {
-            console.error("error processing group", e);
+            this.logger.error("error processing group", {
+              error: e && e.stack ? e.stack : e
+            });
           });
         groupDetails = groupBuffer.next();
         promises.push(promise);
@@ -1049,17 +1527,35 @@ class MessageReceiver extends EventTarget {
     });
   }
 
+  // Another of our devices changed who we block. A `blocked` event with the new
+  //   `numbers` and `groupIds` follows when that differs from what we had.
   handleBlocked(envelope, blocked) {
-    console.info("Setting these numbers as blocked:", blocked.numbers);
-    this.store.put("blocked", blocked.numbers);
-
-    const groupIds = _.map(blocked.groupIds, groupId => groupId.toBinary());
-    console.info(
-      "Setting these groups as blocked:",
-      groupIds.map(groupId => `group(${groupId})`)
+    const { numbers } = blocked;
+    const groupIds = _.map(blocked.groupIds, groupId =>
+      ByteBuffer.wrap(groupId).toBinary()
     );
+    const changed =
+      _.xor(this.store.get("blocked", []), numbers).length > 0 ||
+      _.xor(this.store.get("blocked-groups", []), groupIds).length > 0;
+
+    this.logger.info("Setting these numbers as blocked", { numbers });
+    this.store.put("blocked", numbers);
+    this.logger.info("Setting these groups as blocked", { groupIds });
     this.store.put("blocked-groups", groupIds);
 
+    if (!changed) {
+      return this.removeFromCache(envelope);
+    }
+    const ev = new Event("blocked");
+    ev.confirm = this.removeFromCache.bind(this, envelope);
+    ev.blocked = { numbers, groupIds };
+    return this.dispatchAndWait(ev);
+  }
+
+  dropBlockedEnvelope(envelope) {
+    this.logger.info("dropping envelope from blocked sender", {
+      id: this.getEnvelopeId(envelope)
+    });
     return this.removeFromCache(envelope);
   }
 
@@ -1075,11 +1571,12 @@ class MessageReceiver extends EventTarget {
     // eslint-disable-next-line no-param-reassign
     attachment.id = attachment.id.toString();
     // eslint-disable-next-line no-param-reassign
-    attachment.key = attachment.key.toArrayBuffer();
-    if (attachment.digest) {
-      // eslint-disable-next-line no-param-reassign
-      attachment.digest = attachment.digest.toArrayBuffer();
-    }
+    attachment.key = ByteBuffer.wrap(attachment.key).toArrayBuffer();
+    // eslint-disable-next-line no-param-reassign
+    attachment.digest =
+      attachment.digest && attachment.digest.length
+        ? ByteBuffer.wrap(attachment.digest).toArrayBuffer()
+        : null;
     function decryptAttachment(encrypted) {
       return crypto.decryptAttachment(
         encrypted,
@@ -1151,7 +1648,7 @@ class MessageReceiver extends EventTarget {
       address,
       options
     );
-    console.info("retrying prekey whisper message");
+    this.logger.info("retrying prekey whisper message");
     return this.decryptPreKeyWhisperMessage(
       ciphertext,
       sessionCipher,
@@ -1198,7 +1695,7 @@ class MessageReceiver extends EventTarget {
   }
 
   async handleEndSession(number) {
-    console.info("got end session");
+    this.logger.info("got end session");
     const deviceIds = await this.store.getDeviceIds(number);
 
     return Promise.all(
@@ -1206,7 +1703,7 @@ class MessageReceiver extends EventTarget {
         const address = new libsignal.SignalProtocolAddress(number, deviceId);
         const sessionCipher = new libsignal.SessionCipher(this.store, address);
 
-        console.info("deleting sessions for", address.toString());
+        this.logger.info("deleting sessions", { address: address.toString() });
         return sessionCipher.deleteAllSessionsForDevice();
       })
     );
@@ -1220,6 +1717,7 @@ class MessageReceiver extends EventTarget {
     //   processing
     // Note that messages may (generally) only perform one action and we ignore remaining
     //   fields after the first action.
+    // Messages for blocked groups resolve to null, for the caller to drop.
 
     if (decrypted.flags == null) {
       decrypted.flags = 0;
@@ -1248,6 +1746,17 @@ class MessageReceiver extends EventTarget {
     if (decrypted.group !== null) {
       decrypted.group.id = ByteBuffer.wrap(decrypted.group.id).toBinary();
 
+      // We still follow our own devices leaving a blocked group
+      const isLeaving =
+        source === this.number &&
+        decrypted.group.type === GroupContext.Type.QUIT;
+      if (this.isGroupBlocked(decrypted.group.id) && !isLeaving) {
+        this.logger.warn("Message ignored; destined for blocked group", {
+          id: this.getEnvelopeId(envelope)
+        });
+        return Promise.resolve(null);
+      }
+
       if (decrypted.group.type === GroupContext.Type.UPDATE) {
         if (decrypted.group.avatar !== null) {
           promises.push(this.handleAttachment(decrypted.group.avatar));
@@ -1259,7 +1768,7 @@ class MessageReceiver extends EventTarget {
           if (existingGroup === undefined) {
             if (decrypted.group.type !== GroupContext.Type.UPDATE) {
               decrypted.group.members = [source];
-              console.warn("Got message for unknown group");
+              this.logger.warn("Got message for unknown group");
             }
             return this.store.groupsCreateNewGroup(
               decrypted.group.members,
@@ -1270,7 +1779,7 @@ class MessageReceiver extends EventTarget {
 
           if (fromIndex < 0) {
             // TODO: This could be indication of a race...
-            console.warn(
+            this.logger.warn(
               "Sender was not a member of the group they were sending from"
             );
           }
@@ -1320,10 +1829,9 @@ class MessageReceiver extends EventTarget {
           //   this message entirely, like we do for full attachments.
           promises.push(
             this.handleAttachment(avatar.avatar).catch(error => {
-              console.error(
-                "Problem loading avatar for contact",
-                error && error.stack ? error.stack : error
-              );
+              this.logger.error("Problem loading avatar for contact", {
+                error: error && error.stack ? error.stack : error
+              });
             })
           );
         }
@@ -1346,38 +1854,97 @@ class MessageReceiver extends EventTarget {
           //   this message entirely, like we do for full attachments.
           promises.push(
             this.handleAttachment(thumbnail).catch(error => {
-              console.error(
-                "Problem loading thumbnail for quote",
-                error && error.stack ? error.stack : error
-              );
+              this.logger.error("Problem loading thumbnail for quote", {
+                error: error && error.stack ? error.stack : error
+              });
             })
           );
         }
       }
     }
 
-    return Promise.all(promises).then(() => decrypted);
+    for (let i = 0, max = decrypted.preview.length; i < max; i += 1) {
+      const { image } = decrypted.preview[i];
+
+      if (image) {
+        // Like quote thumbnails, a missing preview image shouldn't lose the message
+        promises.push(
+          this.handleAttachment(image).catch(error => {
+            this.logger.error("Problem loading image for link preview", {
+              error: error && error.stack ? error.stack : error
+            });
+          })
+        );
+      }
+    }
+
+    if (decrypted.sticker) {
+      const { sticker } = decrypted;
+      sticker.packId = ByteBuffer.wrap(sticker.packId).toString("hex");
+      sticker.packKey = ByteBuffer.wrap(sticker.packKey).toString("base64");
+      // Like quote thumbnails, a sticker we can't download leaves `data` unset and
+      //   the message still arrives
+      const onError = error => {
+        sticker.data = undefined;
+        this.logger.error("Problem downloading sticker", {
+          error: error && error.stack ? error.stack : error
+        });
+      };
+      if (sticker.data) {
+        promises.push(this.handleAttachment(sticker.data).catch(onError));
+      } else {
+        promises.push(
+          downloadSticker(
+            this.server,
+            sticker.packId,
+            sticker.packKey,
+            sticker.stickerId
+          ).then(data => {
+            sticker.data = { contentType: "image/webp", data };
+          }, onError)
+        );
+      }
+    }
+
+    if (decrypted.reaction) {
+      const { reaction } = decrypted;
+      reaction.targetSentTimestamp = reaction.targetSentTimestamp.toNumber();
+    }
+
+    if (decrypted.delete) {
+      decrypted.delete.targetSentTimestamp = decrypted.delete.targetSentTimestamp.toNumber();
+    }
+
+    return Promise.all(promises).then(() => {
+      decrypted.contact = decrypted.contact.map(normalizeContact);
+      return decrypted;
+    });
     /* eslint-enable no-bitwise, no-param-reassign */
   }
 
   stringToArrayBuffer(string) {
-    Promise.resolve(ByteBuffer.wrap(string, "binary").toArrayBuffer());
+    return Promise.resolve(ByteBuffer.wrap(string, "binary").toArrayBuffer());
   }
 
   arrayBufferToString(arrayBuffer) {
-    Promise.resolve(ByteBuffer.wrap(arrayBuffer).toString("binary"));
+    return Promise.resolve(ByteBuffer.wrap(arrayBuffer).toString("binary"));
   }
 
   stringToArrayBufferBase64(string) {
-    callWorker("stringToArrayBufferBase64", string);
+    return callWorker(this.logger, "stringToArrayBufferBase64", string);
   }
 
   arrayBufferToStringBase64(arrayBuffer) {
-    callWorker("arrayBufferToStringBase64", new Uint8Array(arrayBuffer));
+    return callWorker(
+      this.logger,
+      "arrayBufferToStringBase64",
+      new Uint8Array(arrayBuffer)
+    );
   }
 }
 
 exports = module.exports = WebAPI => {
-  MessageReceiver.WebAPI = WebAPI;
-  return MessageReceiver;
+  class BoundMessageReceiver extends MessageReceiver {}
+  BoundMessageReceiver.WebAPI = WebAPI;
+  return BoundMessageReceiver;
 };
@@ -0,0 +1,291 @@
+/*
+ * vim: ts=2:sw=2:expandtab
+ */
+
+"use strict";
+const EventTarget = require("event-target-shim");
+const Event = require("./event.js");
+const crypto = require("./crypto.js");
+const errors = require("./errors.js");
+const protobuf = require("./protobufs.js");
+const Content = protobuf.lookupType("signalservice.Content");
+const DataMessage = protobuf.lookupType("signalservice.DataMessage");
+
+/* eslint-disable more/no-then */
+
+const RETRY_DELAY = 5 * 1000;
+const MAX_RETRY_DELAY = 60 * 60 * 1000;
+const MAX_ATTEMPTS = 10;
+
+// Recipients with one of these errors are tried again later; any other error fails
+//   them for good, and a changed identity waits for the application to approve it.
+const RETRYABLE_ERRORS = [
+  "SendMessageNetworkError",
+  "OutgoingMessageError",
+  "RateLimitError"
+];
+
+/*
+ * Outbox
+ *
+ * Sends messages through a MessageSender, but first saves them in the sender's
+ * ProtocolStore (with addOutboxItem, updateOutboxItem, removeOutboxItem and
+ * getAllOutboxItems) so recipients that couldn't be reached for the time being are
+ * tried again, with exponential backoff, even after the process restarts. Call
+ * start() to pick up messages left over from before and stop() to stop retrying.
+ *
+ * Each recipient's progress is dispatched as a `status` event carrying the message's
+ * `id` and `timestamp`, the recipient's `number`, their `status` ("queued", "sent",
+ * "failed" or "identity-changed"), the number of `attempts` so far and the `error`
+ * behind the last failure. Messages leave the store once every recipient has been
+ * sent them or given up on. Recipients whose identity changed stay in it until
+ * approveIdentity() or retry() queues them again.
+ */
+class Outbox extends EventTarget {
+  constructor(sender, options = {}) {
+    super();
+    this.sender = sender;
+    this.store = sender.store;
+    this.logger = sender.logger;
+    this.retryDelay = options.retryDelay || RETRY_DELAY;
+    this.maxRetryDelay = options.maxRetryDelay || MAX_RETRY_DELAY;
+    this.maxAttempts = options.maxAttempts || MAX_ATTEMPTS;
+    // Messages being sent, by id
+    this.items = new Map();
+    // The retry timer of each "id number" pair, or null while it's being sent
+    this.pending = new Map();
+  }
+
+  // Resumes sending the messages saved in the store. Recipients that are already
+  //   waiting for a retry, or being sent to, are left alone.
+  start() {
+    this.stopped = false;
+    return this.store.getAllOutboxItems().then(items =>
+      items.forEach(stored => {
+        const item = this.items.get(stored.id) || stored;
+        this.items.set(item.id, item);
+        Object.keys(item.recipients).forEach(number => {
+          const { status, nextAttemptAt } = item.recipients[number];
+          if (status === "queued") {
+            this.schedule(item, number, nextAttemptAt - Date.now());
+          }
+        });
+      })
+    );
+  }
+
+  stop() {
+    this.stopped = true;
+    this.pending.forEach((timer, key) => {
+      if (timer) {
+        clearTimeout(timer);
+        this.pending.delete(key);
+      }
+    });
+  }
+
+  // Queues `number` again for the message `id`, whatever became of them before, and
+  //   sends it to them right away
+  retry(id, number) {
+    return this.getItem(id).then(item => {
+      const recipient = item && item.recipients[number];
+      if (!recipient) {
+        throw new Error(`No outbox message ${id} for ${number}`);
+      }
+      const key = `${id} ${number}`;
+      if (this.pending.get(key) === null) {
+        return undefined;
+      }
+      clearTimeout(this.pending.get(key));
+      this.pending.delete(key);
+
+      recipient.attempts = 0;
+      recipient.nextAttemptAt = Date.now();
+      this.setStatus(item, number, "queued");
+      return this.save(item).then(() => this.attempt(item, [number]));
+    });
+  }
+
+  // Retries every message held up by `number`'s changed identity. Call it once the
+  //   new identity key is trusted in the ProtocolStore.
+  approveIdentity(number) {
+    return this.store.getAllOutboxItems().then(items =>
+      Promise.all(
+        items.map(stored => {
+          const item = this.items.get(stored.id) || stored;
+          const recipient = item.recipients[number];
+          return recipient && recipient.status === "identity-changed"
+            ? this.retry(item.id, number)
+            : undefined;
+        })
+      )
+    );
+  }
+
+  getItem(id) {
+    if (this.items.has(id)) {
+      return Promise.resolve(this.items.get(id));
+    }
+    return this.store.getAllOutboxItems().then(items => {
+      const item = items.find(stored => stored.id === id);
+      if (item) {
+        this.items.set(id, item);
+      }
+      return item;
+    });
+  }
+
+  // Prepares and queues a message like MessageSender#sendMessage. Resolves with the
+  //   message's outbox id once it's saved, without waiting for it to be sent.
+  sendMessage(attrs, options) {
+    return this.sender
+      .prepareMessage(attrs)
+      .then(message =>
+        this.enqueue(
+          message.recipients,
+          message.toProto(),
+          message.timestamp,
+          options
+        )
+      );
+  }
+
+  // Queues a Content (or DataMessage) proto for `numbers`. `options.sendMetadata`
+  //   and `options.silent` are kept with it, for every attempt.
+  enqueue(numbers, proto, timestamp, { sendMetadata, silent = false } = {}) {
+    const content =
+      proto.$type === DataMessage
+        ? Content.create({ dataMessage: proto })
+        : proto;
+    const item = {
+      id: `${timestamp}-${Buffer.from(crypto.getRandomBytes(8)).toString(
+        "hex"
+      )}`,
+      timestamp,
+      content: Buffer.from(Content.encode(content).finish()).toString("base64"),
+      sendMetadata: sendMetadata || {},
+      silent,
+      recipients: {}
+    };
+    numbers.forEach(number => {
+      item.recipients[number] = {
+        status: "queued",
+        attempts: 0,
+        nextAttemptAt: Date.now()
+      };
+    });
+
+    return this.store.addOutboxItem(item).then(() => {
+      this.items.set(item.id, item);
+      numbers.forEach(number => this.dispatchStatus(item, number));
+      this.attempt(item, numbers);
+      return item.id;
+    });
+  }
+
+  schedule(item, number, delay) {
+    const key = `${item.id} ${number}`;
+    if (this.stopped || this.pending.has(key)) {
+      return;
+    }
+    const timer = setTimeout(
+      () => this.attempt(item, [number]),
+      Math.max(delay, 0)
+    );
+    this.pending.set(key, timer);
+  }
+
+  attempt(item, numbers) {
+    numbers.forEach(number => {
+      // eslint-disable-next-line no-param-reassign
+      item.recipients[number].attempts += 1;
+      this.pending.set(`${item.id} ${number}`, null);
+    });
+    const settle = () =>
+      numbers.forEach(number => this.pending.delete(`${item.id} ${number}`));
+
+    const content = Content.decode(Buffer.from(item.content, "base64"));
+    const callback = res => {
+      settle();
+      res.successfulNumbers.forEach(number => {
+        this.setStatus(item, number, "sent");
+      });
+      res.errors.forEach(error => this.handleError(item, error.number, error));
+      return this.save(item);
+    };
+    try {
+      this.sender.sendMessageProto(
+        item.timestamp,
+        numbers,
+        content,
+        callback,
+        item.silent,
+        { sendMetadata: item.sendMetadata }
+      );
+    } catch (error) {
+      settle();
+      numbers.forEach(number => this.handleError(item, number, error));
+      this.save(item);
+    }
+  }
+
+  handleError(item, number, error) {
+    const recipient = item.recipients[number];
+    if (error instanceof errors.OutgoingIdentityKeyError) {
+      this.setStatus(item, number, "identity-changed", error);
+    } else if (
+      RETRYABLE_ERRORS.includes(error.name) &&
+      recipient.attempts < this.maxAttempts
+    ) {
+      const backoff = Math.min(
+        this.maxRetryDelay,
+        this.retryDelay * 2 ** (recipient.attempts - 1)
+      );
+      const delay = Math.max(backoff, error.retryAfter || 0);
+      recipient.nextAttemptAt = Date.now() + delay;
+      this.setStatus(item, number, "queued", error);
+      this.schedule(item, number, delay);
+    } else {
+      this.setStatus(item, number, "failed", error);
+    }
+  }
+
+  setStatus(item, number, status, error) {
+    // eslint-disable-next-line no-param-reassign
+    item.recipients[number].status = status;
+    this.dispatchStatus(item, number, error);
+  }
+
+  dispatchStatus(item, number, error) {
+    const ev = new Event("status");
+    ev.id = item.id;
+    ev.timestamp = item.timestamp;
+    ev.number = number;
+    ev.status = item.recipients[number].status;
+    ev.attempts = item.recipients[number].attempts;
+    if (error) {
+      ev.error = error;
+    }
+    this.dispatchEvent(ev);
+  }
+
+  save(item) {
+    const done = Object.keys(item.recipients).every(number =>
+      ["sent", "failed"].includes(item.recipients[number].status)
+    );
+    if (done) {
+      this.items.delete(item.id);
+    }
+    const saved = done
+      ? this.store.removeOutboxItem(item.id)
+      : this.store.updateOutboxItem(item.id, item);
+    return saved.catch(error => {
+      this.logger.error("Failed to save outbox item", {
+        id: item.id,
+        error: error && error.stack ? error.stack : error
+      });
+    });
+  }
+}
+
+exports = module.exports = Outbox;
@@ -7,13 +7,25 @@
 const btoa = require("btoa");
 const libsignal = require("@throneless/libsignal-protocol");
 const errors = require("./errors.js");
+const { createLogger } = require("./logger.js");
 const Message = require("./message.js");
 const protobuf = require("./protobufs.js");
+const { SecretSessionCipher } = require("./SecretSessionCipher.js");
 const Content = protobuf.lookupType("signalservice.Content");
 const DataMessage = protobuf.lookupType("signalservice.DataMessage");
+const Envelope = protobuf.lookupType("signalservice.Envelope");
 
 class OutgoingMessage {
-  constructor(server, store, timestamp, numbers, message, silent, callback) {
+  constructor(
+    server,
+    store,
+    timestamp,
+    numbers,
+    message,
+    silent,
+    callback,
+    options = {}
+  ) {
     if (message.$type === DataMessage) {
       const content = Content.create();
       content.dataMessage = message;
@@ -27,10 +39,37 @@ class OutgoingMessage {
     this.message = message; // ContentMessage proto
     this.callback = callback;
     this.silent = silent;
+    // Online-only messages are dropped rather than queued for offline devices
+    this.online = Boolean(options.online);
+    this.logger = createLogger(options.logger);
+    // Recipients with an entry here ({ accessKey }) get sealed messages, which don't
+    //   tell the server who sent them. Sealing needs our `senderCertificate` too.
+    this.sendMetadata = options.sendMetadata || {};
+    this.senderCertificate = options.senderCertificate;
 
     this.numbersCompleted = 0;
     this.errors = [];
     this.successfulNumbers = [];
+    // Recipients whose access key the server turned down, and who got an ordinary
+    //   message instead
+    this.failoverNumbers = [];
+    this.unidentifiedDeliveries = [];
+  }
+
+  // The access key to seal messages to `number` with, if we should
+  getAccessKey(number) {
+    const { accessKey } = this.sendMetadata[number] || {};
+    if (!accessKey || this.failoverNumbers.includes(number)) {
+      return null;
+    }
+    return accessKey;
+  }
+
+  failover(number) {
+    if (!this.failoverNumbers.includes(number)) {
+      this.logger.warn("access key refused, sending unsealed", { number });
+      this.failoverNumbers.push(number);
+    }
   }
 
   numberCompleted() {
@@ -38,6 +77,8 @@ class OutgoingMessage {
     if (this.numbersCompleted >= this.numbers.length) {
       this.callback({
         successfulNumbers: this.successfulNumbers,
+        failoverNumbers: this.failoverNumbers,
+        unidentifiedDeliveries: this.unidentifiedDeliveries,
         errors: this.errors
       });
     }
@@ -92,33 +133,60 @@ class OutgoingMessage {
             );
             const builder = new libsignal.SessionBuilder(this.store, address);
             if (device.registrationId === 0) {
-              console.info("device registrationId 0!");
+              this.logger.info("device registrationId 0!", {
+                address: address.toString()
+              });
             }
-            return builder.processPreKey(device).catch(error => {
-              if (error.message === "Identity key changed") {
-                // eslint-disable-next-line no-param-reassign
-                error.timestamp = this.timestamp;
-                // eslint-disable-next-line no-param-reassign
-                error.originalMessage = Content.encode(this.message).finish();
-                // eslint-disable-next-line no-param-reassign
-                error.identityKey = device.identityKey;
-              }
-              throw error;
-            });
+            // processPreKey checks the identity too, but libsignal's session lock
+            //   leaves a copy of that rejection unhandled, so it's checked here first
+            return this.store
+              .isTrustedIdentity(number, device.identityKey)
+              .then(trusted => {
+                if (!trusted) {
+                  throw new Error("Identity key changed");
+                }
+                return builder.processPreKey(device);
+              })
+              .catch(error => {
+                if (error.message === "Identity key changed") {
+                  // eslint-disable-next-line no-param-reassign
+                  error.timestamp = this.timestamp;
+                  // eslint-disable-next-line no-param-reassign
+                  error.originalMessage = Content.encode(this.message).finish();
+                  // eslint-disable-next-line no-param-reassign
+                  error.identityKey = device.identityKey;
+                }
+                throw error;
+              });
           }
 
           return null;
         })
       );
 
+    const getKeys = deviceId => {
+      const accessKey = this.getAccessKey(number);
+      if (!accessKey) {
+        return this.server.getKeysForNumber(number, deviceId);
+      }
+      return this.server
+        .getKeysForNumberUnauth(number, deviceId, { accessKey })
+        .catch(error => {
+          if (error.code === 401 || error.code === 403) {
+            this.failover(number);
+            return this.server.getKeysForNumber(number, deviceId);
+          }
+          throw error;
+        });
+    };
+
     if (updateDevices === undefined) {
-      return this.server.getKeysForNumber(number).then(handleResult);
+      return getKeys().then(handleResult);
     }
     let promise = Promise.resolve();
     updateDevices.forEach(device => {
       promise = promise.then(() =>
-        this.server
-          .getKeysForNumber(number, device)
+        getKeys(device)
           .then(handleResult)
           .catch(e => {
             if (e.name === "HTTPError" && e.code === 404) {
@@ -136,26 +204,45 @@ class OutgoingMessage {
     return promise;
   }
 
-  transmitMessage(number, jsonData, timestamp) {
-    return this.server
-      .sendMessages(number, jsonData, timestamp, this.silent)
-      .catch(e => {
-        if (e.name === "HTTPError" && (e.code !== 409 && e.code !== 410)) {
-          // 409 and 410 should bubble and be handled by doSendMessage
-          // 404 should throw UnregisteredUserError
-          // all other network errors can be retried later.
-          if (e.code === 404) {
-            throw new errors.UnregisteredUserError(number, e);
-          }
-          throw new errors.SendMessageNetworkError(
-            number,
-            jsonData,
-            e,
-            timestamp
-          );
-        }
+  transmitMessage(number, jsonData, timestamp, { accessKey } = {}) {
+    const send = accessKey
+      ? this.server.sendMessagesUnauth(
+          number,
+          jsonData,
+          timestamp,
+          this.silent,
+          this.online,
+          { accessKey }
+        )
+      : this.server.sendMessages(
+          number,
+          jsonData,
+          timestamp,
+          this.silent,
+          this.online
+        );
+    return send.catch(e => {
+      if (e instanceof errors.RateLimitError) {
+        // The retry policy gave up waiting; keep the error so callers can see
+        //   when the server will take messages again.
         throw e;
-      });
+      }
+      if (e.name === "HTTPError" && (e.code !== 409 && e.code !== 410)) {
+        // 409 and 410 should bubble and be handled by doSendMessage
+        // 404 should throw UnregisteredUserError
+        // all other network errors can be retried later.
+        if (e.code === 404) {
+          throw new errors.UnregisteredUserError(number, e);
+        }
+        throw new errors.SendMessageNetworkError(
+          number,
+          jsonData,
+          e,
+          timestamp
+        );
+      }
+      throw e;
+    });
   }
 
   getPaddedMessageLength(messageLength) {
@@ -184,6 +271,7 @@ class OutgoingMessage {
   doSendMessage(number, deviceIds, recurse) {
     const ciphers = {};
     const plaintext = this.getPlaintext();
+    const accessKey = this.senderCertificate && this.getAccessKey(number);
 
     return Promise.all(
       deviceIds.map(deviceId => {
@@ -203,6 +291,20 @@ class OutgoingMessage {
           options
         );
         ciphers[address.getDeviceId()] = sessionCipher;
+        if (accessKey) {
+          const secretSessionCipher = new SecretSessionCipher(
+            this.store,
+            options
+          );
+          return secretSessionCipher
+            .encrypt(address, this.senderCertificate, plaintext)
+            .then(ciphertext => ({
+              type: Envelope.Type.UNIDENTIFIED_SENDER,
+              destinationDeviceId: address.getDeviceId(),
+              destinationRegistrationId: ciphertext.registrationId,
+              content: Buffer.from(ciphertext.body).toString("base64")
+            }));
+        }
         return sessionCipher.encrypt(plaintext).then(ciphertext => ({
           type: ciphertext.type,
           destinationDeviceId: address.getDeviceId(),
@@ -212,12 +314,21 @@ class OutgoingMessage {
       })
     )
       .then(jsonData =>
-        this.transmitMessage(number, jsonData, this.timestamp).then(() => {
+        this.transmitMessage(number, jsonData, this.timestamp, {
+          accessKey
+        }).then(() => {
+          if (accessKey) {
+            this.unidentifiedDeliveries.push(number);
+          }
           this.successfulNumbers[this.successfulNumbers.length] = number;
           this.numberCompleted();
         })
       )
       .catch(error => {
+        if (accessKey && (error.code === 401 || error.code === 403)) {
+          this.failover(number);
+          return this.doSendMessage(number, deviceIds, recurse);
+        }
         if (
           error instanceof Error &&
           error.name === "HTTPError" &&
@@ -258,10 +369,9 @@ class OutgoingMessage {
           error.timestamp = this.timestamp;
           // eslint-disable-next-line no-param-reassign
           error.originalMessage = Content.encode(this.message).finish();
-          console.error(
+          this.logger.error(
             'Got "key changed" error from encrypt - no identityKey for application layer',
-            number,
-            deviceIds
+            { number, deviceIds }
           );
           throw error;
         } else {
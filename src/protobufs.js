@@ -8,5 +8,7 @@ const protoPath = path.join(__dirname, "..", "protos", "SubProtocol.proto");
 exports = module.exports = protobuf.loadSync([
   path.join(__dirname, "..", "protos", "SubProtocol.proto"),
   path.join(__dirname, "..", "protos", "DeviceMessages.proto"),
-  path.join(__dirname, "..", "protos", "SignalService.proto")
+  path.join(__dirname, "..", "protos", "SignalService.proto"),
+  path.join(__dirname, "..", "protos", "StickerResources.proto"),
+  path.join(__dirname, "..", "protos", "UnidentifiedDelivery.proto")
 ]).root;
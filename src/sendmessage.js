@@ -2,11 +2,19 @@
  * vim: ts=2:sw=2:expandtab
  */
 var libsignal = require("@throneless/libsignal-protocol");
+var EventTarget = require("event-target-shim");
 var crypto = require("./crypto.js");
+var Event = require("./event.js");
 var errors = require("./errors.js");
 var OutgoingMessage = require("./outgoing_message.js");
+var { parseSenderCertificate } = require("./SecretSessionCipher.js");
 var createTaskWithTimeout = require("./task_with_timeout.js");
 var Message = require("./message.js");
+var {
+  ContactBufferWriter,
+  GroupBufferWriter
+} = require("./contacts_parser.js");
+var { downloadSticker, downloadStickerPack } = require("./sticker_packs.js");
 var protobuf = require("./protobufs.js");
 var AttachmentPointer = protobuf.lookupType("signalservice.AttachmentPointer");
 var Content = protobuf.lookupType("signalservice.Content");
@@ -14,6 +22,8 @@ var DataMessage = protobuf.lookupType("signalservice.DataMessage");
 var GroupContext = protobuf.lookupType("signalservice.GroupContext");
 var NullMessage = protobuf.lookupType("signalservice.NullMessage");
 var ReceiptMessage = protobuf.lookupType("signalservice.ReceiptMessage");
+var SyncMessage = protobuf.lookupType("signalservice.SyncMessage");
+var TypingMessage = protobuf.lookupType("signalservice.TypingMessage");
 var SyncMessageRequest = protobuf.lookupType(
   "signalservice.SyncMessage.Request"
 );
@@ -21,6 +31,46 @@ var SyncMessageSent = protobuf.lookupType("signalservice.SyncMessage.Sent");
 var Verified = protobuf.lookupType("signalservice.Verified");
 /* eslint-disable more/no-then, no-bitwise */
 
+// Sender certificates are replaced this long before they expire
+const CERTIFICATE_REFRESH_MARGIN = 24 * 60 * 60 * 1000;
+// How long a primary device trusts what the server said about its linked devices
+const LINKED_DEVICES_CACHE_TIME = 10 * 60 * 1000;
+
+// What send() takes besides `to`, `groupId` and `timestamp`; see Message for each
+const SEND_ATTRIBUTES = [
+  "body",
+  "attachments",
+  "quote",
+  "expireTimer",
+  "profileKey",
+  "contact",
+  "previews",
+  "sticker",
+  "viewOnce"
+];
+
+// Adds send()'s per-recipient view to a sendMessage result: `recipients` maps each
+//   number to { status: "sent", unidentified } or { status: "failed", error }.
+function withRecipients(res, timestamp) {
+  const recipients = {};
+  res.successfulNumbers.forEach(number => {
+    recipients[number] = {
+      status: "sent",
+      unidentified: res.unidentifiedDeliveries.includes(number)
+    };
+  });
+  res.errors.forEach(error => {
+    recipients[error.number] = { status: "failed", error };
+  });
+  return Object.assign(res, { timestamp, recipients });
+}
+
+// Conversations are either the number `recipient` or the group `groupId`, never both
+function isValidConversation(recipient, groupId) {
+  const id = recipient || groupId;
+  return Boolean(recipient) !== Boolean(groupId) && typeof id === "string";
+}
+
 function stringToArrayBuffer(str) {
   if (typeof str !== "string") {
     throw new Error("Passed non-string to stringToArrayBuffer");
@@ -33,9 +83,11 @@ function stringToArrayBuffer(str) {
   return res;
 }
 
-class MessageSender {
+class MessageSender extends EventTarget {
   constructor(username, password, store) {
+    super();
     this.server = this.constructor.WebAPI.connect({ username, password });
+    this.logger = this.constructor.WebAPI.logger;
     this.pendingMessages = {};
     this.store = store;
   }
@@ -57,33 +109,59 @@ class MessageSender {
       );
     }
 
-    const proto = new AttachmentPointer();
-    proto.key = libsignal.crypto.getRandomBytes(64);
+    const proto = AttachmentPointer.create();
+    const keys = crypto.getRandomBytes(64);
+    proto.key = new Uint8Array(keys);
+
+    const iv = crypto.getRandomBytes(16);
+    return crypto.encryptAttachment(attachment.data, keys, iv).then(result =>
+      this.server.putAttachment(result.ciphertext).then(id => {
+        proto.id = id;
+        proto.contentType = attachment.contentType;
+        proto.digest = new Uint8Array(result.digest);
+        if (attachment.fileName) {
+          proto.fileName = attachment.fileName;
+        }
+        if (attachment.size) {
+          proto.size = attachment.size;
+        }
+        if (attachment.flags) {
+          proto.flags = attachment.flags;
+        }
+        return proto;
+      })
+    );
+  }
 
-    const iv = libsignal.crypto.getRandomBytes(16);
-    return crypto
-      .encryptAttachment(attachment.data, proto.key, iv)
-      .then(result =>
-        this.server.putAttachment(result.ciphertext).then(id => {
-          proto.id = id;
-          proto.contentType = attachment.contentType;
-          proto.digest = result.digest;
-          if (attachment.fileName) {
-            proto.fileName = attachment.fileName;
-          }
-          if (attachment.size) {
-            proto.size = attachment.size;
-          }
-          if (attachment.flags) {
-            proto.flags = attachment.flags;
-          }
-          return proto;
-        })
-      );
+  // The certificate that sealed messages carry, in which the server vouches for our
+  //   number and identity key. It's cached in the store until shortly before it expires.
+  async getSenderCertificate() {
+    const cached = this.store.get("senderCertificate");
+    if (cached && cached.expires - CERTIFICATE_REFRESH_MARGIN > Date.now()) {
+      return parseSenderCertificate(Buffer.from(cached.serialized, "base64"));
+    }
+
+    this.logger.info("fetching sender certificate");
+    const { certificate } = await this.server.getSenderCertificate();
+    const parsed = parseSenderCertificate(Buffer.from(certificate, "base64"));
+    this.store.put("senderCertificate", {
+      serialized: certificate,
+      expires: parsed.expires
+    });
+    return parsed;
   }
 
   retransmitMessage(number, jsonData, timestamp) {
-    const outgoing = new OutgoingMessage(this.server);
+    const outgoing = new OutgoingMessage(
+      this.server,
+      this.store,
+      timestamp,
+      [number],
+      Content.create(),
+      false,
+      null,
+      { logger: this.logger }
+    );
     return outgoing.transmitMessage(number, jsonData, timestamp);
   }
 
@@ -150,7 +228,8 @@ class MessageSender {
   queueJobForNumber(number, runJob) {
     const taskWithTimeout = createTaskWithTimeout(
       runJob,
-      `queueJobForNumber ${number}`
+      `queueJobForNumber ${number}`,
+      { logger: this.logger }
     );
 
     const runPrevious = this.pendingMessages[number] || Promise.resolve();
@@ -213,32 +292,185 @@ class MessageSender {
     });
   }
 
-  sendMessage(attrs) {
+  uploadLinkPreviews(message) {
+    const makePointer = this.makeAttachmentPointer.bind(this);
+    const { previews } = message;
+
+    if (!previews || previews.length === 0) {
+      return Promise.resolve();
+    }
+
+    return Promise.all(
+      previews.map(preview => {
+        const { image } = preview;
+        if (!image) {
+          return null;
+        }
+
+        return makePointer(image).then(pointer => {
+          // eslint-disable-next-line no-param-reassign
+          preview.attachmentPointer = pointer;
+        });
+      })
+    ).catch(error => {
+      if (error instanceof Error && error.name === "HTTPError") {
+        throw new errors.MessageError(message, error);
+      } else {
+        throw error;
+      }
+    });
+  }
+
+  // A contact card's avatar (`contact.avatar.avatar`) is an attachment, uploaded like
+  //   the message's own
+  uploadContactAvatars(message) {
+    const makePointer = this.makeAttachmentPointer.bind(this);
+    const { contact } = message;
+
+    if (!contact || contact.length === 0) {
+      return Promise.resolve();
+    }
+
+    return Promise.all(
+      contact.map(item => {
+        const { avatar } = item;
+        if (!avatar || !avatar.avatar) {
+          return null;
+        }
+
+        return makePointer(avatar.avatar).then(pointer => {
+          // eslint-disable-next-line no-param-reassign
+          avatar.attachmentPointer = pointer;
+        });
+      })
+    ).catch(error => {
+      if (error instanceof Error && error.name === "HTTPError") {
+        throw new errors.MessageError(message, error);
+      } else {
+        throw error;
+      }
+    });
+  }
+
+  // Stickers travel with their image as an attachment, so recipients needn't fetch
+  //   the pack. Without `sticker.data` the image is taken from the pack on the CDN.
+  uploadSticker(message) {
+    const { sticker } = message;
+
+    if (!sticker) {
+      return Promise.resolve();
+    }
+
+    const getImage = sticker.data
+      ? Promise.resolve(sticker.data)
+      : downloadSticker(
+          this.server,
+          sticker.packId,
+          sticker.packKey,
+          sticker.stickerId
+        ).then(data => ({ data, contentType: "image/webp" }));
+
+    return getImage
+      .then(image => this.makeAttachmentPointer(image))
+      .then(pointer => {
+        // eslint-disable-next-line no-param-reassign
+        sticker.attachmentPointer = pointer;
+      })
+      .catch(error => {
+        if (error instanceof Error && error.name === "HTTPError") {
+          throw new errors.MessageError(message, error);
+        } else {
+          throw error;
+        }
+      });
+  }
+
+  // Builds a Message from `attrs` and uploads everything it carries as an attachment
+  prepareMessage(attrs) {
     const message = new Message(attrs);
     return Promise.all([
       this.uploadAttachments(message),
-      this.uploadThumbnails(message)
-    ]).then(
-      () =>
-        new Promise((resolve, reject) => {
-          this.sendMessageProto(
-            message.timestamp,
-            message.recipients,
-            message.toProto(),
-            res => {
-              res.dataMessage = message.toArrayBuffer();
-              if (res.errors.length > 0) {
-                reject(res);
-              } else {
-                resolve(res);
-              }
-            }
-          );
-        })
+      this.uploadThumbnails(message),
+      this.uploadLinkPreviews(message),
+      this.uploadContactAvatars(message),
+      this.uploadSticker(message)
+    ]).then(() => message);
+  }
+
+  // Messages built with `needsSync` are followed by their sync transcript, once any
+  //   recipient has them. A `sent` event, shaped like MessageReceiver's for transcripts,
+  //   announces every message that some recipient got.
+  sendMessage(attrs, options) {
+    return this.prepareMessage(attrs).then(message =>
+      new Promise(resolve => {
+        this.sendMessageProto(
+          message.timestamp,
+          message.recipients,
+          message.toProto(),
+          res => {
+            res.dataMessage = message.toArrayBuffer();
+            resolve(res);
+          },
+          false,
+          options
+        );
+      }).then(res => {
+        const expirationStartTimestamp = message.expireTimer
+          ? Date.now()
+          : undefined;
+        if (res.successfulNumbers.length > 0) {
+          const ev = new Event("sent");
+          ev.data = {
+            destination: message.group ? null : message.recipients[0],
+            timestamp: message.timestamp,
+            expirationStartTimestamp,
+            message
+          };
+          this.dispatchEvent(ev);
+        }
+        const sync =
+          message.needsSync && res.successfulNumbers.length > 0
+            ? this.sendTranscript(message, res, expirationStartTimestamp)
+            : Promise.resolve();
+        return sync.then(() => {
+          if (res.errors.length > 0) {
+            throw res;
+          }
+          return res;
+        });
+      })
     );
   }
 
-  sendMessageProto(timestamp, numbers, message, callback, silent) {
+  // A failed transcript doesn't fail the message; our other devices just miss it
+  sendTranscript(message, res, expirationStartTimestamp) {
+    return this.sendSyncMessage(
+      res.dataMessage,
+      message.timestamp,
+      message.group ? undefined : message.recipients[0],
+      expirationStartTimestamp,
+      res.unidentifiedDeliveries
+    ).catch(error => {
+      this.logger.warn("failed to send sync transcript", {
+        timestamp: message.timestamp,
+        error: error && error.stack ? error.stack : error
+      });
+    });
+  }
+
+  // `options.sendMetadata` chooses, per recipient, between sealed and ordinary
+  //   messages: recipients mapped to { accessKey } are sent sealed messages, which
+  //   don't tell the server who sent them. Anyone else gets an ordinary one, as does
+  //   a recipient whose access key the server refuses. `options.online` messages are
+  //   only delivered to devices that are connected.
+  sendMessageProto(
+    timestamp,
+    numbers,
+    message,
+    callback,
+    silent,
+    options = {}
+  ) {
     const rejections = this.store.get("signedKeyRotationRejected", 0);
     if (rejections > 5) {
       throw new errors.SignedPreKeyRotationError(
@@ -248,18 +480,41 @@ class MessageSender {
       );
     }
 
-    const outgoing = new OutgoingMessage(
-      this.server,
-      this.store,
-      timestamp,
-      numbers,
-      message,
-      silent,
-      callback
+    const sendMetadata = options.sendMetadata || {};
+    const sealed = numbers.some(
+      number => sendMetadata[number] && sendMetadata[number].accessKey
+    );
+    const senderCertificate = sealed
+      ? this.getSenderCertificate().catch(error => {
+          this.logger.warn("no sender certificate, sending unsealed", {
+            error: error && error.stack ? error.stack : error
+          });
+          return undefined;
+        })
+      : Promise.resolve(undefined);
+    const outgoing = senderCertificate.then(
+      certificate =>
+        new OutgoingMessage(
+          this.server,
+          this.store,
+          timestamp,
+          numbers,
+          message,
+          silent,
+          callback,
+          {
+            logger: this.logger,
+            sendMetadata,
+            senderCertificate: certificate,
+            online: options.online
+          }
+        )
     );
 
     numbers.forEach(number => {
-      this.queueJobForNumber(number, () => outgoing.sendToNumber(number));
+      this.queueJobForNumber(number, () =>
+        outgoing.then(outgoingMessage => outgoingMessage.sendToNumber(number))
+      );
     });
   }
 
@@ -276,7 +531,7 @@ class MessageSender {
     });
   }
 
-  sendIndividualProto(number, proto, timestamp, silent) {
+  sendIndividualProto(number, proto, timestamp, silent, options) {
     return new Promise((resolve, reject) => {
       const callback = res => {
         if (res.errors.length > 0) {
@@ -285,37 +540,87 @@ class MessageSender {
           resolve(res);
         }
       };
-      this.sendMessageProto(timestamp, [number], proto, callback, silent);
+      this.sendMessageProto(
+        timestamp,
+        [number],
+        proto,
+        callback,
+        silent,
+        options
+      );
     });
   }
 
   createSyncMessage() {
-    const syncMessage = new SyncMessage();
+    const syncMessage = SyncMessage.create();
 
     // Generate a random int from 1 and 512
-    const buffer = libsignal.crypto.getRandomBytes(1);
+    const buffer = crypto.getRandomBytes(1);
     const paddingLength = (new Uint8Array(buffer)[0] & 0x1ff) + 1;
 
     // Generate a random padding buffer of the chosen size
-    syncMessage.padding = libsignal.crypto.getRandomBytes(paddingLength);
+    syncMessage.padding = new Uint8Array(crypto.getRandomBytes(paddingLength));
 
     return syncMessage;
   }
 
+  // Whether our account has other devices to keep in sync. A linked device always
+  //   has its primary; a primary asks the server, caching the answer for a while.
+  hasLinkedDevices() {
+    const myDevice = this.store.userGetDeviceId();
+    if (myDevice !== 1 && myDevice !== "1") {
+      return Promise.resolve(true);
+    }
+
+    const cached = this.linkedDevices;
+    if (cached && cached.checkedAt + LINKED_DEVICES_CACHE_TIME > Date.now()) {
+      return cached.result;
+    }
+    const result = this.server.getDevices().then(
+      ({ devices }) => devices.length > 1,
+      error => {
+        this.linkedDevices = null;
+        this.logger.warn("couldn't list our devices, not syncing", {
+          error: error && error.stack ? error.stack : error
+        });
+        return false;
+      }
+    );
+    this.linkedDevices = { checkedAt: Date.now(), result };
+    return result;
+  }
+
+  // Sends `syncMessage` to our other devices, if we have any
+  sendToLinkedDevices(syncMessage) {
+    return this.hasLinkedDevices().then(linked => {
+      if (!linked) {
+        return undefined;
+      }
+
+      const contentMessage = Content.create();
+      contentMessage.syncMessage = syncMessage;
+
+      const silent = true;
+      return this.sendIndividualProto(
+        this.store.userGetNumber(),
+        contentMessage,
+        Date.now(),
+        silent
+      );
+    });
+  }
+
+  // Sends our other devices the transcript of a message we sent, so they show it too.
+  //   `unidentifiedDeliveries` lists the recipients we sent it sealed.
   sendSyncMessage(
     encodedDataMessage,
     timestamp,
     destination,
-    expirationStartTimestamp
+    expirationStartTimestamp,
+    unidentifiedDeliveries = []
   ) {
-    const myNumber = this.store.userGetNumber();
-    const myDevice = this.store.userGetDeviceId();
-    if (myDevice === 1 || myDevice === "1") {
-      return Promise.resolve();
-    }
-
-    const dataMessage = DataMessage.decode(encodedDataMessage);
-    const sentMessage = new SyncMessage.Sent();
+    const dataMessage = DataMessage.decode(new Uint8Array(encodedDataMessage));
+    const sentMessage = SyncMessage.Sent.create();
     sentMessage.timestamp = timestamp;
     sentMessage.message = dataMessage;
     if (destination) {
@@ -324,18 +629,28 @@ class MessageSender {
     if (expirationStartTimestamp) {
       sentMessage.expirationStartTimestamp = expirationStartTimestamp;
     }
+    sentMessage.unidentifiedStatus = unidentifiedDeliveries.map(number =>
+      SyncMessage.Sent.UnidentifiedDeliveryStatus.create({
+        destination: number,
+        unidentified: true
+      })
+    );
     const syncMessage = this.createSyncMessage();
     syncMessage.sent = sentMessage;
-    const contentMessage = new Content();
-    contentMessage.syncMessage = syncMessage;
 
-    const silent = true;
-    return this.sendIndividualProto(
-      myNumber,
-      contentMessage,
-      Date.now(),
-      silent
-    );
+    return this.sendToLinkedDevices(syncMessage);
+  }
+
+  // Tells our other devices that we opened the view-once message `sender` sent at
+  //   `timestamp`, so that they erase its media too.
+  syncViewOnceOpen(sender, timestamp) {
+    const syncMessage = this.createSyncMessage();
+    syncMessage.viewOnceOpen = SyncMessage.ViewOnceOpen.create({
+      sender,
+      timestamp
+    });
+
+    return this.sendToLinkedDevices(syncMessage);
   }
 
   getProfile(number) {
@@ -344,16 +659,20 @@ class MessageSender {
   getAvatar(path) {
     return this.server.getAvatar(path);
   }
+  getStickerPack(packId, packKey) {
+    return downloadStickerPack(this.server, packId, packKey);
+  }
 
-  sendRequestConfigurationSyncMessage() {
+  // Linked devices ask the primary for what the server doesn't keep, like our contacts
+  sendSyncRequest(type) {
     const myNumber = this.store.userGetNumber();
     const myDevice = this.store.userGetDeviceId();
     if (myDevice !== 1 && myDevice !== "1") {
-      const request = new SyncMessage.Request();
-      request.type = SyncMessage.Request.Type.CONFIGURATION;
+      const request = SyncMessage.Request.create();
+      request.type = type;
       const syncMessage = this.createSyncMessage();
       syncMessage.request = request;
-      const contentMessage = new Content();
+      const contentMessage = Content.create();
       contentMessage.syncMessage = syncMessage;
 
       const silent = true;
@@ -367,87 +686,209 @@ class MessageSender {
 
     return Promise.resolve();
   }
+  sendRequestConfigurationSyncMessage() {
+    return this.sendSyncRequest(SyncMessage.Request.Type.CONFIGURATION);
+  }
+  sendRequestBlockedSyncMessage() {
+    return this.sendSyncRequest(SyncMessage.Request.Type.BLOCKED);
+  }
   sendRequestGroupSyncMessage() {
-    const myNumber = this.store.userGetNumber();
-    const myDevice = this.store.userGetDeviceId();
-    if (myDevice !== 1 && myDevice !== "1") {
-      const request = new SyncMessage.Request();
-      request.type = SyncMessage.Request.Type.GROUPS;
-      const syncMessage = this.createSyncMessage();
-      syncMessage.request = request;
-      const contentMessage = new Content();
-      contentMessage.syncMessage = syncMessage;
+    return this.sendSyncRequest(SyncMessage.Request.Type.GROUPS);
+  }
+  sendRequestContactSyncMessage() {
+    return this.sendSyncRequest(SyncMessage.Request.Type.CONTACTS);
+  }
 
-      const silent = true;
-      return this.sendIndividualProto(
-        myNumber,
-        contentMessage,
-        Date.now(),
-        silent
-      );
+  // Answers a SyncMessage.Request from one of our linked devices. That's the primary's
+  //   job, since it keeps the only full copy of our contacts, groups and settings.
+  answerSyncRequest(type) {
+    // The request itself shows that we have a linked device, whatever the cache says
+    this.linkedDevices = {
+      checkedAt: Date.now(),
+      result: Promise.resolve(true)
+    };
+    switch (type) {
+      case SyncMessage.Request.Type.CONTACTS:
+        return this.syncContacts();
+      case SyncMessage.Request.Type.GROUPS:
+        return this.syncGroups();
+      case SyncMessage.Request.Type.BLOCKED:
+        return this.syncBlocked();
+      case SyncMessage.Request.Type.CONFIGURATION:
+        return this.syncConfiguration();
+      default:
+        return Promise.reject(new Error(`Unknown sync request type ${type}`));
     }
+  }
 
-    return Promise.resolve();
+  // Sends our linked devices every contact from the store's getAllContacts, marking
+  //   the ones we blocked
+  syncContacts() {
+    const blocked = this.store.get("blocked", []);
+    return this.store
+      .getAllContacts()
+      .then(contacts => {
+        const writer = new ContactBufferWriter();
+        contacts.forEach(contact =>
+          writer.write({
+            number: contact.number,
+            name: contact.name,
+            color: contact.color,
+            profileKey: contact.profileKey
+              ? new Uint8Array(contact.profileKey)
+              : undefined,
+            blocked: blocked.includes(contact.number),
+            expireTimer: contact.expireTimer,
+            avatar: contact.avatar
+          })
+        );
+        return this.uploadSyncBlob(writer.toArrayBuffer());
+      })
+      .then(blob => {
+        const syncMessage = this.createSyncMessage();
+        syncMessage.contacts = SyncMessage.Contacts.create({
+          blob,
+          complete: true
+        });
+        return this.sendToLinkedDevices(syncMessage);
+      });
   }
 
-  sendRequestContactSyncMessage() {
-    const myNumber = this.store.userGetNumber();
-    const myDevice = this.store.userGetDeviceId();
-    if (myDevice !== 1 && myDevice !== "1") {
-      const request = new SyncMessage.Request();
-      request.type = SyncMessage.Request.Type.CONTACTS;
-      const syncMessage = this.createSyncMessage();
-      syncMessage.request = request;
-      const contentMessage = new Content();
-      contentMessage.syncMessage = syncMessage;
+  // Sends our linked devices the groups in the store, with their members
+  syncGroups() {
+    return this.store
+      .groupsGetAllGroups()
+      .then(groups => {
+        const writer = new GroupBufferWriter();
+        groups.forEach(group =>
+          writer.write({
+            id: new Uint8Array(stringToArrayBuffer(group.id)),
+            name: group.name,
+            members: group.numbers,
+            active: true,
+            expireTimer: group.expireTimer,
+            avatar: group.avatar
+          })
+        );
+        return this.uploadSyncBlob(writer.toArrayBuffer());
+      })
+      .then(blob => {
+        const syncMessage = this.createSyncMessage();
+        syncMessage.groups = SyncMessage.Groups.create({ blob });
+        return this.sendToLinkedDevices(syncMessage);
+      });
+  }
 
-      const silent = true;
-      return this.sendIndividualProto(
-        myNumber,
-        contentMessage,
-        Date.now(),
-        silent
-      );
+  // Who we block is kept in the store, as the "blocked" numbers and "blocked-groups"
+  //   ids that MessageReceiver drops messages from, and synced to our linked devices.
+  //   A change fires a `blocked` event with the new `numbers` and `groupIds`, like the
+  //   one MessageReceiver fires for changes made on our other devices.
+  block(number) {
+    if (number === this.store.userGetNumber()) {
+      return Promise.reject(new Error("Can't block our own number"));
+    }
+    return this.updateBlocked("blocked", number, true);
+  }
+  unblock(number) {
+    return this.updateBlocked("blocked", number, false);
+  }
+  blockGroup(groupId) {
+    return this.updateBlocked("blocked-groups", groupId, true);
+  }
+  unblockGroup(groupId) {
+    return this.updateBlocked("blocked-groups", groupId, false);
+  }
+  updateBlocked(key, value, blocked) {
+    if (typeof value !== "string" || !value.length) {
+      return Promise.reject(new TypeError(`Invalid ${key} entry: ${value}`));
+    }
+    const previous = this.store.get(key, []);
+    const list = previous.filter(item => item !== value);
+    if (blocked) {
+      list.push(value);
+    }
+    this.store.put(key, list);
+    if (blocked !== previous.includes(value)) {
+      const ev = new Event("blocked");
+      ev.blocked = {
+        numbers: this.store.get("blocked", []),
+        groupIds: this.store.get("blocked-groups", [])
+      };
+      this.dispatchEvent(ev);
     }
+    return this.syncBlocked();
+  }
 
-    return Promise.resolve();
+  // Sends our linked devices the numbers and groups we blocked
+  syncBlocked() {
+    const syncMessage = this.createSyncMessage();
+    syncMessage.blocked = SyncMessage.Blocked.create({
+      numbers: this.store.get("blocked", []),
+      groupIds: this.store
+        .get("blocked-groups", [])
+        .map(groupId => new Uint8Array(stringToArrayBuffer(groupId)))
+    });
+    return this.sendToLinkedDevices(syncMessage);
   }
-  sendReadReceipts(sender, timestamps) {
-    const receiptMessage = new ReceiptMessage();
-    receiptMessage.type = ReceiptMessage.Type.READ;
-    receiptMessage.timestamp = timestamps;
 
-    const contentMessage = new Content();
+  // Sends our linked devices our settings, which is whether we send read receipts
+  syncConfiguration() {
+    const syncMessage = this.createSyncMessage();
+    syncMessage.configuration = SyncMessage.Configuration.create({
+      readReceipts: Boolean(this.store.get("read-receipts-setting", false))
+    });
+    return this.sendToLinkedDevices(syncMessage);
+  }
+
+  // Encrypts and uploads a contact or group sync blob, resolving its AttachmentPointer
+  uploadSyncBlob(data) {
+    return this.makeAttachmentPointer({
+      data,
+      contentType: "application/octet-stream"
+    });
+  }
+
+  sendDeliveryReceipts(sender, timestamps, options) {
+    return this.sendReceiptMessage(
+      sender,
+      ReceiptMessage.Type.DELIVERY,
+      timestamps,
+      options
+    );
+  }
+  sendReadReceipts(sender, timestamps, options) {
+    return this.sendReceiptMessage(
+      sender,
+      ReceiptMessage.Type.READ,
+      timestamps,
+      options
+    );
+  }
+  sendReceiptMessage(sender, type, timestamps, options) {
+    const receiptMessage = ReceiptMessage.create({
+      type,
+      timestamp: timestamps
+    });
+
+    const contentMessage = Content.create();
     contentMessage.receiptMessage = receiptMessage;
 
     const silent = true;
-    return this.sendIndividualProto(sender, contentMessage, Date.now(), silent);
+    return this.sendIndividualProto(
+      sender,
+      contentMessage,
+      Date.now(),
+      silent,
+      options
+    );
   }
   syncReadMessages(reads) {
-    const myNumber = this.store.userGetNumber();
-    const myDevice = this.store.userGetDeviceId();
-    if (myDevice !== 1 && myDevice !== "1") {
-      const syncMessage = this.createSyncMessage();
-      syncMessage.read = [];
-      for (let i = 0; i < reads.length; i += 1) {
-        const read = new SyncMessage.Read();
-        read.timestamp = reads[i].timestamp;
-        read.sender = reads[i].sender;
-        syncMessage.read.push(read);
-      }
-      const contentMessage = new Content();
-      contentMessage.syncMessage = syncMessage;
-
-      const silent = true;
-      return this.sendIndividualProto(
-        myNumber,
-        contentMessage,
-        Date.now(),
-        silent
-      );
-    }
+    const syncMessage = this.createSyncMessage();
+    syncMessage.read = reads.map(({ timestamp, sender }) =>
+      SyncMessage.Read.create({ timestamp, sender })
+    );
 
-    return Promise.resolve();
+    return this.sendToLinkedDevices(syncMessage);
   }
   syncVerification(destination, state, identityKey) {
     const myNumber = this.store.userGetNumber();
@@ -492,7 +933,7 @@ class MessageSender {
     });
   }
 
-  sendGroupProto(providedNumbers, proto, timestamp = Date.now()) {
+  sendGroupProto(providedNumbers, proto, timestamp = Date.now(), options) {
     const me = this.store.userGetNumber();
     const numbers = providedNumbers.filter(number => number !== me);
     if (numbers.length === 0) {
@@ -502,7 +943,7 @@ class MessageSender {
     return new Promise((resolve, reject) => {
       const silent = true;
       const callback = res => {
-        res.dataMessage = proto.toArrayBuffer();
+        res.dataMessage = DataMessage.encode(proto).finish();
         if (res.errors.length > 0) {
           reject(res);
         } else {
@@ -510,7 +951,78 @@ class MessageSender {
         }
       };
 
-      this.sendMessageProto(timestamp, numbers, proto, callback, silent);
+      this.sendMessageProto(
+        timestamp,
+        numbers,
+        proto,
+        callback,
+        silent,
+        options
+      );
+    });
+  }
+
+  // Sends a message to the number `to` or to the other members of the group
+  //   `groupId`, with any of SEND_ATTRIBUTES. `timestamp` defaults to now, also when
+  //   it's null as the older wrappers may pass it. Resolves, or rejects if any
+  //   recipient failed, with sendMessage's result plus `timestamp` and the outcome for
+  //   each of the `recipients`.
+  send({ to, groupId, timestamp: providedTimestamp, ...attrs } = {}, options) {
+    const timestamp =
+      providedTimestamp === undefined || providedTimestamp === null
+        ? Date.now()
+        : providedTimestamp;
+    return Promise.resolve()
+      .then(() => {
+        if (Boolean(to) === Boolean(groupId)) {
+          throw new Error("Invalid send: needs either `to` or `groupId`");
+        }
+        if (
+          (to && typeof to !== "string") ||
+          (groupId && typeof groupId !== "string")
+        ) {
+          throw new Error("Invalid send: `to` and `groupId` must be strings");
+        }
+        if (typeof timestamp !== "number") {
+          throw new Error("Invalid send: `timestamp` must be a number");
+        }
+        const unknown = Object.keys(attrs).filter(
+          key => !SEND_ATTRIBUTES.includes(key)
+        );
+        if (unknown.length) {
+          throw new Error(
+            `Invalid send: unknown attributes ${unknown.join(", ")}`
+          );
+        }
+
+        return this.sendToConversation(
+          { recipient: to, groupId, timestamp, ...attrs },
+          options
+        );
+      })
+      .then(
+        res => withRecipients(res, timestamp),
+        error => {
+          throw error && error.errors
+            ? withRecipients(error, timestamp)
+            : error;
+        }
+      );
+  }
+
+  // The members of the group `groupId` that messages to it go to, which is all but us
+  getGroupRecipients(groupId) {
+    return this.store.groupsGetNumbers(groupId).then(targetNumbers => {
+      if (targetNumbers === undefined) {
+        throw new Error("Unknown Group");
+      }
+
+      const me = this.store.userGetNumber();
+      const numbers = targetNumbers.filter(number => number !== me);
+      if (numbers.length === 0) {
+        throw new Error("No other members in the group");
+      }
+      return numbers;
     });
   }
 
@@ -521,28 +1033,180 @@ class MessageSender {
     quote,
     timestamp,
     expireTimer,
-    profileKey
+    profileKey,
+    options
+  ) {
+    return this.send(
+      {
+        to: number,
+        body: messageText,
+        timestamp,
+        attachments,
+        quote,
+        expireTimer,
+        profileKey
+      },
+      options
+    );
+  }
+
+  // Reacts with `emoji` to the message `targetAuthor` sent at `targetTimestamp`, in
+  //   the conversation with `recipient` or in the group `groupId`. Sending the same
+  //   emoji with `remove` takes the reaction back.
+  sendReaction(
+    {
+      recipient,
+      groupId,
+      targetAuthor,
+      targetTimestamp,
+      emoji,
+      remove = false,
+      timestamp = Date.now()
+    } = {},
+    options
+  ) {
+    if (typeof emoji !== "string" || !emoji) {
+      return Promise.reject(new Error("Invalid reaction emoji"));
+    }
+    if (typeof targetAuthor !== "string" || !targetAuthor) {
+      return Promise.reject(new Error("Invalid target author"));
+    }
+    if (typeof targetTimestamp !== "number") {
+      return Promise.reject(new Error("Invalid target timestamp"));
+    }
+    const reaction = {
+      emoji,
+      remove,
+      targetAuthorE164: targetAuthor,
+      targetSentTimestamp: targetTimestamp
+    };
+    return this.sendToConversation(
+      { recipient, groupId, timestamp, reaction },
+      options
+    );
+  }
+
+  // Deletes the message we sent at `targetTimestamp` for everyone in the conversation
+  //   with `recipient` or in the group `groupId`.
+  deleteForEveryone(
+    targetTimestamp,
+    { recipient, groupId, timestamp = Date.now() } = {},
+    options
+  ) {
+    if (typeof targetTimestamp !== "number") {
+      return Promise.reject(new Error("Invalid target timestamp"));
+    }
+    return this.sendToConversation(
+      {
+        recipient,
+        groupId,
+        timestamp,
+        deletedForEveryoneTimestamp: targetTimestamp
+      },
+      options
+    );
+  }
+
+  // Sends a message built from `attrs` to `recipient` or to the other members of the
+  //   group `groupId`, and its sync transcript to our other devices.
+  sendToConversation({ recipient, groupId, ...attrs } = {}, options) {
+    if (!isValidConversation(recipient, groupId)) {
+      return Promise.reject(
+        new Error("Invalid conversation: needs either `recipient` or `groupId`")
+      );
+    }
+    return Promise.resolve(
+      groupId ? this.getGroupRecipients(groupId) : [recipient]
+    ).then(recipients =>
+      this.sendMessage(
+        {
+          ...attrs,
+          recipients,
+          needsSync: true,
+          group: groupId
+            ? { id: groupId, type: GroupContext.Type.DELIVER }
+            : undefined
+        },
+        options
+      )
+    );
+  }
+
+  // Shows (`action: "started"`) or hides (`"stopped"`) our typing indicator in the
+  //   conversation with `recipient` or in the group `groupId`. Typing messages only
+  //   reach devices that are online, and aren't synced to our other devices.
+  sendTypingMessage(
+    { recipient, groupId, action, timestamp = Date.now() } = {},
+    options = {}
   ) {
-    return this.sendMessage({
-      recipients: [number],
-      body: messageText,
+    const ACTIONS = {
+      started: TypingMessage.Action.STARTED,
+      stopped: TypingMessage.Action.STOPPED
+    };
+    if (!isValidConversation(recipient, groupId)) {
+      return Promise.reject(
+        new Error("Invalid typing: needs either `recipient` or `groupId`")
+      );
+    }
+    if (!(action in ACTIONS)) {
+      return Promise.reject(new Error(`Unknown typing action ${action}`));
+    }
+
+    const typingMessage = TypingMessage.create({
       timestamp,
-      attachments,
-      quote,
-      needsSync: true,
-      expireTimer,
-      profileKey
+      action: ACTIONS[action]
+    });
+    if (groupId) {
+      typingMessage.groupId = new Uint8Array(stringToArrayBuffer(groupId));
+    }
+    const contentMessage = Content.create({ typingMessage });
+
+    const getNumbers = groupId
+      ? this.store.groupsGetNumbers(groupId)
+      : Promise.resolve([recipient]);
+    return getNumbers.then(targetNumbers => {
+      if (targetNumbers === undefined) {
+        return Promise.reject(new Error("Unknown Group"));
+      }
+
+      const me = this.store.userGetNumber();
+      const numbers = targetNumbers.filter(number => number !== me);
+      if (numbers.length === 0) {
+        return Promise.resolve();
+      }
+
+      return new Promise((resolve, reject) => {
+        const silent = true;
+        const callback = res => {
+          if (res.errors.length > 0) {
+            reject(res);
+          } else {
+            resolve(res);
+          }
+        };
+        this.sendMessageProto(
+          timestamp,
+          numbers,
+          contentMessage,
+          callback,
+          silent,
+          Object.assign({}, options, { online: true })
+        );
+      });
     });
   }
 
   resetSession(number, timestamp) {
-    console.info("resetting secure session");
-    const proto = new DataMessage();
-    proto.body = "TERMINATE";
-    proto.flags = DataMessage.Flags.END_SESSION;
+    this.logger.info("resetting secure session");
+    const proto = DataMessage.create({
+      body: "TERMINATE",
+      flags: DataMessage.Flags.END_SESSION
+    });
 
     const logError = prefix => error => {
-      console.error(prefix, error && error.stack ? error.stack : error);
+      this.logger.error(prefix, {
+        error: error && error.stack ? error.stack : error
+      });
       throw error;
     };
     const deleteAllSessions = targetNumber =>
@@ -553,7 +1217,9 @@ class MessageSender {
               targetNumber,
               deviceId
             );
-            console.info("deleting sessions for", address.toString());
+            this.logger.info("deleting sessions", {
+              address: address.toString()
+            });
             const sessionCipher = new libsignal.SessionCipher(
               this.store,
               address
@@ -566,7 +1232,9 @@ class MessageSender {
     const sendToContact = deleteAllSessions(number)
       .catch(logError("resetSession/deleteAllSessions1 error:"))
       .then(() => {
-        console.info("finished closing local sessions, now sending to contact");
+        this.logger.info(
+          "finished closing local sessions, now sending to contact"
+        );
         return this.sendIndividualProto(number, proto, timestamp).catch(
           logError("resetSession/sendToContact error:")
         );
@@ -577,7 +1245,7 @@ class MessageSender {
         )
       );
 
-    const buffer = proto.toArrayBuffer();
+    const buffer = DataMessage.encode(proto).finish();
     const sendSync = this.sendSyncMessage(buffer, timestamp, number).catch(
       logError("resetSession/sendSync error:")
     );
@@ -592,34 +1260,21 @@ class MessageSender {
     quote,
     timestamp,
     expireTimer,
-    profileKey
+    profileKey,
+    options
   ) {
-    return this.store.groupsGetNumbers(groupId).then(targetNumbers => {
-      if (targetNumbers === undefined) {
-        return Promise.reject(new Error("Unknown Group"));
-      }
-
-      const me = this.store.userGetNumber();
-      const numbers = targetNumbers.filter(number => number !== me);
-      if (numbers.length === 0) {
-        return Promise.reject(new Error("No other members in the group"));
-      }
-
-      return this.sendMessage({
-        recipients: numbers,
+    return this.send(
+      {
+        groupId,
         body: messageText,
         timestamp,
         attachments,
         quote,
-        needsSync: true,
         expireTimer,
-        profileKey,
-        group: {
-          id: groupId,
-          type: GroupContext.Type.DELIVER
-        }
-      });
-    });
+        profileKey
+      },
+      options
+    );
   }
 
   createGroup(targetNumbers, name, avatar) {
@@ -730,7 +1385,8 @@ class MessageSender {
     groupId,
     expireTimer,
     timestamp,
-    profileKey
+    profileKey,
+    options
   ) {
     return this.store.groupsGetNumbers(groupId).then(targetNumbers => {
       if (targetNumbers === undefined)
@@ -741,18 +1397,21 @@ class MessageSender {
       if (numbers.length === 0) {
         return Promise.reject(new Error("No other members in the group"));
       }
-      return this.sendMessage({
-        recipients: numbers,
-        timestamp,
-        needsSync: true,
-        expireTimer,
-        profileKey,
-        flags: DataMessage.Flags.EXPIRATION_TIMER_UPDATE,
-        group: {
-          id: groupId,
-          type: GroupContext.Type.DELIVER
-        }
-      });
+      return this.sendMessage(
+        {
+          recipients: numbers,
+          timestamp,
+          needsSync: true,
+          expireTimer,
+          profileKey,
+          flags: DataMessage.Flags.EXPIRATION_TIMER_UPDATE,
+          group: {
+            id: groupId,
+            type: GroupContext.Type.DELIVER
+          }
+        },
+        options
+      );
     });
   }
 
@@ -760,20 +1419,25 @@ class MessageSender {
     number,
     expireTimer,
     timestamp,
-    profileKey
+    profileKey,
+    options
   ) {
-    return this.sendMessage({
-      recipients: [number],
-      timestamp,
-      needsSync: true,
-      expireTimer,
-      profileKey,
-      flags: DataMessage.Flags.EXPIRATION_TIMER_UPDATE
-    });
+    return this.sendMessage(
+      {
+        recipients: [number],
+        timestamp,
+        needsSync: true,
+        expireTimer,
+        profileKey,
+        flags: DataMessage.Flags.EXPIRATION_TIMER_UPDATE
+      },
+      options
+    );
   }
 }
 
 exports = module.exports = WebAPI => {
-  MessageSender.WebAPI = WebAPI;
-  return MessageSender;
+  class BoundMessageSender extends MessageSender {}
+  BoundMessageSender.WebAPI = WebAPI;
+  return BoundMessageSender;
 };
@@ -0,0 +1,67 @@
+/*
+ * vim: ts=2:sw=2:expandtab
+ */
+
+"use strict";
+
+const ByteBuffer = require("bytebuffer");
+const crypto = require("./crypto.js");
+const protobuf = require("./protobufs.js");
+const Pack = protobuf.lookupType("signalservice.Pack");
+
+/*
+ * Sticker packs
+ *
+ * A pack lives on the CDN as an encrypted manifest, listing the pack's title, author,
+ * cover and stickers, and one encrypted file per sticker. Messages refer to a sticker
+ * by pack id (hex), pack key (base64) and sticker id, and the pack key decrypts both.
+ */
+
+function decodePackKey(packKey) {
+  return ByteBuffer.wrap(packKey, "base64").toArrayBuffer();
+}
+
+// Resolves the decrypted image of one sticker in a pack, as an ArrayBuffer
+function downloadSticker(server, packId, packKey, stickerId) {
+  return server
+    .getSticker(packId, stickerId)
+    .then(ciphertext =>
+      crypto.decryptSticker(decodePackKey(packKey), ciphertext)
+    );
+}
+
+// Resolves { id, key, title, author, cover, stickers }, where cover and each sticker
+//   are { id, emoji, data } with data the decrypted image.
+function downloadStickerPack(server, packId, packKey) {
+  const key = decodePackKey(packKey);
+  return server
+    .getStickerPackManifest(packId)
+    .then(ciphertext => crypto.decryptSticker(key, ciphertext))
+    .then(plaintext => {
+      const manifest = Pack.decode(new Uint8Array(plaintext));
+      return Promise.all(
+        manifest.stickers.map(sticker =>
+          downloadSticker(server, packId, packKey, sticker.id).then(data => ({
+            id: sticker.id,
+            emoji: sticker.emoji,
+            data
+          }))
+        )
+      ).then(stickers => {
+        const coverId = manifest.cover ? manifest.cover.id : undefined;
+        return {
+          id: packId,
+          key: packKey,
+          title: manifest.title,
+          author: manifest.author,
+          cover: stickers.find(sticker => sticker.id === coverId) || null,
+          stickers
+        };
+      });
+    });
+}
+
+exports = module.exports = {
+  downloadSticker,
+  downloadStickerPack
+};
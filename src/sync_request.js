@@ -23,6 +23,7 @@ class SyncRequest extends EventTarget {
       );
     }
     this.receiver = receiver;
+    this.logger = receiver.logger;
 
     this.oncontact = this.onContactSyncComplete.bind(this);
     receiver.addEventListener("contactsync", this.oncontact);
@@ -30,18 +31,17 @@ class SyncRequest extends EventTarget {
     this.ongroup = this.onGroupSyncComplete.bind(this);
     receiver.addEventListener("groupsync", this.ongroup);
 
-    console.info("SyncRequest created. Sending contact sync message...");
+    this.logger.info("SyncRequest created. Sending contact sync message...");
     sender
       .sendRequestContactSyncMessage()
       .then(() => {
-        console.info("SyncRequest now sending group sync messsage...");
+        this.logger.info("SyncRequest now sending group sync messsage...");
         return sender.sendRequestGroupSyncMessage();
       })
       .catch(error => {
-        console.error(
-          "SyncRequest error:",
-          error && error.stack ? error.stack : error
-        );
+        this.logger.error("SyncRequest error", {
+          error: error && error.stack ? error.stack : error
+        });
       });
     this.timeout = setTimeout(this.onTimeout.bind(this), 60000);
   }
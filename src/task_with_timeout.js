@@ -1,8 +1,11 @@
+const { createLogger } = require("./logger.js");
+
 /* eslint-disable more/no-then */
 
 // eslint-disable-next-line func-names
 exports = module.exports = (task, id, options = {}) => {
   const timeout = options.timeout || 1000 * 60 * 2; // two minutes
+  const logger = createLogger(options.logger);
 
   const errorForStack = new Error("for stack");
   return () =>
@@ -15,7 +18,7 @@ exports = module.exports = (task, id, options = {}) => {
             errorForStack.stack
           }`;
 
-          console.error(message);
+          logger.error(message);
           return reject(new Error(message));
         }
 
@@ -29,11 +32,9 @@ exports = module.exports = (task, id, options = {}) => {
             clearTimeout(localTimer);
           }
         } catch (error) {
-          console.error(
-            id || "",
-            "task ran into problem canceling timer. Calling stack:",
-            errorForStack.stack
-          );
+          logger.error(`${id || ""} task ran into problem canceling timer`, {
+            stack: errorForStack.stack
+          });
         }
       };
 
@@ -1,13 +1,15 @@
 const WebSocket = require("websocket").w3cwebsocket;
 const fetch = require("node-fetch");
-var https = require("https");
+const https = require("https");
 const ProxyAgent = require("proxy-agent");
+const { URL } = require("url");
 
 const is = require("@sindresorhus/is");
+const { RateLimitError } = require("./errors.js");
+const { createLogger } = require("./logger.js");
 
 /* global Buffer: false */
 /* global setTimeout: false */
-/* global log: false */
 
 /* eslint-disable more/no-then, no-bitwise, no-nested-ternary */
 
@@ -119,6 +121,11 @@ function _base64ToBytes(sBase64, nBlocksSize) {
   return aBBytes;
 }
 
+// Sticker pack ids are 16 bytes, in hex
+function _isPackIdValid(packId) {
+  return is.string(packId) && /^[0-9a-f]{32}$/i.test(packId);
+}
+
 function _validateResponse(response, schema) {
   try {
     // eslint-disable-next-line guard-for-in, no-restricted-syntax
@@ -141,19 +148,161 @@ function _validateResponse(response, schema) {
   return true;
 }
 
-function _createSocket(url, { certificateAuthority, proxyUrl }) {
-  let requestOptions;
-  if (proxyUrl) {
-    requestOptions = {
-      ca: certificateAuthority,
-      agent: new ProxyAgent(proxyUrl)
+// Collects everything that decides how we talk to a host: which fetch to call, which
+//   agent to hand it (so a proxy applies to every request) and which TLS options to use.
+//   The pinned certificate authority only applies to our own server and CDN; any host
+//   can be given its own TLS options. Neither applies to requests made through an
+//   `agent` the caller passed in, which takes care of TLS itself.
+function _createTransport({
+  fetch: fetchImplementation,
+  agent,
+  certificateAuthority,
+  pinnedHosts = [],
+  proxyUrl,
+  tlsOptions = {}
+}) {
+  const agents = {};
+
+  function getTlsOptions(url) {
+    const { host } = new URL(url);
+    return {
+      ...(pinnedHosts.includes(host) ? { ca: certificateAuthority } : {}),
+      ...(tlsOptions[host] || {})
     };
-  } else {
-    requestOptions = {
-      ca: certificateAuthority
+  }
+
+  function getAgent(url) {
+    if (typeof agent === "function") {
+      return agent(url);
+    }
+    if (agent) {
+      return agent;
+    }
+
+    const { protocol, host } = new URL(url);
+    if (!proxyUrl && protocol !== "https:") {
+      return undefined;
+    }
+
+    const key = `${protocol}//${host}`;
+    if (!agents[key]) {
+      if (proxyUrl) {
+        agents[key] = new ProxyAgent(proxyUrl);
+        // agent-base merges these into the options of every request, so they reach
+        //   the TLS connection that is tunnelled through the proxy.
+        agents[key].options = getTlsOptions(url);
+      } else {
+        agents[key] = new https.Agent(getTlsOptions(url));
+      }
+    }
+    return agents[key];
+  }
+
+  return {
+    fetch: fetchImplementation || fetch,
+    getAgent,
+    getTlsOptions
+  };
+}
+
+// How failed requests are retried. Network failures and gateway errors of requests that
+//   are safe to repeat, and requests of any kind that couldn't reach the server at all,
+//   back off exponentially from `baseDelay` up to `maxDelay`, with up to `jitter` of
+//   each delay randomized. Rate limited requests, of any kind, wait for as long as
+//   Retry-After asks, unless that is longer than `maxRetryAfter`, in which case a
+//   RateLimitError is thrown right away. Every endpoint may retry at most `budget`
+//   times per `budgetInterval`, across all requests to it. `endpoints` overrides any
+//   of these per endpoint, e.g. { messages: { maxAttempts: 5 } }.
+const DEFAULT_RETRY_POLICY = {
+  maxAttempts: 3,
+  baseDelay: 1000,
+  maxDelay: 30000,
+  jitter: 0.2,
+  maxRetryAfter: 60000,
+  budget: 10,
+  budgetInterval: 60000,
+  endpoints: {}
+};
+
+const RATE_LIMIT_CODES = [413, 429];
+const RETRYABLE_CODES = [-1, 502, 503, 504];
+// Other requests, like sending messages or registering, might have gone through
+//   before failing, so repeating them could do it twice
+const IDEMPOTENT_VERBS = ["GET", "HEAD", "OPTIONS", "DELETE"];
+// Connection errors that mean the request never got to the server, so it's safe to send
+//   again whatever it was
+const UNREACHABLE_ERRORS = [
+  "ECONNREFUSED",
+  "EHOSTUNREACH",
+  "ENETUNREACH",
+  "ENOTFOUND",
+  "EAI_AGAIN"
+];
+
+function _createRetryPolicy(options = {}) {
+  const { endpoints = {}, ...defaults } = options;
+  const retries = {};
+
+  function getOptions(endpoint) {
+    return {
+      ...DEFAULT_RETRY_POLICY,
+      ...defaults,
+      ...(endpoints[endpoint] || {})
     };
   }
 
+  function getBackoff(policy, attempt) {
+    const delay = Math.min(
+      policy.maxDelay,
+      policy.baseDelay * 2 ** (attempt - 1)
+    );
+    return Math.round(delay * (1 - policy.jitter * Math.random()));
+  }
+
+  // Counts a retry against the endpoint's budget, or returns false if it's used up
+  function takeRetry(endpoint, policy) {
+    const now = Date.now();
+    const recent = (retries[endpoint] || []).filter(
+      time => now - time < policy.budgetInterval
+    );
+    retries[endpoint] = recent;
+    if (recent.length >= policy.budget) {
+      return false;
+    }
+    recent.push(now);
+    return true;
+  }
+
+  return {
+    getBackoff,
+    getOptions,
+    takeRetry
+  };
+}
+
+// Retry-After holds either a number of seconds or an HTTP date
+function _parseRetryAfter(value) {
+  if (!value) {
+    return undefined;
+  }
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+  const date = Date.parse(value);
+  if (!Number.isNaN(date)) {
+    return Math.max(0, date - Date.now());
+  }
+  return undefined;
+}
+
+function _createSocket(url, transport) {
+  const requestOptions = transport.getTlsOptions(url);
+  const agent = transport.getAgent(url.replace(/^ws/, "http"));
+  if (agent) {
+    requestOptions.agent = agent;
+  }
+
   // eslint-disable-next-line new-cap
   return new WebSocket(url, null, null, null, requestOptions);
 }
@@ -161,26 +310,19 @@ function _createSocket(url, { certificateAuthority, proxyUrl }) {
 function _promiseAjax(providedUrl, options) {
   return new Promise((resolve, reject) => {
     const url = providedUrl || `${options.host}/${options.path}`;
-    console.info(options.type, url);
+    const { logger } = options;
+    // Attachment locations carry signed query strings, so those never get logged
+    const logFields = { method: options.type, url: url.split("?")[0] };
+    logger.debug("request", logFields);
     const timeout =
       typeof options.timeout !== "undefined" ? options.timeout : 10000;
 
-    const { proxyUrl } = options;
-    let agent;
-    if (proxyUrl) {
-      agent = new ProxyAgent(proxyUrl);
-    }
-    const httpsOptions = {
-      ca: options.certificateAuthority
-    };
-    agent = new https.Agent(httpsOptions);
-
+    const { transport } = options;
     const fetchOptions = {
       method: options.type,
       body: options.data || null,
       headers: { "X-Signal-Agent": "OWD" },
-      agent,
-      ca: options.certificateAuthority,
+      agent: transport.getAgent(url),
       timeout
     };
 
@@ -193,7 +335,12 @@ function _promiseAjax(providedUrl, options) {
       fetchOptions.headers["Content-Length"] = contentLength;
     }
 
-    if (options.user && options.password) {
+    if (options.unidentifiedAccessKey) {
+      // Sealed requests carry the recipient's access key instead of our credentials
+      fetchOptions.headers["Unidentified-Access-Key"] = _btoa(
+        Buffer.from(options.unidentifiedAccessKey)
+      );
+    } else if (options.user && options.password) {
       const user = _getString(options.user);
       const password = _getString(options.password);
       const auth = _btoa(`${user}:${password}`);
@@ -202,7 +349,8 @@ function _promiseAjax(providedUrl, options) {
     if (options.contentType) {
       fetchOptions.headers["Content-Type"] = options.contentType;
     }
-    fetch(url, fetchOptions)
+    transport
+      .fetch(url, fetchOptions)
       .then(response => {
         let resultPromise;
         if (
@@ -223,10 +371,14 @@ function _promiseAjax(providedUrl, options) {
               result.byteOffset + result.byteLength
             );
           }
-          if (options.responseType === "json") {
+          // Error responses are rejected below, along with their Retry-After
+          if (options.responseType === "json" && response.status < 400) {
             if (options.validateResponse) {
               if (!_validateResponse(result, options.validateResponse)) {
-                console.error(options.type, url, response.status, "Error");
+                logger.error("invalid response", {
+                  ...logFields,
+                  status: response.status
+                });
                 reject(
                   HTTPError(
                     "promiseAjax: invalid response",
@@ -239,48 +391,90 @@ function _promiseAjax(providedUrl, options) {
             }
           }
           if (response.status >= 0 && response.status < 400) {
-            console.info(options.type, url, response.status, "Success");
+            logger.info("request succeeded", {
+              ...logFields,
+              status: response.status
+            });
             resolve(result, response.status);
           } else {
-            console.error(options.type, url, response.status, "Error");
-            reject(
-              HTTPError(
-                "promiseAjax: error response",
-                response.status,
-                result,
-                options.stack
-              )
+            logger.error("request failed", {
+              ...logFields,
+              status: response.status
+            });
+            const error = HTTPError(
+              "promiseAjax: error response",
+              response.status,
+              result,
+              options.stack
             );
+            const retryAfter = _parseRetryAfter(
+              response.headers.get("Retry-After")
+            );
+            if (retryAfter !== undefined) {
+              error.retryAfter = retryAfter;
+            }
+            reject(error);
           }
         });
       })
       .catch(e => {
-        console.error(options.type, url, 0, "Error");
+        logger.error("request failed", { ...logFields, status: 0 });
         const stack = `${e.stack}\nInitial stack:\n${options.stack}`;
-        reject(HTTPError("promiseAjax catch", 0, e.toString(), stack));
+        const error = HTTPError("promiseAjax catch", 0, e.toString(), stack);
+        error.unreachable = UNREACHABLE_ERRORS.includes(e.code);
+        reject(error);
       });
   });
 }
 
-function _retryAjax(url, options, providedLimit, providedCount) {
-  const count = (providedCount || 0) + 1;
-  const limit = providedLimit || 3;
-  return _promiseAjax(url, options).catch(e => {
-    if (e.name === "HTTPError" && e.code === -1 && count < limit) {
-      return new Promise(resolve => {
-        setTimeout(() => {
-          resolve(_retryAjax(url, options, limit, count));
-        }, 1000);
-      });
+// Calls `send` again for as long as the retry policy allows, whether it sends over REST
+//   or the message socket
+function _retryRequest(send, options, providedAttempt) {
+  const attempt = providedAttempt || 1;
+  const { endpoint, logger, retryPolicy } = options;
+  return send().catch(e => {
+    const rateLimited = RATE_LIMIT_CODES.includes(e.code);
+    const retryable =
+      RETRYABLE_CODES.includes(e.code) &&
+      (IDEMPOTENT_VERBS.includes(options.type) || e.unreachable);
+    if (e.name !== "HTTPError" || (!rateLimited && !retryable)) {
+      throw e;
+    }
+
+    const policy = retryPolicy.getOptions(endpoint);
+    const delay =
+      rateLimited && e.retryAfter !== undefined
+        ? e.retryAfter
+        : retryPolicy.getBackoff(policy, attempt);
+    const canRetry =
+      attempt < policy.maxAttempts &&
+      (!rateLimited || delay <= policy.maxRetryAfter) &&
+      retryPolicy.takeRetry(endpoint, policy);
+    if (!canRetry) {
+      if (rateLimited) {
+        throw new RateLimitError(endpoint, delay, e);
+      }
+      throw e;
     }
-    throw e;
+
+    logger.warn("retrying request", {
+      endpoint,
+      status: e.code,
+      attempt,
+      delay
+    });
+    return new Promise(resolve => {
+      setTimeout(() => {
+        resolve(_retryRequest(send, options, attempt + 1));
+      }, delay);
+    });
   });
 }
 
 function _outerAjax(url, options) {
   // eslint-disable-next-line no-param-reassign
   options.stack = new Error().stack; // just in case, save stack here.
-  return _retryAjax(url, options);
+  return _retryRequest(() => _promiseAjax(url, options), options);
 }
 
 function HTTPError(message, providedCode, response, stack) {
@@ -295,6 +489,94 @@ function HTTPError(message, providedCode, response, stack) {
   return e;
 }
 
+// Sends a request over an open WebSocketResource, settling like _promiseAjax does
+function _socketAjax(wsr, { body, logger, path, timeout = 10000, verb }) {
+  const stack = new Error().stack;
+  const logFields = { method: verb, path, transport: "websocket" };
+
+  logger.debug("request", logFields);
+  return wsr
+    .request({
+      verb,
+      path,
+      body,
+      headers: ["Content-Type:application/json"],
+      timeout
+    })
+    .then(
+      response => {
+        const result =
+          response.body && response.body.length
+            ? JSON.parse(Buffer.from(response.body).toString())
+            : null;
+        if (response.status >= 200 && response.status < 300) {
+          logger.info("request succeeded", {
+            ...logFields,
+            status: response.status
+          });
+          return result;
+        }
+        logger.error("request failed", {
+          ...logFields,
+          status: response.status
+        });
+        const error = HTTPError(
+          "socketAjax: error response",
+          response.status,
+          result,
+          stack
+        );
+        // Headers come as "Name:value" strings
+        const retryAfter = _parseRetryAfter(
+          (response.headers || [])
+            .map(header => header.match(/^Retry-After:\s*(.*)$/i))
+            .filter(Boolean)
+            .map(match => match[1])[0]
+        );
+        if (retryAfter !== undefined) {
+          error.retryAfter = retryAfter;
+        }
+        throw error;
+      },
+      e => {
+        logger.error("request failed", { ...logFields, status: 0 });
+        const error = HTTPError("socketAjax catch", 0, e.toString(), stack);
+        error.unsent = Boolean(e.unsent);
+        throw error;
+      }
+    );
+}
+
+// Gives errors from our own server a message that can be shown to the user
+function _translateError(e) {
+  let message;
+  switch (e.code) {
+    case -1:
+      message =
+        "Failed to connect to the server, please check your network connection.";
+      break;
+    case 403:
+      message = "Invalid code, please try again.";
+      break;
+    case 417:
+      // TODO: This shouldn't be a thing?, but its in the API doc?
+      message = "Number already registered.";
+      break;
+    case 401:
+      message =
+        "Invalid authentication, most likely someone re-registered and invalidated our registration.";
+      break;
+    case 404:
+      message = "Number is not registered.";
+      break;
+    default:
+      message = "The server rejected our query, please file a bug report.";
+  }
+  // eslint-disable-next-line no-param-reassign
+  e.message = message;
+  return e;
+}
+
 const URL_CALLS = {
   accounts: "v1/accounts",
   devices: "v1/devices",
@@ -302,6 +584,7 @@ const URL_CALLS = {
   signed: "v2/keys/signed",
   messages: "v1/messages",
   attachment: "v1/attachments",
+  deliveryCert: "v1/certificate/delivery",
   profile: "v1/profile"
 };
 
@@ -310,7 +593,16 @@ module.exports = {
 };
 
 // We first set up the data that won't change during this session of the app
-function initialize({ url, cdnUrl, certificateAuthority, proxyUrl }) {
+function initialize({
+  url,
+  cdnUrl,
+  certificateAuthority,
+  proxyUrl,
+  transport: transportOptions = {},
+  logger: providedLogger,
+  retryPolicy: retryPolicyOptions,
+  serverTrustRoot
+}) {
   if (!is.string(url)) {
     throw new Error("WebAPI.initialize: Invalid server url");
   }
@@ -321,10 +613,24 @@ function initialize({ url, cdnUrl, certificateAuthority, proxyUrl }) {
     throw new Error("WebAPI.initialize: Invalid certificateAuthority");
   }
 
+  const logger = createLogger(providedLogger);
+  const retryPolicy = _createRetryPolicy(retryPolicyOptions);
+  // Open message sockets by account number. MessageReceivers register theirs so that
+  //   messages can be sent over an already authenticated connection.
+  const messageSockets = {};
+  const transport = _createTransport({
+    ...transportOptions,
+    certificateAuthority,
+    pinnedHosts: [new URL(url).host, new URL(cdnUrl).host],
+    proxyUrl
+  });
+
   // Thanks to function-hoisting, we can put this return statement before all of the
   //   below function definitions.
   return {
-    connect
+    connect,
+    logger,
+    serverTrustRoot
   };
 
   // Then we connect to the server with user-specific information. This is the only API
@@ -336,77 +642,80 @@ function initialize({ url, cdnUrl, certificateAuthority, proxyUrl }) {
 
     // Thanks, function hoisting!
     return {
+      acknowledgeMessage,
+      acknowledgeMessageByGuid,
+      clearMessageSocket,
       confirmCode,
       getAttachment,
       getAvatar,
       getDevices,
       getKeysForNumber,
+      getKeysForNumberUnauth,
+      getMessages,
       getMessageSocket,
       getMyKeys,
       getProfile,
       getProvisioningSocket,
+      getSenderCertificate,
+      getSticker,
+      getStickerPackManifest,
       putAttachment,
       registerKeys,
       requestVerificationSMS,
       requestVerificationVoice,
       sendMessages,
+      sendMessagesUnauth,
+      setMessageSocket,
       setSignedPreKey
     };
 
+    // Sockets belong to one device, and a bare number is device 1
+    function _getAccount() {
+      const [number, deviceId = "1"] = String(username).split(".");
+      return `${number}.${deviceId}`;
+    }
+
+    function setMessageSocket(wsr) {
+      messageSockets[_getAccount()] = wsr;
+    }
+
+    function clearMessageSocket(wsr) {
+      if (messageSockets[_getAccount()] === wsr) {
+        delete messageSockets[_getAccount()];
+      }
+    }
+
     function _ajax(param) {
       if (!param.urlParameters) {
         // eslint-disable-next-line no-param-reassign
         param.urlParameters = "";
       }
       return _outerAjax(null, {
-        certificateAuthority,
         contentType: "application/json; charset=utf-8",
         data: param.jsonData && _jsonThing(param.jsonData),
+        endpoint: param.call,
         host: url,
+        logger,
         password,
         path: URL_CALLS[param.call] + param.urlParameters,
-        proxyUrl,
         responseType: param.responseType,
+        retryPolicy,
         timeout: param.timeout,
+        transport,
         type: param.httpType,
+        unidentifiedAccessKey: param.accessKey,
         user: username,
         validateResponse: param.validateResponse
       }).catch(e => {
-        const { code } = e;
-        if (code === 200) {
+        if (e instanceof RateLimitError) {
+          throw e;
+        }
+        if (e.code === 200) {
           // happens sometimes when we get no response
           // (TODO: Fix server to return 204? instead)
           return null;
         }
-        let message;
-        switch (code) {
-          case -1:
-            message =
-              "Failed to connect to the server, please check your network connection.";
-            break;
-          case 413:
-            message = "Rate limit exceeded, please try again later.";
-            break;
-          case 403:
-            message = "Invalid code, please try again.";
-            break;
-          case 417:
-            // TODO: This shouldn't be a thing?, but its in the API doc?
-            message = "Number already registered.";
-            break;
-          case 401:
-            message =
-              "Invalid authentication, most likely someone re-registered and invalidated our registration.";
-            break;
-          case 404:
-            message = "Number is not registered.";
-            break;
-          default:
-            message =
-              "The server rejected our query, please file a bug report.";
-        }
-        e.message = message;
-        throw e;
+        throw _translateError(e);
       });
     }
 
@@ -420,18 +729,43 @@ function initialize({ url, cdnUrl, certificateAuthority, proxyUrl }) {
     }
 
     function getAvatar(path) {
-      // Using _outerAJAX, since it's not hardcoded to the Signal Server. Unlike our
-      //   attachment CDN, it uses our self-signed certificate, so we pass it in.
+      return _getCdnFile(path);
+    }
+
+    function _getCdnFile(path) {
+      // Using _outerAJAX, since it's not hardcoded to the Signal Server
       return _outerAjax(`${cdnUrl}/${path}`, {
-        certificateAuthority,
         contentType: "application/octet-stream",
-        proxyUrl,
+        endpoint: "cdn",
+        logger,
         responseType: "arraybuffer",
+        retryPolicy,
         timeout: 0,
+        transport,
         type: "GET"
       });
     }
 
+    // Sticker packs are public files on the CDN; they're encrypted with the pack key
+    function getStickerPackManifest(packId) {
+      if (!_isPackIdValid(packId)) {
+        return Promise.reject(
+          new Error("getStickerPackManifest: pack ID was invalid")
+        );
+      }
+      return _getCdnFile(`stickers/${packId}/manifest.proto`);
+    }
+
+    function getSticker(packId, stickerId) {
+      if (!_isPackIdValid(packId)) {
+        return Promise.reject(new Error("getSticker: pack ID was invalid"));
+      }
+      if (!is.number(stickerId)) {
+        return Promise.reject(new Error("getSticker: sticker ID was invalid"));
+      }
+      return _getCdnFile(`stickers/${packId}/full/${stickerId}`);
+    }
+
     function requestVerificationSMS(number) {
       return _ajax({
         call: "accounts",
@@ -454,14 +788,21 @@ function initialize({ url, cdnUrl, certificateAuthority, proxyUrl }) {
       newPassword,
       signalingKey,
       registrationId,
-      deviceName
+      deviceName,
+      options = {}
     ) {
+      const { accessKey } = options;
       const jsonData = {
         signalingKey: _btoa(_getString(signalingKey)),
         supportsSms: false,
         fetchesMessages: true,
         registrationId
       };
+      if (accessKey) {
+        // Lets anyone who knows our profile key send us sealed messages
+        jsonData.unidentifiedAccessKey = _btoa(Buffer.from(accessKey));
+        jsonData.unrestrictedUnidentifiedAccess = false;
+      }
 
       let call;
       let urlPrefix;
@@ -501,7 +842,9 @@ function initialize({ url, cdnUrl, certificateAuthority, proxyUrl }) {
     function getDevices() {
       return _ajax({
         call: "devices",
-        httpType: "GET"
+        httpType: "GET",
+        responseType: "json",
+        validateResponse: { devices: "object" }
       });
     }
 
@@ -557,6 +900,43 @@ function initialize({ url, cdnUrl, certificateAuthority, proxyUrl }) {
       }).then(res => res.count);
     }
 
+    function handleKeys(res) {
+      if (res.devices.constructor !== Array) {
+        throw new Error("Invalid response");
+      }
+      res.identityKey = _base64ToBytes(res.identityKey);
+      res.devices.forEach(device => {
+        if (
+          !_validateResponse(device, { signedPreKey: "object" }) ||
+          !_validateResponse(device.signedPreKey, {
+            publicKey: "string",
+            signature: "string"
+          })
+        ) {
+          throw new Error("Invalid signedPreKey");
+        }
+        if (device.preKey) {
+          if (
+            !_validateResponse(device, { preKey: "object" }) ||
+            !_validateResponse(device.preKey, { publicKey: "string" })
+          ) {
+            throw new Error("Invalid preKey");
+          }
+          // eslint-disable-next-line no-param-reassign
+          device.preKey.publicKey = _base64ToBytes(device.preKey.publicKey);
+        }
+        // eslint-disable-next-line no-param-reassign
+        device.signedPreKey.publicKey = _base64ToBytes(
+          device.signedPreKey.publicKey
+        );
+        // eslint-disable-next-line no-param-reassign
+        device.signedPreKey.signature = _base64ToBytes(
+          device.signedPreKey.signature
+        );
+      });
+      return res;
+    }
+
     function getKeysForNumber(number, deviceId = "*") {
       return _ajax({
         call: "keys",
@@ -564,57 +944,150 @@ function initialize({ url, cdnUrl, certificateAuthority, proxyUrl }) {
         urlParameters: `/${number}/${deviceId}`,
         responseType: "json",
         validateResponse: { identityKey: "string", devices: "object" }
-      }).then(res => {
-        if (res.devices.constructor !== Array) {
-          throw new Error("Invalid response");
+      }).then(handleKeys);
+    }
+
+    // Fetches keys with the recipient's access key instead of our credentials, so
+    //   that the server can't tell who is about to send them a sealed message
+    function getKeysForNumberUnauth(
+      number,
+      deviceId = "*",
+      { accessKey } = {}
+    ) {
+      return _ajax({
+        call: "keys",
+        httpType: "GET",
+        urlParameters: `/${number}/${deviceId}`,
+        responseType: "json",
+        validateResponse: { identityKey: "string", devices: "object" },
+        accessKey
+      }).then(handleKeys);
+    }
+
+    // The server drops `online` messages, like typing indicators, for devices that
+    //   aren't connected rather than queueing them
+    function sendMessages(
+      destination,
+      messageArray,
+      timestamp,
+      silent,
+      online
+    ) {
+      const jsonData = { messages: messageArray, timestamp };
+
+      if (silent) {
+        jsonData.silent = true;
+      }
+      if (online) {
+        jsonData.online = true;
+      }
+
+      const sendOverRest = () =>
+        _ajax({
+          call: "messages",
+          httpType: "PUT",
+          urlParameters: `/${destination}`,
+          jsonData,
+          responseType: "json"
+        });
+
+      const wsr = messageSockets[_getAccount()];
+      if (!wsr || wsr.closed) {
+        return sendOverRest();
+      }
+
+      // Rate limits are retried, or become RateLimitErrors, just like over REST
+      return _retryRequest(
+        () =>
+          _socketAjax(wsr, {
+            body: Buffer.from(_jsonThing(jsonData)),
+            logger,
+            path: `/${URL_CALLS.messages}/${destination}`,
+            verb: "PUT"
+          }),
+        { endpoint: "messages", logger, retryPolicy, type: "PUT" }
+      ).catch(e => {
+        if (e instanceof RateLimitError) {
+          throw e;
         }
-        res.identityKey = _base64ToBytes(res.identityKey);
-        res.devices.forEach(device => {
-          if (
-            !_validateResponse(device, { signedPreKey: "object" }) ||
-            !_validateResponse(device.signedPreKey, {
-              publicKey: "string",
-              signature: "string"
-            })
-          ) {
-            throw new Error("Invalid signedPreKey");
-          }
-          if (device.preKey) {
-            if (
-              !_validateResponse(device, { preKey: "object" }) ||
-              !_validateResponse(device.preKey, { publicKey: "string" })
-            ) {
-              throw new Error("Invalid preKey");
-            }
-            // eslint-disable-next-line no-param-reassign
-            device.preKey.publicKey = _base64ToBytes(device.preKey.publicKey);
-          }
-          // eslint-disable-next-line no-param-reassign
-          device.signedPreKey.publicKey = _base64ToBytes(
-            device.signedPreKey.publicKey
-          );
-          // eslint-disable-next-line no-param-reassign
-          device.signedPreKey.signature = _base64ToBytes(
-            device.signedPreKey.signature
-          );
+        // Once the request went out the server may have the messages already, so
+        //   it's up to the caller whether to send them again
+        if (!e.unsent) {
+          throw _translateError(e);
+        }
+        logger.warn("the message socket closed before sending, using REST", {
+          error: e && e.stack ? e.stack : e
         });
-        return res;
+        return sendOverRest();
       });
     }
 
-    function sendMessages(destination, messageArray, timestamp, silent) {
+    // Sealed messages go over REST with the recipient's access key, never over our
+    //   own authenticated message socket
+    function sendMessagesUnauth(
+      destination,
+      messageArray,
+      timestamp,
+      silent,
+      online,
+      { accessKey } = {}
+    ) {
       const jsonData = { messages: messageArray, timestamp };
 
       if (silent) {
         jsonData.silent = true;
       }
+      if (online) {
+        jsonData.online = true;
+      }
 
       return _ajax({
         call: "messages",
         httpType: "PUT",
         urlParameters: `/${destination}`,
         jsonData,
-        responseType: "json"
+        responseType: "json",
+        accessKey
+      });
+    }
+
+    // A certificate in which the server vouches for our number, device and identity
+    //   key, for sealing messages with. The response is { certificate } in base64.
+    function getSenderCertificate() {
+      return _ajax({
+        call: "deliveryCert",
+        httpType: "GET",
+        responseType: "json",
+        validateResponse: { certificate: "string" }
+      });
+    }
+
+    // Queued messages, for clients that can't keep the message socket open. The
+    //   response is { messages, more }, with `more` set when another page is waiting.
+    function getMessages() {
+      return _ajax({
+        call: "messages",
+        httpType: "GET",
+        responseType: "json",
+        validateResponse: { messages: "object" }
+      });
+    }
+
+    // Removes a message fetched with getMessages from the server's queue
+    function acknowledgeMessage(source, timestamp) {
+      return _ajax({
+        call: "messages",
+        httpType: "DELETE",
+        urlParameters: `/${source}/${timestamp}`
+      });
+    }
+
+    // Sealed messages have no source to be acknowledged by, only the server's guid
+    function acknowledgeMessageByGuid(guid) {
+      return _ajax({
+        call: "messages",
+        httpType: "DELETE",
+        urlParameters: `/uuid/${guid}`
       });
     }
 
@@ -629,9 +1102,12 @@ function initialize({ url, cdnUrl, certificateAuthority, proxyUrl }) {
         // Using _outerAJAX, since it's not hardcoded to the Signal Server
         _outerAjax(response.location, {
           contentType: "application/octet-stream",
-          proxyUrl,
+          endpoint: "attachmentStorage",
+          logger,
           responseType: "arraybuffer",
+          retryPolicy,
           timeout: 0,
+          transport,
           type: "GET"
         })
       );
@@ -647,16 +1123,19 @@ function initialize({ url, cdnUrl, certificateAuthority, proxyUrl }) {
         _outerAjax(response.location, {
           contentType: "application/octet-stream",
           data: encryptedBin,
+          endpoint: "attachmentStorage",
+          logger,
           processData: false,
-          proxyUrl,
+          retryPolicy,
           timeout: 0,
+          transport,
           type: "PUT"
         }).then(() => response.idString)
       );
     }
 
     function getMessageSocket() {
-      console.info("opening message socket", url);
+      logger.info("opening message socket", { url });
       const fixedScheme = url
         .replace("https://", "wss://")
         .replace("http://", "ws://");
@@ -665,19 +1144,19 @@ function initialize({ url, cdnUrl, certificateAuthority, proxyUrl }) {
 
       return _createSocket(
         `${fixedScheme}/v1/websocket/?login=${login}&password=${pass}&agent=OWD`,
-        { certificateAuthority, proxyUrl }
+        transport
       );
     }
 
     function getProvisioningSocket() {
-      console.info("opening provisioning socket", url);
+      logger.info("opening provisioning socket", { url });
       const fixedScheme = url
         .replace("https://", "wss://")
         .replace("http://", "ws://");
 
       return _createSocket(
         `${fixedScheme}/v1/websocket/provisioning/?agent=OWD`,
-        { certificateAuthority, proxyUrl }
+        transport
       );
     }
   }
@@ -8,6 +8,7 @@ const Event = require("./event.js");
 const FileReader = require("filereader");
 const Long = require("long");
 const crypto = require("./crypto.js");
+const { createLogger } = require("./logger.js");
 const protobuf = require("./protobufs.js");
 const WebSocketMessage = protobuf.lookupType("signalservice.WebSocketMessage");
 // eslint-disable-next-line func-names
@@ -21,13 +22,17 @@ const WebSocketMessage = protobuf.lookupType("signalservice.WebSocketMessage");
    *    request.respond(200, 'OK');
    * });
    *
-   * client.sendRequest({
+   * client.request({
    *    verb: 'PUT',
    *    path: '/v1/messages',
    *    body: '{ some: "json" }',
-   *    success: function(message, status, request) {...},
-   *    error: function(message, status, request) {...}
-   * });
+   *    timeout: 10000
+   * }).then(function({ status, message, body, headers }) {...});
+   *
+   * The promise rejects if no response arrives in time or the socket closes first. When
+   * the request couldn't even be written, because the socket was closed already, the
+   * error's `unsent` is true.
+   * sendRequest() takes success and error callbacks instead.
    *
    * 1. https://github.com/signalapp/WebSocket-Resources
    *
@@ -37,6 +42,7 @@ class Request {
     this.verb = options.verb || options.type;
     this.path = options.path || options.url;
     this.body = new Uint8Array(options.body || options.data);
+    this.headers = options.headers || [];
     this.success = options.success;
     this.error = options.error;
     this.id = options.id;
@@ -58,27 +64,31 @@ class IncomingWebSocketRequest {
     this.verb = request.verb;
     this.path = request.path;
     this.body = request.body;
-    this.respond = (status, message) => {
+    this.respond = (status, message, body, headers) => {
       const wsmessage = WebSocketMessage.create({
         type: WebSocketMessage.Type.RESPONSE,
-        response: { id: request.id, message, status }
+        response: { id: request.id, message, status, body, headers }
       });
       socket.send(WebSocketMessage.encode(wsmessage).finish());
     };
   }
 }
 
-const outgoing = {};
+const DEFAULT_REQUEST_TIMEOUT = 10000;
+
 class OutgoingWebSocketRequest {
   constructor(options, socket) {
     const request = new Request(options);
-    outgoing[request.id] = request;
+    this.id = request.id;
+    this.verb = request.verb;
+    this.path = request.path;
     const message = WebSocketMessage.create({
       type: WebSocketMessage.Type.REQUEST,
       request: {
         verb: request.verb,
         path: request.path,
         body: request.body,
+        headers: request.headers,
         id: request.id
       }
     });
@@ -119,7 +129,7 @@ class KeepAlive {
       } else {
         this.reset();
       }
-      console.info("Sending a keepalive message");
+      this.wsr.logger.info("Sending a keepalive message");
       this.wsr.sendRequest({
         verb: "GET",
         path: this.path,
@@ -132,11 +142,75 @@ class KeepAlive {
 class WebSocketResource extends EventTarget {
   constructor(socket, opts = {}) {
     super();
+    this.logger = createLogger(opts.logger);
     let { handleRequest } = opts;
     if (typeof handleRequest !== "function") {
       handleRequest = request => request.respond(404, "Not found");
     }
-    this.sendRequest = options => new OutgoingWebSocketRequest(options, socket);
+
+    // Requests waiting for a response, by id
+    this.outgoing = {};
+    const rejectOutgoing = reason => {
+      const pending = Object.values(this.outgoing);
+      this.outgoing = {};
+      pending.forEach(request => {
+        clearTimeout(request.timer);
+        request.reject(new Error(reason));
+      });
+    };
+
+    this.request = options =>
+      new Promise((resolve, reject) => {
+        let request;
+        try {
+          if (this.closed) {
+            throw new Error("websocket closed");
+          }
+          request = new OutgoingWebSocketRequest(options, socket);
+        } catch (error) {
+          // Nothing was written, so the request can safely go some other way
+          // eslint-disable-next-line no-param-reassign
+          error.unsent = true;
+          reject(error);
+          return;
+        }
+        const id = request.id.toString();
+        const timeout =
+          options.timeout !== undefined
+            ? options.timeout
+            : DEFAULT_REQUEST_TIMEOUT;
+        this.outgoing[id] = {
+          resolve,
+          reject,
+          timer: setTimeout(() => {
+            delete this.outgoing[id];
+            reject(
+              new Error(`Request ${request.verb} ${request.path} timed out`)
+            );
+          }, timeout)
+        };
+      });
+
+    this.sendRequest = options =>
+      this.request(options).then(
+        response => {
+          const callback =
+            response.status >= 200 && response.status < 300
+              ? options.success
+              : options.error;
+          if (typeof callback === "function") {
+            callback(response.message, response.status, {
+              ...options,
+              response
+            });
+          }
+        },
+        error => {
+          if (typeof options.error === "function") {
+            options.error(error.message, -1, options);
+          }
+        }
+      );
 
     // eslint-disable-next-line no-param-reassign
     socket.onmessage = socketMessage => {
@@ -155,21 +229,20 @@ class WebSocketResource extends EventTarget {
           );
         } else if (message.type === WebSocketMessage.Type.RESPONSE) {
           const { response } = message;
-          const request = outgoing[response.id];
+          const id = response.id.toString();
+          const request = this.outgoing[id];
           if (request) {
-            request.response = response;
-            let callback = request.error;
-            if (response.status >= 200 && response.status < 300) {
-              callback = request.success;
-            }
-
-            if (typeof callback === "function") {
-              callback(response.message, response.status, request);
-            }
+            delete this.outgoing[id];
+            clearTimeout(request.timer);
+            request.resolve({
+              status: response.status,
+              message: response.message,
+              body: response.body,
+              headers: response.headers
+            });
           } else {
-            throw new Error(
-              `Received response for unknown request ${message.response.id}`
-            );
+            // Most likely a response that arrived after its request timed out
+            this.logger.warn("Received response for unknown request", { id });
           }
         }
       };
@@ -199,6 +272,7 @@ class WebSocketResource extends EventTarget {
 
     socket.addEventListener("close", () => {
       this.closed = true;
+      rejectOutgoing("websocket closed");
     });
 
     this.close = (code = 3000, reason) => {
@@ -206,10 +280,11 @@ class WebSocketResource extends EventTarget {
         return;
       }
 
-      console.info("WebSocketResource.close()");
+      this.logger.info("WebSocketResource.close()");
       if (this.keepalive) {
         this.keepalive.stop();
       }
+      rejectOutgoing("websocket closed");
 
       socket.close(code, reason);
       // eslint-disable-next-line no-param-reassign
@@ -224,7 +299,7 @@ class WebSocketResource extends EventTarget {
         }
         this.closed = true;
 
-        console.warn("Dispatching our own socket close event");
+        this.logger.warn("Dispatching our own socket close event");
         const ev = new Event("close");
         ev.code = code;
         ev.reason = reason;
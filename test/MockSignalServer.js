@@ -0,0 +1,843 @@
+"use strict";
+
+/*
+ * An in-process stand-in for the Signal service, for tests that need several clients
+ * talking to each other without a network. It answers the REST calls in URL_CALLS,
+ * accepts message and provisioning websockets, keeps accounts, prekeys and queued
+ * envelopes in memory, hosts attachments and issues sender certificates for sealed
+ * sender under its own trust root:
+ *
+ *   const server = new MockSignalServer();
+ *   await server.start();
+ *   const service = server.createService();
+ *   const accountManager = new service.AccountManager(number, password, store);
+ *   await accountManager.requestSMSVerification(number);
+ *   await accountManager.registerSingleDevice(number, server.getVerificationCode(number));
+ *   ...
+ *   await server.stop();
+ *
+ * Tests that only need a few clients can let the server set them up, with the
+ * `service` it creates when it starts:
+ *
+ *   const alice = await server.register("+15550000001");
+ *   const linked = await server.link(alice);
+ *   await server.createSender(alice).send({ to: bob.number, body: "hi" });
+ *   const receiver = server.createReceiver(bob, { receiveMode: "poll" });
+ *   const { data } = await nextEvent(receiver, "message");
+ */
+
+const http = require("http");
+const { URL } = require("url");
+const WebSocketServer = require("websocket").server;
+const libsignal = require("@throneless/libsignal-protocol");
+const api = require("../src/index.js");
+const { createLogger } = require("../src/logger.js");
+const ProtocolStore = require("./InMemorySignalProtocolStore.js");
+const WebSocketResource = require("../src/websocket-resources.js");
+const protobuf = require("../src/protobufs.js");
+const Envelope = protobuf.lookupType("signalservice.Envelope");
+const ProvisioningUuid = protobuf.lookupType("signalservice.ProvisioningUuid");
+const SenderCertificate = protobuf.lookupType(
+  "signalservice.SenderCertificate"
+);
+const ServerCertificate = protobuf.lookupType(
+  "signalservice.ServerCertificate"
+);
+
+const {
+  createKeyPair,
+  Ed25519Sign,
+  encrypt,
+  sign,
+  getRandomBytes
+} = libsignal._crypto.crypto;
+
+const CA = "-----BEGIN CERTIFICATE-----\n-----END CERTIFICATE-----\n";
+
+const ROUTES = [
+  ["GET", /^\/v1\/accounts\/(?:sms|voice)\/code\/([^/]+)$/, "requestCode"],
+  ["PUT", /^\/v1\/accounts\/code\/([^/]+)$/, "confirmCode"],
+  ["GET", /^\/v1\/devices\/provisioning\/code$/, "getProvisioningCode"],
+  ["GET", /^\/v1\/devices\/?$/, "getDevices"],
+  ["PUT", /^\/v1\/devices\/([^/]+)$/, "confirmDevice"],
+  ["PUT", /^\/v2\/keys\/?$/, "registerKeys"],
+  ["GET", /^\/v2\/keys\/?$/, "getKeyCount"],
+  ["PUT", /^\/v2\/keys\/signed$/, "setSignedPreKey"],
+  ["GET", /^\/v2\/keys\/([^/]+)\/([^/]+)$/, "getKeys"],
+  ["PUT", /^\/v1\/messages\/([^/]+)$/, "sendMessages"],
+  ["GET", /^\/v1\/messages\/?$/, "getMessages"],
+  ["DELETE", /^\/v1\/messages\/uuid\/([^/]+)$/, "acknowledgeMessageByGuid"],
+  ["DELETE", /^\/v1\/messages\/([^/]+)\/(\d+)$/, "acknowledgeMessage"],
+  ["PUT", /^\/v1\/provisioning\/([^/]+)$/, "sendProvisioningMessage"],
+  ["GET", /^\/v1\/attachments\/?$/, "allocateAttachment"],
+  ["GET", /^\/v1\/attachments\/([^/]+)$/, "getAttachmentLocation"],
+  ["GET", /^\/v1\/profile\/([^/]+)$/, "getProfile"],
+  ["GET", /^\/v1\/certificate\/delivery$/, "getSenderCertificate"],
+  ["PUT", /^\/attachments\/([^/]+)$/, "putAttachmentData"],
+  ["GET", /^\/attachments\/([^/]+)$/, "getAttachmentData"],
+  ["GET", /^\/cdn\/(.+)$/, "getAttachmentData"]
+];
+
+// Routes that don't need credentials, or check them differently
+const PUBLIC_ROUTES = [
+  "requestCode",
+  "confirmCode",
+  "confirmDevice",
+  "sendProvisioningMessage",
+  "putAttachmentData",
+  "getAttachmentData"
+];
+
+// Routes that also take the target account's Unidentified-Access-Key in place of
+//   credentials
+const SEALED_ROUTES = ["getKeys", "sendMessages"];
+
+const SENDER_CERTIFICATE_LIFETIME = 24 * 60 * 60 * 1000;
+
+function randomId() {
+  return Buffer.from(getRandomBytes(8)).toString("hex");
+}
+
+// Resolves with the next event of `type` that `target` dispatches
+function nextEvent(target, type) {
+  return new Promise(resolve => target.addEventListener(type, resolve));
+}
+
+function parseUsername(username) {
+  const [number, deviceId] = String(username).split(".");
+  return { number, deviceId: Number(deviceId || 1) };
+}
+
+// Lets WebSocketResource drive the server end of a connection
+function adaptConnection(connection) {
+  const socket = {
+    send(data) {
+      connection.sendBytes(Buffer.from(data));
+    },
+    close(code, reason) {
+      connection.close(code === 3000 ? 1000 : code, reason);
+    },
+    addEventListener(type, listener) {
+      connection.on(type, listener);
+    }
+  };
+  connection.on("message", message => {
+    if (message.type === "binary" && socket.onmessage) {
+      const { binaryData } = message;
+      socket.onmessage({
+        data: binaryData.buffer.slice(
+          binaryData.byteOffset,
+          binaryData.byteOffset + binaryData.byteLength
+        )
+      });
+    }
+  });
+  return socket;
+}
+
+class MockSignalServer {
+  constructor() {
+    this.accounts = {};
+    this.verificationCodes = {};
+    this.provisioningCodes = {};
+    this.provisioningSockets = {};
+    this.attachments = {};
+    this.connections = new Set();
+    this.senderCertificateLifetime = SENDER_CERTIFICATE_LIFETIME;
+  }
+
+  async start() {
+    // The trust root signs a server certificate, whose key signs sender certificates
+    this.trustRoot = await createKeyPair();
+    this.serverKey = await createKeyPair();
+    const serverCertificate = Buffer.from(
+      ServerCertificate.Certificate.encode(
+        ServerCertificate.Certificate.create({
+          id: 1,
+          key: Buffer.from(this.serverKey.pubKey)
+        })
+      ).finish()
+    );
+    this.serverCertificate = ServerCertificate.create({
+      certificate: serverCertificate,
+      signature: Buffer.from(
+        await Ed25519Sign(this.trustRoot.privKey, serverCertificate)
+      )
+    });
+
+    this.httpServer = http.createServer((req, res) => {
+      const chunks = [];
+      req.on("data", chunk => chunks.push(chunk));
+      req.on("end", () =>
+        this.handleHttpRequest(req, Buffer.concat(chunks)).then(
+          response => this.writeResponse(res, response),
+          error =>
+            this.writeResponse(res, {
+              status: 500,
+              json: { error: error.stack }
+            })
+        )
+      );
+    });
+    this.websocketServer = new WebSocketServer({
+      httpServer: this.httpServer,
+      autoAcceptConnections: false
+    });
+    this.websocketServer.on("request", request =>
+      this.handleSocketRequest(request)
+    );
+
+    return new Promise(resolve => {
+      this.httpServer.listen(0, "127.0.0.1", () => {
+        this.url = `http://127.0.0.1:${this.httpServer.address().port}`;
+        this.service = this.createService();
+        resolve(this.url);
+      });
+    });
+  }
+
+  stop() {
+    this.connections.forEach(connection => connection.drop());
+    this.websocketServer.shutDown();
+    return new Promise(resolve => this.httpServer.close(resolve));
+  }
+
+  // A service whose classes all talk to this server. It logs nothing unless given a
+  //   `logger`.
+  createService(options = {}) {
+    return api.createSignalService({
+      serverUrl: this.url,
+      cdnUrl: `${this.url}/cdn`,
+      ca: CA,
+      serverTrustRoot: Buffer.from(this.trustRoot.pubKey).toString("base64"),
+      logger: createLogger(undefined, { level: "silent" }),
+      ...options
+    });
+  }
+
+  // Registers `number` as a new account, resolving with the client's `number`,
+  //   `password` and `store`
+  async register(number) {
+    const store = new ProtocolStore();
+    const password = `password-${number}`;
+    const accountManager = new this.service.AccountManager(
+      number,
+      password,
+      store
+    );
+    await accountManager.requestSMSVerification(number);
+    await accountManager.registerSingleDevice(
+      number,
+      this.getVerificationCode(number)
+    );
+    return { number, password, store };
+  }
+
+  // Links another device to `client`'s account, as registerSecondDevice does once
+  //   the new device has been provisioned. The client it resolves with also has the
+  //   new `deviceId`.
+  async link(client) {
+    const store = new ProtocolStore();
+    const password = `${client.password}-linked`;
+    const accountManager = new this.service.AccountManager(
+      client.number,
+      password,
+      store
+    );
+    const { json } = this.getProvisioningCode({
+      sender: { number: client.number }
+    });
+    await accountManager.createAccount(
+      client.number,
+      json.verificationCode,
+      await client.store.getIdentityKeyPair(),
+      client.store.get("profileKey"),
+      "linked"
+    );
+    const keys = await accountManager.generateKeys(100);
+    await accountManager.server.registerKeys(keys);
+    await accountManager.confirmKeys(keys);
+    const deviceId = store.userGetDeviceId();
+    return { number: client.number, deviceId, password, store };
+  }
+
+  // The sendMetadata that sends `client` messages with sealed sender
+  async sendMetadataFor(client) {
+    const accessKey = await api.KeyHelper.deriveAccessKey(
+      client.store.get("profileKey")
+    );
+    return { [client.number]: { accessKey } };
+  }
+
+  createSender(client) {
+    return new this.service.MessageSender(
+      client.deviceId ? `${client.number}.${client.deviceId}` : client.number,
+      client.password,
+      client.store
+    );
+  }
+
+  createReceiver(client, options) {
+    return new this.service.MessageReceiver(
+      `${client.number}.${client.deviceId || 1}`,
+      client.password,
+      client.store.get("signaling_key"),
+      client.store,
+      options
+    );
+  }
+
+  getVerificationCode(number) {
+    return this.verificationCodes[number];
+  }
+
+  getAccount(number) {
+    return this.accounts[number];
+  }
+
+  getDevice(number, deviceId) {
+    const account = this.accounts[number];
+    return account && account.devices[deviceId];
+  }
+
+  authenticate(username, password) {
+    const { number, deviceId } = parseUsername(username);
+    const device = this.getDevice(number, deviceId);
+    if (!device || device.password !== password) {
+      return null;
+    }
+    return { number, deviceId, account: this.accounts[number], device };
+  }
+
+  async handleHttpRequest(req, body) {
+    const auth = req.headers.authorization;
+    let credentials = {};
+    if (auth && auth.startsWith("Basic ")) {
+      const decoded = Buffer.from(auth.slice(6), "base64").toString();
+      const separator = decoded.indexOf(":");
+      credentials = {
+        username: decoded.slice(0, separator),
+        password: decoded.slice(separator + 1)
+      };
+    }
+
+    return this.route({
+      verb: req.method,
+      path: new URL(req.url, this.url).pathname,
+      body,
+      credentials,
+      accessKey: req.headers["unidentified-access-key"]
+    });
+  }
+
+  // Shared by HTTP requests and requests sent over a message socket
+  route(request) {
+    const route = ROUTES.find(
+      ([verb, pattern]) => verb === request.verb && pattern.test(request.path)
+    );
+    if (!route) {
+      return { status: 404 };
+    }
+    const [, pattern, name] = route;
+    const params = pattern.exec(request.path).slice(1);
+
+    let sender = request.sender;
+    const sealed = !sender && request.accessKey && SEALED_ROUTES.includes(name);
+    if (!sender && !sealed && !PUBLIC_ROUTES.includes(name)) {
+      const { username, password } = request.credentials;
+      sender = this.authenticate(username, password);
+      if (!sender) {
+        return { status: 401 };
+      }
+    }
+
+    let json;
+    if (request.body && request.body.length && !name.endsWith("Data")) {
+      json = JSON.parse(request.body.toString());
+    }
+    return Promise.resolve(this[name]({ ...request, json, sender }, ...params));
+  }
+
+  writeResponse(res, { status = 200, json, body }) {
+    if (json !== undefined) {
+      res.writeHead(status, { "Content-Type": "application/json" });
+      res.end(JSON.stringify(json));
+    } else {
+      res.writeHead(status);
+      res.end(body);
+    }
+  }
+
+  // Accounts and devices
+
+  requestCode(request, number) {
+    this.verificationCodes[number] = String(
+      100000 + Math.floor(Math.random() * 900000)
+    );
+    return { status: 200 };
+  }
+
+  confirmCode({ credentials, json }, code) {
+    const { number } = parseUsername(credentials.username);
+    if (!code || this.verificationCodes[number] !== code) {
+      return { status: 403 };
+    }
+    delete this.verificationCodes[number];
+    this.accounts[number] = {
+      number,
+      devices: {},
+      nextDeviceId: 2,
+      unidentifiedAccessKey: json.unidentifiedAccessKey
+    };
+    this.addDevice(number, 1, credentials.password, json);
+    return { status: 200 };
+  }
+
+  getProvisioningCode({ sender }) {
+    const code = String(100000 + Math.floor(Math.random() * 900000));
+    this.provisioningCodes[code] = sender.number;
+    return { status: 200, json: { verificationCode: code } };
+  }
+
+  confirmDevice({ credentials, json }, code) {
+    const { number } = parseUsername(credentials.username);
+    const account = this.accounts[number];
+    if (!account || this.provisioningCodes[code] !== number) {
+      return { status: 403 };
+    }
+    delete this.provisioningCodes[code];
+    const deviceId = account.nextDeviceId;
+    account.nextDeviceId += 1;
+    this.addDevice(number, deviceId, credentials.password, json);
+    return { status: 200, json: { deviceId } };
+  }
+
+  addDevice(number, deviceId, password, attributes) {
+    this.accounts[number].devices[deviceId] = {
+      id: deviceId,
+      password,
+      name: attributes.name,
+      registrationId: attributes.registrationId,
+      signalingKey: Buffer.from(attributes.signalingKey, "base64"),
+      preKeys: [],
+      queue: [],
+      created: Date.now()
+    };
+  }
+
+  getDevices({ sender }) {
+    const { devices } = sender.account;
+    return {
+      status: 200,
+      json: {
+        devices: Object.keys(devices).map(id => ({
+          id: Number(id),
+          name: devices[id].name,
+          created: devices[id].created,
+          lastSeen: Date.now()
+        }))
+      }
+    };
+  }
+
+  getProfile(request, number) {
+    const account = this.accounts[number];
+    if (!account) {
+      return { status: 404 };
+    }
+    return {
+      status: 200,
+      json: { identityKey: account.identityKey, name: null, avatar: null }
+    };
+  }
+
+  // Keys
+
+  registerKeys({ json, sender }) {
+    // eslint-disable-next-line no-param-reassign
+    sender.account.identityKey = json.identityKey;
+    sender.device.signedPreKey = json.signedPreKey;
+    sender.device.preKeys = json.preKeys;
+    return { status: 204 };
+  }
+
+  getKeyCount({ sender }) {
+    return { status: 200, json: { count: sender.device.preKeys.length } };
+  }
+
+  setSignedPreKey({ json, sender }) {
+    sender.device.signedPreKey = json;
+    return { status: 204 };
+  }
+
+  // Sealed requests must show the account's access key
+  checkAccessKey({ sender, accessKey }, account) {
+    return (
+      Boolean(sender) ||
+      (Boolean(account.unidentifiedAccessKey) &&
+        account.unidentifiedAccessKey === accessKey)
+    );
+  }
+
+  getKeys(request, number, deviceId) {
+    const account = this.accounts[number];
+    if (!account) {
+      return { status: 404 };
+    }
+    if (!this.checkAccessKey(request, account)) {
+      return { status: 401 };
+    }
+    const ids =
+      deviceId === "*" ? Object.keys(account.devices) : [String(deviceId)];
+    if (!ids.every(id => account.devices[id])) {
+      return { status: 404 };
+    }
+    return {
+      status: 200,
+      json: {
+        identityKey: account.identityKey,
+        devices: ids.map(id => {
+          const device = account.devices[id];
+          return {
+            deviceId: device.id,
+            registrationId: device.registrationId,
+            signedPreKey: device.signedPreKey,
+            preKey: device.preKeys.shift()
+          };
+        })
+      }
+    };
+  }
+
+  // Messages
+
+  sendMessages(request, destination) {
+    const { json, sender } = request;
+    const account = this.accounts[destination];
+    if (!account) {
+      return { status: 404 };
+    }
+    if (!this.checkAccessKey(request, account)) {
+      return { status: 401 };
+    }
+
+    const expected = Object.keys(account.devices)
+      .map(Number)
+      .filter(
+        id => !sender || destination !== sender.number || id !== sender.deviceId
+      );
+    const given = json.messages.map(message => message.destinationDeviceId);
+    const missingDevices = expected.filter(id => !given.includes(id));
+    const extraDevices = given.filter(id => !expected.includes(id));
+    if (missingDevices.length || extraDevices.length) {
+      return { status: 409, json: { missingDevices, extraDevices } };
+    }
+    const staleDevices = json.messages
+      .filter(
+        message =>
+          account.devices[message.destinationDeviceId].registrationId !==
+          message.destinationRegistrationId
+      )
+      .map(message => message.destinationDeviceId);
+    if (staleDevices.length) {
+      return { status: 410, json: { staleDevices } };
+    }
+
+    json.messages.forEach(message => {
+      // Online-only messages, like typing indicators, aren't kept for devices that
+      //   aren't connected
+      if (json.online && !account.devices[message.destinationDeviceId].socket) {
+        return;
+      }
+      this.queueEnvelope(destination, message.destinationDeviceId, {
+        type: message.type,
+        // Sealed envelopes don't say who sent them
+        source: sender ? sender.number : undefined,
+        sourceDevice: sender ? sender.deviceId : undefined,
+        relay: "",
+        timestamp: json.timestamp,
+        content: message.content,
+        message: message.body
+      });
+    });
+
+    const needsSync =
+      Boolean(sender) &&
+      destination !== sender.number &&
+      Object.keys(sender.account.devices).length > 1;
+    return { status: 200, json: { needsSync } };
+  }
+
+  queueEnvelope(number, deviceId, envelope) {
+    const device = this.getDevice(number, deviceId);
+    device.queue.push({
+      ...envelope,
+      guid: randomId(),
+      serverTimestamp: Date.now()
+    });
+    this.deliver(device);
+  }
+
+  getMessages({ sender }) {
+    return {
+      status: 200,
+      json: {
+        messages: sender.device.queue
+          .slice(0, 100)
+          .map(({ delivered, ...envelope }) => envelope),
+        more: sender.device.queue.length > 100
+      }
+    };
+  }
+
+  acknowledgeMessage({ sender }, source, timestamp) {
+    const { device } = sender;
+    device.queue = device.queue.filter(
+      envelope =>
+        envelope.source !== source || String(envelope.timestamp) !== timestamp
+    );
+    return { status: 204 };
+  }
+
+  acknowledgeMessageByGuid({ sender }, guid) {
+    const { device } = sender;
+    device.queue = device.queue.filter(envelope => envelope.guid !== guid);
+    return { status: 204 };
+  }
+
+  // Sealed sender
+
+  async getSenderCertificate({ sender }) {
+    const certificate = Buffer.from(
+      SenderCertificate.Certificate.encode(
+        SenderCertificate.Certificate.fromObject({
+          sender: sender.number,
+          senderDevice: sender.deviceId,
+          expires: Date.now() + this.senderCertificateLifetime,
+          identityKey: sender.account.identityKey,
+          signer: this.serverCertificate
+        })
+      ).finish()
+    );
+    const signature = Buffer.from(
+      await Ed25519Sign(this.serverKey.privKey, certificate)
+    );
+    return {
+      status: 200,
+      json: {
+        certificate: Buffer.from(
+          SenderCertificate.encode(
+            SenderCertificate.create({ certificate, signature })
+          ).finish()
+        ).toString("base64")
+      }
+    };
+  }
+
+  // Attachments
+
+  allocateAttachment() {
+    // Attachment pointers carry the id as a fixed64, so like the real server's it
+    //   has to be a number
+    const id = String(Math.floor(Math.random() * Number.MAX_SAFE_INTEGER) + 1);
+    return {
+      status: 200,
+      json: { location: `${this.url}/attachments/${id}`, idString: id }
+    };
+  }
+
+  getAttachmentLocation(request, id) {
+    if (!this.attachments[id]) {
+      return { status: 404 };
+    }
+    return {
+      status: 200,
+      json: { location: `${this.url}/attachments/${id}` }
+    };
+  }
+
+  putAttachmentData({ body }, id) {
+    this.attachments[id] = body;
+    return { status: 200 };
+  }
+
+  getAttachmentData(request, id) {
+    if (!this.attachments[id]) {
+      return { status: 404 };
+    }
+    return { status: 200, body: this.attachments[id] };
+  }
+
+  // Hosts a file, such as an avatar, on the fake CDN
+  putCdnFile(path, data) {
+    this.attachments[path] = Buffer.from(data);
+  }
+
+  // Websockets
+
+  handleSocketRequest(request) {
+    const { pathname, searchParams } = new URL(request.resource, this.url);
+    if (pathname === "/v1/websocket/provisioning/") {
+      this.openProvisioningSocket(request.accept(null, request.origin));
+      return;
+    }
+    if (pathname === "/v1/websocket/") {
+      const sender = this.authenticate(
+        searchParams.get("login"),
+        searchParams.get("password")
+      );
+      if (!sender) {
+        request.reject(403);
+        return;
+      }
+      this.openMessageSocket(request.accept(null, request.origin), sender);
+      return;
+    }
+    request.reject(404);
+  }
+
+  trackConnection(connection) {
+    this.connections.add(connection);
+    connection.on("close", () => this.connections.delete(connection));
+  }
+
+  openMessageSocket(connection, sender) {
+    this.trackConnection(connection);
+    const { device } = sender;
+    const wsr = new WebSocketResource(adaptConnection(connection), {
+      handleRequest: request => {
+        if (request.path.startsWith("/v1/keepalive")) {
+          request.respond(200, "OK");
+          return;
+        }
+        Promise.resolve(
+          this.route({
+            verb: request.verb,
+            path: request.path,
+            body: Buffer.from(request.body),
+            sender
+          })
+        ).then(({ status, json }) =>
+          request.respond(
+            status,
+            status < 300 ? "OK" : "Error",
+            json ? Buffer.from(JSON.stringify(json)) : undefined
+          )
+        );
+      }
+    });
+    device.socket = wsr;
+    connection.on("close", () => {
+      if (device.socket === wsr) {
+        device.socket = null;
+      }
+    });
+
+    device.delivering = Promise.resolve();
+    this.deliver(device).then(() =>
+      wsr.request({ verb: "PUT", path: "/api/v1/queue/empty" }).catch(() => {})
+    );
+  }
+
+  // Pushes queued envelopes down the device's socket, in order, dropping each one from
+  //   the queue once the client has acknowledged it.
+  deliver(device) {
+    if (!device.socket) {
+      return Promise.resolve();
+    }
+    const wsr = device.socket;
+    // eslint-disable-next-line no-param-reassign
+    device.delivering = device.delivering.then(async () => {
+      const pending = device.queue.filter(envelope => !envelope.delivered);
+      for (let i = 0; i < pending.length; i += 1) {
+        const envelope = pending[i];
+        envelope.delivered = true;
+        try {
+          // eslint-disable-next-line no-await-in-loop
+          const body = await this.encryptEnvelope(device, envelope);
+          // eslint-disable-next-line no-await-in-loop
+          const response = await wsr.request({
+            verb: "PUT",
+            path: "/api/v1/message",
+            body
+          });
+          if (response.status === 200) {
+            // eslint-disable-next-line no-param-reassign
+            device.queue = device.queue.filter(item => item !== envelope);
+          } else {
+            delete envelope.delivered;
+          }
+        } catch (error) {
+          delete envelope.delivered;
+        }
+      }
+    });
+    return device.delivering;
+  }
+
+  async encryptEnvelope(device, envelope) {
+    const plaintext = Envelope.encode(
+      Envelope.fromObject({
+        type: envelope.type,
+        source: envelope.source,
+        sourceDevice: envelope.sourceDevice,
+        relay: envelope.relay,
+        timestamp: envelope.timestamp,
+        content: envelope.content,
+        legacyMessage: envelope.message,
+        serverGuid: envelope.guid,
+        serverTimestamp: envelope.serverTimestamp
+      })
+    ).finish();
+    const aesKey = device.signalingKey.slice(0, 32);
+    const macKey = device.signalingKey.slice(32, 32 + 20);
+    const iv = getRandomBytes(16);
+    const ciphertext = await encrypt(aesKey, plaintext, iv);
+    const versionIvAndCiphertext = Buffer.concat([
+      Buffer.from([1]),
+      Buffer.from(iv),
+      Buffer.from(ciphertext)
+    ]);
+    const mac = await sign(macKey, versionIvAndCiphertext);
+    return Buffer.concat([
+      versionIvAndCiphertext,
+      Buffer.from(mac).slice(0, 10)
+    ]);
+  }
+
+  openProvisioningSocket(connection) {
+    this.trackConnection(connection);
+    const uuid = randomId();
+    const wsr = new WebSocketResource(adaptConnection(connection));
+    this.provisioningSockets[uuid] = wsr;
+    connection.on("close", () => delete this.provisioningSockets[uuid]);
+    wsr
+      .request({
+        verb: "PUT",
+        path: "/v1/address",
+        body: ProvisioningUuid.encode(
+          ProvisioningUuid.create({ uuid })
+        ).finish()
+      })
+      .catch(() => {});
+  }
+
+  sendProvisioningMessage({ json }, uuid) {
+    const wsr = this.provisioningSockets[uuid];
+    if (!wsr) {
+      return { status: 404 };
+    }
+    wsr
+      .request({
+        verb: "PUT",
+        path: "/v1/message",
+        body: Buffer.from(json.body, "base64")
+      })
+      .catch(() => {});
+    return { status: 204 };
+  }
+}
+
+MockSignalServer.nextEvent = nextEvent;
+
+exports = module.exports = MockSignalServer;
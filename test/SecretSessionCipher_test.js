@@ -0,0 +1,173 @@
+"use strict";
+const assert = require("chai").assert;
+const libsignal = require("@throneless/libsignal-protocol");
+const ProtocolStore = require("./InMemorySignalProtocolStore.js");
+const { generateIdentity, generatePreKeyBundle } = require("./_test.js");
+const {
+  SecretSessionCipher,
+  createCertificateValidator,
+  parseSenderCertificate
+} = require("../src/SecretSessionCipher.js");
+const protobuf = require("../src/protobufs.js");
+const SenderCertificate = protobuf.lookupType(
+  "signalservice.SenderCertificate"
+);
+const ServerCertificate = protobuf.lookupType(
+  "signalservice.ServerCertificate"
+);
+
+const { createKeyPair, Ed25519Sign } = libsignal._crypto.crypto;
+
+const ALICE = "+15550001111";
+const BOB = "+15550002222";
+
+async function createServerCertificate(trustRoot, serverKey) {
+  const certificate = ServerCertificate.Certificate.encode(
+    ServerCertificate.Certificate.create({
+      id: 1,
+      key: Buffer.from(serverKey.pubKey)
+    })
+  ).finish();
+  return ServerCertificate.create({
+    certificate,
+    signature: Buffer.from(await Ed25519Sign(trustRoot.privKey, certificate))
+  });
+}
+
+async function createSenderCertificate(
+  serverCertificate,
+  serverKey,
+  identityKey,
+  expires
+) {
+  const certificate = SenderCertificate.Certificate.encode(
+    SenderCertificate.Certificate.fromObject({
+      sender: ALICE,
+      senderDevice: 1,
+      expires,
+      identityKey: Buffer.from(identityKey),
+      signer: serverCertificate
+    })
+  ).finish();
+  const signature = Buffer.from(
+    await Ed25519Sign(serverKey.privKey, certificate)
+  );
+  return parseSenderCertificate(
+    SenderCertificate.encode(
+      SenderCertificate.create({ certificate, signature })
+    ).finish()
+  );
+}
+
+describe("SecretSessionCipher", () => {
+  let aliceStore;
+  let bobStore;
+  let trustRoot;
+  let serverKey;
+  let serverCertificate;
+
+  beforeEach(async () => {
+    aliceStore = new ProtocolStore();
+    bobStore = new ProtocolStore();
+    await generateIdentity(aliceStore);
+    await generateIdentity(bobStore);
+
+    const bundle = await generatePreKeyBundle(bobStore, 1, 1);
+    const builder = new libsignal.SessionBuilder(
+      aliceStore,
+      new libsignal.SignalProtocolAddress(BOB, 1)
+    );
+    await builder.processPreKey(bundle);
+
+    trustRoot = await createKeyPair();
+    serverKey = await createKeyPair();
+    serverCertificate = await createServerCertificate(trustRoot, serverKey);
+  });
+
+  async function seal(plaintext, expires = Date.now() + 60000) {
+    const { pubKey } = await aliceStore.getIdentityKeyPair();
+    const senderCertificate = await createSenderCertificate(
+      serverCertificate,
+      serverKey,
+      pubKey,
+      expires
+    );
+    const cipher = new SecretSessionCipher(aliceStore);
+    return cipher.encrypt(
+      new libsignal.SignalProtocolAddress(BOB, 1),
+      senderCertificate,
+      plaintext
+    );
+  }
+
+  it("round trips a message and reveals its sender", async () => {
+    const { body, registrationId } = await seal(new Uint8Array([1, 2, 3]));
+    assert.strictEqual(registrationId, bobStore.get("registrationId"));
+
+    const cipher = new SecretSessionCipher(bobStore);
+    const { sender, content } = await cipher.decrypt(
+      createCertificateValidator(trustRoot.pubKey),
+      body,
+      Date.now(),
+      { number: BOB, deviceId: 1 }
+    );
+    assert.strictEqual(sender.toString(), `${ALICE}.1`);
+    assert.deepEqual(Array.from(new Uint8Array(content)), [1, 2, 3]);
+  });
+
+  it("rejects certificates that expired before the message arrived", async () => {
+    const { body } = await seal(new Uint8Array([1]), Date.now() - 1000);
+    const cipher = new SecretSessionCipher(bobStore);
+    try {
+      await cipher.decrypt(
+        createCertificateValidator(trustRoot.pubKey),
+        body,
+        Date.now()
+      );
+      assert.fail("expected an error");
+    } catch (error) {
+      assert.strictEqual(error.message, "Sender certificate has expired");
+    }
+  });
+
+  it("rejects certificates from another trust root", async () => {
+    const { body } = await seal(new Uint8Array([1]));
+    const otherRoot = await createKeyPair();
+    const cipher = new SecretSessionCipher(bobStore);
+    try {
+      await cipher.decrypt(
+        createCertificateValidator(otherRoot.pubKey),
+        body,
+        Date.now()
+      );
+      assert.fail("expected an error");
+    } catch (error) {
+      assert.strictEqual(error.message, "Invalid signature");
+    }
+  });
+
+  it("rejects certificates for another identity key", async () => {
+    const otherIdentity = await createKeyPair();
+    const senderCertificate = await createSenderCertificate(
+      serverCertificate,
+      serverKey,
+      otherIdentity.pubKey,
+      Date.now() + 60000
+    );
+    const { body } = await new SecretSessionCipher(aliceStore).encrypt(
+      new libsignal.SignalProtocolAddress(BOB, 1),
+      senderCertificate,
+      new Uint8Array([1])
+    );
+    try {
+      await new SecretSessionCipher(bobStore).decrypt(
+        createCertificateValidator(trustRoot.pubKey),
+        body,
+        Date.now()
+      );
+      assert.fail("expected an error");
+    } catch (error) {
+      assert.match(error.message, /does not match/);
+    }
+  });
+});
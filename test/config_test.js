@@ -0,0 +1,68 @@
+"use strict";
+const assert = require("chai").assert;
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { deepMerge, loadConfig } = require("../src/config.js");
+
+describe("config", () => {
+  let configDir;
+
+  function writeConfig(name, contents) {
+    fs.writeFileSync(path.join(configDir, name), contents);
+  }
+
+  beforeEach(() => {
+    configDir = fs.mkdtempSync(path.join(os.tmpdir(), "signal-config-"));
+    writeConfig(
+      "default.json",
+      JSON.stringify({
+        serverUrl: "https://default.example.org",
+        proxy: { url: "http://proxy:3128", timeout: 10 },
+        hosts: ["a", "b"]
+      })
+    );
+  });
+
+  afterEach(() => {
+    fs.readdirSync(configDir).forEach(name =>
+      fs.unlinkSync(path.join(configDir, name))
+    );
+    fs.rmdirSync(configDir);
+  });
+
+  it("deep merges the environment's file over the defaults", () => {
+    writeConfig(
+      "staging.json",
+      JSON.stringify({ proxy: { timeout: 20 }, hosts: ["c"] })
+    );
+    assert.deepEqual(loadConfig(configDir, "staging"), {
+      serverUrl: "https://default.example.org",
+      proxy: { url: "http://proxy:3128", timeout: 20 },
+      hosts: ["c"]
+    });
+  });
+
+  it("uses the defaults when the environment has no file", () => {
+    assert.strictEqual(
+      loadConfig(configDir, "nowhere").serverUrl,
+      "https://default.example.org"
+    );
+  });
+
+  it("throws when the environment's file is malformed", () => {
+    writeConfig("broken.json", "{ not json");
+    assert.throws(() => loadConfig(configDir, "broken"), SyntaxError);
+  });
+
+  it("leaves both objects alone when merging", () => {
+    const base = { nested: { a: 1 } };
+    const overrides = { nested: { b: 2 } };
+    assert.deepEqual(deepMerge(base, overrides), { nested: { a: 1, b: 2 } });
+    assert.deepEqual(base, { nested: { a: 1 } });
+  });
+
+  it("reads the bundled config by default", () => {
+    assert.match(loadConfig().serverUrl, /^https:\/\//);
+  });
+});
@@ -6,6 +6,9 @@ var ContactDetails = protobuf.lookupType("signalservice.ContactDetails");
 var GroupDetails = protobuf.lookupType("signalservice.GroupDetails");
 var ContactBuffer = require("../src/contacts_parser.js").ContactBuffer;
 var GroupBuffer = require("../src/contacts_parser.js").GroupBuffer;
+var ContactBufferWriter = require("../src/contacts_parser.js")
+  .ContactBufferWriter;
+var GroupBufferWriter = require("../src/contacts_parser.js").GroupBufferWriter;
 var assertEqualArrayBuffers = require("./_test.js").assertEqualArrayBuffers;
 var helpers = require("../src/helpers.js");
 
@@ -110,3 +113,99 @@ describe("GroupBuffer", function() {
     assert.strictEqual(count, 3);
   });
 });
+
+describe("ContactBufferWriter", function() {
+  it("writes contacts the ContactBuffer reads back", function() {
+    var avatar = new Uint8Array([1, 2, 3, 4, 5]).buffer;
+    var writer = new ContactBufferWriter();
+    writer.write({
+      number: "+10000000000",
+      name: "Zero Cool",
+      color: "blue",
+      profileKey: new Uint8Array(32).fill(7),
+      blocked: true,
+      expireTimer: 60,
+      avatar: { contentType: "image/png", data: avatar }
+    });
+    writer.write({ number: "+10000000001", name: "Acid Burn" });
+
+    var contactBuffer = new ContactBuffer(writer.toArrayBuffer());
+    var first = contactBuffer.next();
+    assert.strictEqual(first.number, "+10000000000");
+    assert.strictEqual(first.name, "Zero Cool");
+    assert.strictEqual(first.color, "blue");
+    assertEqualArrayBuffers(
+      first.profileKey,
+      new Uint8Array(32).fill(7).buffer
+    );
+    assert.isTrue(first.blocked);
+    assert.strictEqual(first.expireTimer, 60);
+    assert.strictEqual(first.avatar.contentType, "image/png");
+    assert.strictEqual(first.avatar.length, 5);
+    assertEqualArrayBuffers(first.avatar.data, avatar);
+
+    var second = contactBuffer.next();
+    assert.strictEqual(second.number, "+10000000001");
+    assert.strictEqual(second.name, "Acid Burn");
+    assert.isNull(second.avatar);
+    assert.isUndefined(contactBuffer.next());
+  });
+
+  it("writes what it parsed unchanged", function() {
+    var contactBuffer = new ContactBuffer(
+      new ContactBufferWriter()
+        .write({
+          number: "+10000000000",
+          avatar: { contentType: "image/jpeg", data: new Uint8Array(255) }
+        })
+        .toArrayBuffer()
+    );
+    var writer = new ContactBufferWriter();
+    writer.write(contactBuffer.next());
+    var contact = new ContactBuffer(writer.toArrayBuffer()).next();
+    assert.strictEqual(contact.number, "+10000000000");
+    assert.strictEqual(contact.avatar.length, 255);
+    assert.strictEqual(contact.avatar.data.byteLength, 255);
+  });
+
+  it("writes nothing without contacts", function() {
+    var arrayBuffer = new ContactBufferWriter().toArrayBuffer();
+    assert.strictEqual(arrayBuffer.byteLength, 0);
+    assert.isUndefined(new ContactBuffer(arrayBuffer).next());
+  });
+});
+
+describe("GroupBufferWriter", function() {
+  it("writes groups the GroupBuffer reads back", function() {
+    var avatar = new Uint8Array([9, 8, 7]).buffer;
+    var writer = new GroupBufferWriter();
+    for (var i = 0; i < 3; ++i) {
+      writer.write({
+        id: new Uint8Array([1, 3, 3, i]),
+        name: "Hackers " + i,
+        members: ["cereal", "burn", "phreak", "joey"],
+        active: i !== 2,
+        expireTimer: i,
+        avatar:
+          i === 1 ? undefined : { contentType: "image/jpeg", data: avatar }
+      });
+    }
+
+    var groupBuffer = new GroupBuffer(writer.toArrayBuffer());
+    for (var j = 0; j < 3; ++j) {
+      var group = groupBuffer.next();
+      assertEqualArrayBuffers(group.id, new Uint8Array([1, 3, 3, j]).buffer);
+      assert.strictEqual(group.name, "Hackers " + j);
+      assert.sameMembers(group.members, ["cereal", "burn", "phreak", "joey"]);
+      assert.strictEqual(group.active, j !== 2);
+      assert.strictEqual(group.expireTimer, j);
+      if (j === 1) {
+        assert.isNull(group.avatar);
+      } else {
+        assert.strictEqual(group.avatar.contentType, "image/jpeg");
+        assertEqualArrayBuffers(group.avatar.data, avatar);
+      }
+    }
+    assert.isUndefined(groupBuffer.next());
+  });
+});
@@ -69,3 +69,67 @@ describe("encrypting and decrypting profile data", function() {
     });
   });
 });
+
+describe("encrypting and decrypting attachments", function() {
+  it("encrypts and decrypts", function() {
+    var buffer = ByteBuffer.wrap("This is an attachment").toArrayBuffer();
+    var keys = crypto.getRandomBytes(64);
+    var iv = crypto.getRandomBytes(16);
+
+    return crypto.encryptAttachment(buffer, keys, iv).then(function(result) {
+      assert(result.ciphertext.byteLength === 16 + 32 + 32);
+      return crypto
+        .decryptAttachment(result.ciphertext, keys, result.digest)
+        .then(function(decrypted) {
+          assertEqualArrayBuffers(buffer, decrypted);
+        });
+    });
+  });
+  it("throws when the digest does not match", function() {
+    var buffer = ByteBuffer.wrap("This is an attachment").toArrayBuffer();
+    var keys = crypto.getRandomBytes(64);
+    var iv = crypto.getRandomBytes(16);
+
+    return crypto.encryptAttachment(buffer, keys, iv).then(function(result) {
+      return crypto
+        .decryptAttachment(result.ciphertext, keys, new ArrayBuffer(32))
+        .then(function() {
+          assert.fail("should not decrypt");
+        })
+        .catch(function(error) {
+          assert.strictEqual(error.message, "Bad digest");
+        });
+    });
+  });
+});
+
+describe("encrypting and decrypting stickers", function() {
+  it("encrypts and decrypts with the pack key", function() {
+    var buffer = ByteBuffer.wrap("This is a sticker").toArrayBuffer();
+    var packKey = crypto.getRandomBytes(32);
+
+    return crypto
+      .encryptSticker(packKey, buffer)
+      .then(function(ciphertext) {
+        return crypto.decryptSticker(packKey, ciphertext);
+      })
+      .then(function(decrypted) {
+        assertEqualArrayBuffers(buffer, decrypted);
+      });
+  });
+  it("throws when the pack key does not match", function() {
+    var buffer = ByteBuffer.wrap("This is a sticker").toArrayBuffer();
+
+    return crypto
+      .encryptSticker(crypto.getRandomBytes(32), buffer)
+      .then(function(ciphertext) {
+        return crypto.decryptSticker(crypto.getRandomBytes(32), ciphertext);
+      })
+      .then(function() {
+        assert.fail("should not decrypt");
+      })
+      .catch(function(error) {
+        assert.strictEqual(error.message, "Bad MAC");
+      });
+  });
+});
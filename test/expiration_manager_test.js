@@ -0,0 +1,238 @@
+"use strict";
+const assert = require("chai").assert;
+const EventTarget = require("event-target-shim");
+const Event = require("../src/event.js");
+const ExpirationManager = require("../src/expiration_manager.js");
+const { createLogger } = require("../src/logger.js");
+const SignalProtocolStore = require("./InMemorySignalProtocolStore.js");
+const MockSignalServer = require("./MockSignalServer.js");
+const protobuf = require("../src/protobufs.js");
+const DataMessage = protobuf.lookupType("signalservice.DataMessage");
+
+describe("ExpirationManager", () => {
+  const number = "+19999999999";
+  const sender = "+18888888888";
+  const logger = createLogger(undefined, { level: "silent" });
+  let store;
+  let receiver;
+  let manager;
+
+  function dispatch(type, fields) {
+    const ev = new Event(type);
+    Object.assign(ev, fields);
+    receiver.dispatchEvent(ev);
+    // Listeners save to the store asynchronously
+    return new Promise(resolve => setImmediate(resolve));
+  }
+
+  function nextExpired(target) {
+    return new Promise(resolve =>
+      target.addEventListener("expired", ev => resolve(ev.message))
+    );
+  }
+
+  beforeEach(async () => {
+    store = new SignalProtocolStore();
+    store.userSetNumberAndDeviceId(number, 1, "name");
+    receiver = new EventTarget();
+    manager = new ExpirationManager(store, { logger });
+    manager.listen(receiver);
+    await manager.start();
+  });
+
+  afterEach(() => manager.stop());
+
+  it("keeps conversation timers from updates and syncs", async () => {
+    await dispatch("message", {
+      data: {
+        source: sender,
+        timestamp: 1,
+        message: {
+          flags: DataMessage.Flags.EXPIRATION_TIMER_UPDATE,
+          expireTimer: 60,
+          group: null
+        }
+      }
+    });
+    await dispatch("sent", {
+      data: {
+        destination: null,
+        timestamp: 2,
+        message: {
+          flags: DataMessage.Flags.EXPIRATION_TIMER_UPDATE,
+          expireTimer: 30,
+          group: { id: "\u0001group" }
+        }
+      }
+    });
+    await dispatch("contact", {
+      contactDetails: { number: "+17777777777", expireTimer: 5 }
+    });
+    assert.strictEqual(manager.getExpireTimer(sender), 60);
+    assert.strictEqual(manager.getExpireTimer("\u0001group"), 30);
+    assert.strictEqual(manager.getExpireTimer("+17777777777"), 5);
+
+    await dispatch("group", {
+      groupDetails: { id: "\u0001group", expireTimer: 0 }
+    });
+    assert.strictEqual(manager.getExpireTimer("\u0001group"), 0);
+    assert.deepEqual(await store.getAllExpiringMessages(), []);
+  });
+
+  it("starts the countdown of incoming messages once they're read", async () => {
+    await dispatch("message", {
+      data: {
+        source: sender,
+        timestamp: 1234,
+        message: { flags: 0, expireTimer: 1, group: null }
+      }
+    });
+    const [item] = await store.getAllExpiringMessages();
+    assert.isNull(item.expiresAt);
+
+    const expired = nextExpired(manager);
+    const readAt = Date.now();
+    await dispatch("readSync", {
+      timestamp: readAt,
+      read: { sender, timestamp: 1234 }
+    });
+    assert.deepEqual(await expired, {
+      conversationId: sender,
+      source: sender,
+      timestamp: 1234
+    });
+    assert.isAtLeast(Date.now(), readAt + 1000);
+    assert.deepEqual(await store.getAllExpiringMessages(), []);
+  });
+
+  it("starts the countdown of our own messages when they're sent", async () => {
+    const expired = nextExpired(manager);
+    await dispatch("sent", {
+      data: {
+        destination: null,
+        timestamp: 1234,
+        expirationStartTimestamp: Date.now() - 1000,
+        message: { flags: 0, expireTimer: 1, group: { id: "\u0001group" } }
+      }
+    });
+    assert.deepEqual(await expired, {
+      conversationId: "\u0001group",
+      source: number,
+      timestamp: 1234
+    });
+  });
+
+  it("gives messages without a timer their conversation's", async () => {
+    await dispatch("contact", {
+      contactDetails: { number: sender, expireTimer: 60 }
+    });
+    await dispatch("message", {
+      data: {
+        source: sender,
+        timestamp: 1234,
+        message: { flags: 0, expireTimer: 0, group: null }
+      }
+    });
+    const sentAt = Date.now();
+    await dispatch("sent", {
+      data: {
+        destination: sender,
+        timestamp: sentAt,
+        message: { flags: 0, group: null }
+      }
+    });
+    const items = await store.getAllExpiringMessages();
+    assert.deepEqual(items.map(item => [item.timestamp, item.expireTimer]), [
+      [1234, 60],
+      [sentAt, 60]
+    ]);
+    assert.isNull(items[0].expiresAt);
+    assert.strictEqual(items[1].expiresAt, sentAt + 60000);
+  });
+
+  it("ignores messages without a timer", async () => {
+    await dispatch("message", {
+      data: {
+        source: sender,
+        timestamp: 1234,
+        message: { flags: 0, expireTimer: 0, group: null }
+      }
+    });
+    assert.deepEqual(await store.getAllExpiringMessages(), []);
+  });
+
+  it("resumes countdowns after a restart", async () => {
+    await manager.track(
+      { conversationId: sender, source: sender, timestamp: 1, expireTimer: 1 },
+      Date.now() - 500
+    );
+    await manager.track(
+      { conversationId: sender, source: sender, timestamp: 2, expireTimer: 1 },
+      Date.now() - 5000
+    );
+    await manager.track({
+      conversationId: sender,
+      source: sender,
+      timestamp: 3,
+      expireTimer: 1
+    });
+    manager.stop();
+
+    const restarted = new ExpirationManager(store, { logger });
+    const expired = [];
+    restarted.addEventListener("expired", ev => expired.push(ev.message));
+    const second = new Promise(resolve =>
+      restarted.addEventListener("expired", () => {
+        if (expired.length === 2) {
+          resolve();
+        }
+      })
+    );
+    await restarted.start();
+    await second;
+    restarted.stop();
+    assert.deepEqual(expired.map(message => message.timestamp), [2, 1]);
+
+    const remaining = await store.getAllExpiringMessages();
+    assert.deepEqual(remaining.map(item => item.timestamp), [3]);
+  });
+
+  describe("with a MessageSender", function() {
+    this.timeout(20000);
+    let server;
+
+    before(async () => {
+      server = new MockSignalServer();
+      await server.start();
+    });
+
+    after(() => server.stop());
+
+    it("starts the countdown of messages as they're sent", async () => {
+      const alice = await server.register("+15550000074");
+      const bob = await server.register("+15550000075");
+      const sender = server.createSender(alice);
+      const manager = new ExpirationManager(alice.store, {
+        logger: server.service.WebAPI.logger
+      });
+      manager.listen(sender);
+      await manager.start();
+
+      const timestamp = Date.now();
+      await sender.send({
+        to: bob.number,
+        body: "poof",
+        expireTimer: 60,
+        timestamp
+      });
+      await new Promise(resolve => setImmediate(resolve));
+      manager.stop();
+
+      const [item] = await alice.store.getAllExpiringMessages();
+      assert.strictEqual(item.conversationId, bob.number);
+      assert.strictEqual(item.source, alice.number);
+      assert.strictEqual(item.timestamp, timestamp);
+      assert.isAtLeast(item.expiresAt, timestamp + 60000);
+    });
+  });
+});
@@ -0,0 +1,51 @@
+"use strict";
+const assert = require("chai").assert;
+const api = require("../src/index.js");
+const ProtocolStore = require("./InMemorySignalProtocolStore.js");
+
+const CA = "-----BEGIN CERTIFICATE-----\n-----END CERTIFICATE-----\n";
+
+describe("createSignalService", () => {
+  const staging = api.createSignalService({
+    serverUrl: "https://staging.example.org",
+    cdnUrl: "https://cdn-staging.example.org",
+    ca: CA
+  });
+  const production = api.createSignalService({
+    serverUrl: "https://production.example.org",
+    cdnUrl: "https://cdn.example.org",
+    ca: CA,
+    proxyUrl: "http://localhost:3128"
+  });
+
+  it("binds each service's classes to its own WebAPI", () => {
+    assert.notStrictEqual(staging.WebAPI, production.WebAPI);
+    assert.strictEqual(staging.AccountManager.WebAPI, staging.WebAPI);
+    assert.strictEqual(staging.MessageSender.WebAPI, staging.WebAPI);
+    assert.strictEqual(staging.MessageReceiver.WebAPI, staging.WebAPI);
+    assert.strictEqual(production.AccountManager.WebAPI, production.WebAPI);
+    assert.notStrictEqual(staging.AccountManager, production.AccountManager);
+  });
+
+  it("creates working instances", () => {
+    const store = new ProtocolStore();
+    const accountManager = new staging.AccountManager(
+      "+15555555",
+      "password",
+      store
+    );
+    assert.isFunction(accountManager.server.requestVerificationSMS);
+  });
+
+  it("rejects missing endpoints", () => {
+    assert.throws(
+      () => api.createSignalService({ cdnUrl: "https://cdn", ca: CA }),
+      /Invalid server url/
+    );
+  });
+
+  it("still exposes classes bound to the bundled config", () => {
+    assert.isFunction(api.AccountManager.WebAPI.connect);
+    assert.strictEqual(api.AccountManager, api.AccountManager);
+  });
+});
@@ -0,0 +1,108 @@
+"use strict";
+const assert = require("chai").assert;
+const { createLogger, redactString } = require("../src/logger.js");
+
+function createSink() {
+  const entries = [];
+  const sink = {};
+  ["debug", "info", "warn", "error"].forEach(level => {
+    sink[level] = (message, fields) => entries.push({ level, message, fields });
+  });
+  sink.entries = entries;
+  return sink;
+}
+
+describe("Logger", () => {
+  describe("redactString", () => {
+    it("keeps only the end of phone numbers and UUIDs", () => {
+      assert.strictEqual(
+        redactString("message from +15555550123.1"),
+        "message from +[REDACTED]123.1"
+      );
+      assert.strictEqual(
+        redactString("uuid 6ef8d8b5-2a47-4d72-a0c0-8f41b3e4c9ab"),
+        "uuid [REDACTED]9ab"
+      );
+    });
+
+    it("hides group ids", () => {
+      assert.strictEqual(
+        redactString("blocked group(abcdef==)"),
+        "blocked group([REDACTED])"
+      );
+    });
+  });
+
+  describe("createLogger", () => {
+    it("redacts messages and structured fields", () => {
+      const sink = createSink();
+      const logger = createLogger(sink);
+      logger.info("sent to +15555550123", {
+        destination: "+15555550123",
+        groupId: "abcdef==",
+        recipients: ["+15555550456"],
+        timestamp: 1234
+      });
+      assert.deepEqual(sink.entries, [
+        {
+          level: "info",
+          message: "sent to +[REDACTED]123",
+          fields: {
+            destination: "+[REDACTED]123",
+            groupId: "[REDACTED]",
+            recipients: ["+[REDACTED]456"],
+            timestamp: 1234
+          }
+        }
+      ]);
+    });
+
+    it("leaves values alone when redaction is off", () => {
+      const sink = createSink();
+      createLogger(sink, { redact: false }).warn("from +15555550123");
+      assert.strictEqual(sink.entries[0].message, "from +15555550123");
+      assert.isUndefined(sink.entries[0].fields);
+    });
+
+    it("drops messages below the configured level", () => {
+      const sink = createSink();
+      const logger = createLogger(sink, { level: "warn" });
+      logger.debug("debug");
+      logger.info("info");
+      logger.warn("warn");
+      logger.error("error");
+      assert.deepEqual(sink.entries.map(entry => entry.level), [
+        "warn",
+        "error"
+      ]);
+    });
+
+    it("drops everything when silent", () => {
+      const sink = createSink();
+      const logger = createLogger(sink, { level: "silent" });
+      logger.warn("warn");
+      logger.error("error");
+      logger.child({ component: "receiver" }).error("error");
+      assert.deepEqual(sink.entries, []);
+    });
+
+    it("attaches child fields to every entry", () => {
+      const sink = createSink();
+      const logger = createLogger(sink).child({ component: "receiver" });
+      logger.info("open", { attempt: 2 });
+      assert.deepEqual(sink.entries[0].fields, {
+        component: "receiver",
+        attempt: 2
+      });
+    });
+
+    it("returns an already wrapped logger unchanged", () => {
+      const logger = createLogger(createSink());
+      assert.strictEqual(createLogger(logger), logger);
+    });
+
+    it("rejects unknown levels", () => {
+      assert.throws(() => createLogger(createSink(), { level: "trace" }));
+    });
+  });
+});
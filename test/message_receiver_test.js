@@ -4,7 +4,10 @@ const ByteBuffer = require("bytebuffer");
 const MockServer = require("mock-socket").Server;
 const crypto = require("../src/crypto.js");
 const SignalProtocolStore = require("./InMemorySignalProtocolStore.js");
-const MessageReceiver = require("../src/index.js").MessageReceiver;
+const api = require("../src/index.js");
+const MockSignalServer = require("./MockSignalServer.js");
+const { createLogger } = require("../src/logger.js");
+const MessageReceiver = api.MessageReceiver;
 const WebCrypto = require("node-webcrypto-ossl");
 const webcrypto = new WebCrypto();
 const protobuf = require("../src/protobufs.js");
@@ -12,6 +15,8 @@ const DataMessage = protobuf.lookupType("signalservice.DataMessage");
 const Envelope = protobuf.lookupType("signalservice.Envelope");
 const WebSocketMessage = protobuf.lookupType("signalservice.WebSocketMessage");
 
+const { nextEvent } = MockSignalServer;
+
 describe("MessageReceiver", () => {
   const protocolStore = new SignalProtocolStore();
   const number = "+19999999999";
@@ -107,4 +112,290 @@ describe("MessageReceiver", () => {
       });
     });
   });
+
+  describe("polling", () => {
+    const CA = "-----BEGIN CERTIFICATE-----\n-----END CERTIFICATE-----\n";
+    const timestamp = Date.now();
+    const requests = [];
+
+    function fakeFetch(url, options) {
+      requests.push(`${options.method} ${url}`);
+      const json =
+        options.method === "GET"
+          ? {
+              messages: [
+                {
+                  type: Envelope.Type.RECEIPT,
+                  source: "+18888888888",
+                  sourceDevice: 2,
+                  timestamp
+                }
+              ],
+              more: false
+            }
+          : undefined;
+      return Promise.resolve({
+        status: json ? 200 : 204,
+        headers: {
+          get: name =>
+            name === "Content-Type" && json ? "application/json" : null
+        },
+        json: () => Promise.resolve(json),
+        text: () => Promise.resolve("")
+      });
+    }
+
+    it("rejects unknown receive modes", () => {
+      assert.throws(
+        () =>
+          new MessageReceiver(
+            `${number}.${deviceId}`,
+            "password",
+            signalingKey,
+            protocolStore,
+            { receiveMode: "carrier-pigeon" }
+          ),
+        /Unknown receiveMode/
+      );
+    });
+
+    it("acknowledges queued messages once they have been handled", async () => {
+      const service = api.createSignalService({
+        serverUrl: "https://chat.example.org",
+        cdnUrl: "https://cdn.example.org",
+        ca: CA,
+        transport: { fetch: fakeFetch },
+        logger: createLogger(undefined, { level: "silent" })
+      });
+      const messageReceiver = new service.MessageReceiver(
+        `${number}.${deviceId}`,
+        "password",
+        signalingKey,
+        protocolStore,
+        { receiveMode: "poll" }
+      );
+      const received = [];
+      messageReceiver.addEventListener("delivery", ev => {
+        received.push(ev.deliveryReceipt);
+        requests.push("handled");
+        return ev.confirm();
+      });
+      const empty = new Promise(resolve =>
+        messageReceiver.addEventListener("empty", resolve)
+      );
+
+      messageReceiver.connect();
+      await empty;
+      await messageReceiver.close();
+
+      assert.deepEqual(received, [
+        { timestamp, source: "+18888888888", sourceDevice: 2 }
+      ]);
+      assert.deepEqual(requests, [
+        "GET https://chat.example.org/v1/messages",
+        "handled",
+        `DELETE https://chat.example.org/v1/messages/+18888888888/${timestamp}`
+      ]);
+    });
+  });
+
+  describe("with the mock server", function() {
+    this.timeout(20000);
+    let server;
+
+    before(async () => {
+      server = new MockSignalServer();
+      await server.start();
+    });
+
+    after(() => server.stop());
+
+    it("drops messages from blocked numbers and groups", async () => {
+      const alice = await server.register("+15550000064");
+      const bob = await server.register("+15550000065");
+      const carol = await server.register("+15550000066");
+      const aliceSender = server.createSender(alice);
+      await aliceSender.block(bob.number);
+      await aliceSender.blockGroup("\u0001blocked");
+      await bob.store.groupsCreateNewGroup([alice.number], "\u0001group");
+      await carol.store.groupsCreateNewGroup([alice.number], "\u0001blocked");
+
+      const bobSender = server.createSender(bob);
+      const carolSender = server.createSender(carol);
+      await bobSender.send({ to: alice.number, body: "blocked" });
+      await bobSender.send(
+        { to: alice.number, body: "sealed" },
+        { sendMetadata: await server.sendMetadataFor(alice) }
+      );
+      await carolSender.send({ groupId: "\u0001blocked", body: "group" });
+      await carolSender.sendTypingMessage({
+        groupId: "\u0001blocked",
+        action: "started"
+      });
+      await carolSender.send({ to: alice.number, body: "direct" });
+
+      const receiver = server.createReceiver(alice, { receiveMode: "poll" });
+      const messages = [];
+      const typing = [];
+      receiver.addEventListener("message", ev => {
+        messages.push(ev.data);
+        ev.confirm();
+      });
+      receiver.addEventListener("typing", ev => typing.push(ev.typing));
+      const empty = nextEvent(receiver, "empty");
+      receiver.connect();
+      await empty;
+      await receiver.close();
+      assert.deepEqual(messages.map(data => data.message.body), ["direct"]);
+      assert.lengthOf(typing, 0);
+      assert.isUndefined(await alice.store.groupsGetGroup("\u0001blocked"));
+      assert.lengthOf(await alice.store.getAllUnprocessed(), 0);
+    });
+
+    describe("sync requests", () => {
+      it("answers linked devices from the primary's store", async () => {
+        const alice = await server.register("+15550000058");
+        const bob = await server.register("+15550000059");
+        const linked = await server.link(alice);
+        const avatar = new Uint8Array([1, 2, 3, 4]).buffer;
+        await alice.store.putContact({
+          number: bob.number,
+          name: "Bob",
+          color: "blue",
+          expireTimer: 60,
+          avatar: { contentType: "image/png", data: avatar }
+        });
+        const { id } = await alice.store.groupsCreateNewGroup([bob.number]);
+        alice.store.put("blocked", ["+15550000060"]);
+        alice.store.put("blocked-groups", ["\u0001blocked"]);
+        alice.store.put("read-receipts-setting", true);
+
+        const primary = server.createReceiver(alice);
+        primary.connect();
+        const sender = server.createSender(linked);
+        await sender.sendRequestContactSyncMessage();
+        await sender.sendRequestGroupSyncMessage();
+        await sender.sendRequestBlockedSyncMessage();
+        await sender.sendRequestConfigurationSyncMessage();
+
+        const receiver = server.createReceiver(linked);
+        const contacts = [];
+        const groups = [];
+        receiver.addEventListener("contact", ev => contacts.push(ev));
+        receiver.addEventListener("group", ev => groups.push(ev));
+        const contactsync = nextEvent(receiver, "contactsync");
+        const groupsync = nextEvent(receiver, "groupsync");
+        const configuration = nextEvent(receiver, "configuration");
+        receiver.connect();
+
+        await contactsync;
+        assert.lengthOf(contacts, 1);
+        const { contactDetails } = contacts[0];
+        assert.strictEqual(contactDetails.number, bob.number);
+        assert.strictEqual(contactDetails.name, "Bob");
+        assert.strictEqual(contactDetails.color, "blue");
+        assert.strictEqual(contactDetails.expireTimer, 60);
+        assert.isFalse(contactDetails.blocked);
+        assert.deepEqual(
+          Array.from(new Uint8Array(contactDetails.avatar.data)),
+          [1, 2, 3, 4]
+        );
+
+        await groupsync;
+        assert.lengthOf(groups, 1);
+        assert.strictEqual(groups[0].groupDetails.id, id);
+        assert.sameMembers(groups[0].groupDetails.members, [
+          alice.number,
+          bob.number
+        ]);
+        assert.deepEqual(await linked.store.groupsGetNumbers(id), [
+          bob.number,
+          alice.number
+        ]);
+
+        assert.isTrue((await configuration).configuration.readReceipts);
+        assert.deepEqual(linked.store.get("blocked"), ["+15550000060"]);
+        assert.deepEqual(linked.store.get("blocked-groups"), ["\u0001blocked"]);
+
+        await receiver.close();
+        await primary.close();
+      });
+
+      it("leaves requests to the primary device", async () => {
+        const alice = await server.register("+15550000061");
+        const linked = await server.link(alice);
+        const other = await server.link(alice);
+        alice.store.put("read-receipts-setting", true);
+
+        await server.createSender(linked).sendRequestConfigurationSyncMessage();
+        const receiver = server.createReceiver(other, { receiveMode: "poll" });
+        const empty = nextEvent(receiver, "empty");
+        receiver.connect();
+        await empty;
+        await receiver.close();
+        assert.lengthOf(server.getDevice(alice.number, 1).queue, 1);
+        assert.lengthOf(
+          server.getDevice(linked.number, linked.deviceId).queue,
+          0
+        );
+      });
+    });
+
+    describe("delivery receipts", () => {
+      it("sends delivery receipts", async () => {
+        const alice = await server.register("+15550000035");
+        const bob = await server.register("+15550000036");
+        await server
+          .createSender(bob)
+          .sendDeliveryReceipts(alice.number, [1234]);
+
+        const receiver = server.createReceiver(alice, { receiveMode: "poll" });
+        const delivery = nextEvent(receiver, "delivery");
+        receiver.connect();
+        assert.deepEqual((await delivery).deliveryReceipt, {
+          timestamp: 1234,
+          source: bob.number,
+          sourceDevice: 1
+        });
+        await receiver.close();
+      });
+
+      it("sends them in batches once messages are confirmed", async () => {
+        const alice = await server.register("+15550000037");
+        const bob = await server.register("+15550000038");
+        const sender = server.createSender(alice);
+        const timestamps = [Date.now(), Date.now() + 1];
+        for (const timestamp of timestamps) {
+          await sender.sendMessage({
+            recipients: [bob.number],
+            body: "hi",
+            timestamp
+          });
+        }
+
+        const receiver = server.createReceiver(bob, {
+          receiveMode: "poll",
+          sendDeliveryReceipts: true,
+          deliveryReceiptDelay: 10
+        });
+        receiver.addEventListener("message", ev => ev.confirm());
+        const empty = nextEvent(receiver, "empty");
+        receiver.connect();
+        await empty;
+        await receiver.close();
+
+        assert.lengthOf(server.getDevice(alice.number, 1).queue, 1);
+        const delivered = [];
+        const received = server.createReceiver(alice, { receiveMode: "poll" });
+        received.addEventListener("delivery", ev => {
+          delivered.push(ev.deliveryReceipt.timestamp);
+        });
+        const drained = nextEvent(received, "empty");
+        received.connect();
+        await drained;
+        assert.deepEqual(delivered, timestamps);
+        await received.close();
+      });
+    });
+  });
 });
@@ -0,0 +1,243 @@
+"use strict";
+const assert = require("chai").assert;
+const Message = require("../src/message.js");
+const SignalProtocolStore = require("./InMemorySignalProtocolStore.js");
+const api = require("../src/index.js");
+const protobuf = require("../src/protobufs.js");
+const AttachmentPointer = protobuf.lookupType(
+  "signalservice.AttachmentPointer"
+);
+const DataMessage = protobuf.lookupType("signalservice.DataMessage");
+const GroupContext = protobuf.lookupType("signalservice.GroupContext");
+
+describe("Message", () => {
+  const number = "+19999999999";
+  const sender = "+18888888888";
+  const timestamp = Date.now();
+  let receiver;
+  let handled;
+
+  function pointer(id) {
+    return AttachmentPointer.create({
+      id,
+      contentType: "image/png",
+      key: new Uint8Array(64),
+      digest: new Uint8Array(32)
+    });
+  }
+
+  // Encodes a message as it goes on the wire and processes it as it comes off
+  function roundTrip(attrs) {
+    const message = new Message(
+      Object.assign({ recipients: [sender], timestamp }, attrs)
+    );
+    const decoded = DataMessage.decode(message.toArrayBuffer());
+    return receiver.processDecrypted({ source: sender }, decoded, sender);
+  }
+
+  beforeEach(() => {
+    const store = new SignalProtocolStore();
+    store.userSetNumberAndDeviceId(number, 1, "name");
+    receiver = new api.MessageReceiver(
+      `${number}.1`,
+      "password",
+      new ArrayBuffer(52),
+      store
+    );
+    handled = [];
+    receiver.handleAttachment = attachment => {
+      handled.push(attachment.id.toString());
+      return Promise.resolve();
+    };
+  });
+
+  it("encodes group contexts", () => {
+    const message = new Message({
+      recipients: [sender, number],
+      timestamp,
+      body: "hi",
+      group: { id: "\u0001\u00ffgroup", type: GroupContext.Type.DELIVER }
+    });
+    const { group } = DataMessage.decode(message.toArrayBuffer());
+    assert.strictEqual(group.id.toString("binary"), "\u0001\u00ffgroup");
+    assert.strictEqual(group.type, GroupContext.Type.DELIVER);
+  });
+
+  it("round trips quotes", async () => {
+    const decrypted = await roundTrip({
+      body: "reply",
+      quote: {
+        id: 1234,
+        author: number,
+        text: "original",
+        attachments: [
+          {
+            contentType: "image/png",
+            fileName: "a.png",
+            attachmentPointer: pointer(1)
+          }
+        ]
+      }
+    });
+    assert.strictEqual(decrypted.quote.id, 1234);
+    assert.strictEqual(decrypted.quote.author, number);
+    assert.strictEqual(decrypted.quote.text, "original");
+    assert.strictEqual(decrypted.quote.attachments[0].fileName, "a.png");
+    assert.deepEqual(handled, ["1"]);
+  });
+
+  it("round trips contacts", async () => {
+    const decrypted = await roundTrip({
+      contact: [
+        {
+          name: { givenName: "Ada", familyName: "Lovelace" },
+          number: [
+            { value: "+15555550100", type: DataMessage.Contact.Phone.Type.HOME }
+          ],
+          email: [{ value: "ada@example.org" }],
+          address: [{ city: "London", country: "UK" }],
+          organization: "Analytical Engines",
+          avatar: { attachmentPointer: pointer(2), isProfile: true }
+        }
+      ]
+    });
+    const [contact] = decrypted.contact;
+    assert.strictEqual(Object.getPrototypeOf(contact), Object.prototype);
+    assert.strictEqual(contact.name.givenName, "Ada");
+    assert.strictEqual(contact.number[0].value, "+15555550100");
+    assert.strictEqual(
+      contact.number[0].type,
+      DataMessage.Contact.Phone.Type.HOME
+    );
+    assert.strictEqual(contact.email[0].value, "ada@example.org");
+    assert.strictEqual(contact.address[0].city, "London");
+    assert.strictEqual(contact.organization, "Analytical Engines");
+    assert.isTrue(contact.avatar.isProfile);
+    assert.deepEqual(handled, ["2"]);
+  });
+
+  it("round trips link previews", async () => {
+    const decrypted = await roundTrip({
+      body: "https://example.org",
+      previews: [
+        {
+          url: "https://example.org",
+          title: "Example",
+          attachmentPointer: pointer(3)
+        },
+        { url: "https://example.com", title: "No image" }
+      ]
+    });
+    assert.lengthOf(decrypted.preview, 2);
+    assert.strictEqual(decrypted.preview[0].url, "https://example.org");
+    assert.strictEqual(decrypted.preview[0].title, "Example");
+    assert.isNull(decrypted.preview[1].image);
+    assert.deepEqual(handled, ["3"]);
+  });
+
+  it("round trips stickers", async () => {
+    const packId = "00112233445566778899aabbccddeeff";
+    const packKey = Buffer.alloc(32, 7).toString("base64");
+    const decrypted = await roundTrip({
+      sticker: { packId, packKey, stickerId: 5, attachmentPointer: pointer(4) }
+    });
+    assert.strictEqual(decrypted.sticker.packId, packId);
+    assert.strictEqual(decrypted.sticker.packKey, packKey);
+    assert.strictEqual(decrypted.sticker.stickerId, 5);
+    assert.deepEqual(handled, ["4"]);
+  });
+
+  it("round trips reactions", async () => {
+    const decrypted = await roundTrip({
+      reaction: {
+        emoji: "👍",
+        remove: false,
+        targetAuthorE164: number,
+        targetSentTimestamp: 1234
+      }
+    });
+    assert.deepEqual(
+      {
+        emoji: decrypted.reaction.emoji,
+        remove: decrypted.reaction.remove,
+        targetAuthorE164: decrypted.reaction.targetAuthorE164,
+        targetSentTimestamp: decrypted.reaction.targetSentTimestamp
+      },
+      {
+        emoji: "👍",
+        remove: false,
+        targetAuthorE164: number,
+        targetSentTimestamp: 1234
+      }
+    );
+    assert.strictEqual(
+      decrypted.requiredProtocolVersion,
+      DataMessage.ProtocolVersion.REACTIONS
+    );
+  });
+
+  it("round trips deletes", async () => {
+    const decrypted = await roundTrip({ deletedForEveryoneTimestamp: 1234 });
+    assert.strictEqual(decrypted.delete.targetSentTimestamp, 1234);
+  });
+
+  it("round trips view once messages", async () => {
+    const decrypted = await roundTrip({
+      attachments: [],
+      viewOnce: true
+    });
+    assert.isTrue(decrypted.isViewOnce);
+    assert.strictEqual(
+      decrypted.requiredProtocolVersion,
+      DataMessage.ProtocolVersion.VIEW_ONCE_VIDEO
+    );
+    assert.isFalse((await roundTrip({ body: "again" })).isViewOnce);
+  });
+
+  it("rejects malformed stickers and reactions", () => {
+    assert.throws(
+      () =>
+        new Message({
+          recipients: [sender],
+          timestamp,
+          sticker: { packId: "00", stickerId: 1 }
+        }),
+      /Invalid message sticker/
+    );
+    assert.throws(
+      () =>
+        new Message({
+          recipients: [sender],
+          timestamp,
+          reaction: { emoji: "👍" }
+        }),
+      /Invalid message reaction/
+    );
+    assert.throws(
+      () =>
+        new Message({
+          recipients: [sender],
+          timestamp,
+          reaction: {
+            emoji: "👍",
+            targetAuthorE164: "",
+            targetSentTimestamp: 1234
+          }
+        }),
+      /Invalid message reaction/
+    );
+    assert.throws(
+      () =>
+        new Message({
+          recipients: [sender],
+          timestamp,
+          reaction: {
+            emoji: "",
+            targetAuthorE164: sender,
+            targetSentTimestamp: 1234
+          }
+        }),
+      /Invalid message reaction/
+    );
+  });
+});
@@ -0,0 +1,154 @@
+"use strict";
+const assert = require("chai").assert;
+const fetch = require("node-fetch");
+const MockSignalServer = require("./MockSignalServer.js");
+const WebSocketResource = require("../src/websocket-resources.js");
+const protobuf = require("../src/protobufs.js");
+const ProvisioningUuid = protobuf.lookupType("signalservice.ProvisioningUuid");
+
+const { nextEvent } = MockSignalServer;
+
+describe("MockSignalServer", function() {
+  this.timeout(20000);
+  let server;
+
+  before(async () => {
+    server = new MockSignalServer();
+    await server.start();
+  });
+
+  after(() => server.stop());
+
+  it("registers accounts and stores their keys", async () => {
+    const alice = await server.register("+15550000001");
+    const device = server.getDevice(alice.number, 1);
+    assert.strictEqual(device.password, alice.password);
+    assert.strictEqual(
+      device.registrationId,
+      alice.store.get("registrationId")
+    );
+    assert.lengthOf(device.preKeys, 100);
+    assert.isString(server.getAccount(alice.number).identityKey);
+  });
+
+  it("delivers messages between clients over the message socket", async () => {
+    const alice = await server.register("+15550000002");
+    const bob = await server.register("+15550000003");
+    const receiver = server.createReceiver(bob);
+    const message = nextEvent(receiver, "message");
+    receiver.connect();
+
+    const sender = server.createSender(alice);
+    const now = Date.now();
+    await sender.sendMessageToNumber(bob.number, "hello", [], null, now);
+
+    const event = await message;
+    assert.strictEqual(event.data.source, alice.number);
+    assert.strictEqual(event.data.message.body, "hello");
+    assert.lengthOf(server.getDevice(bob.number, 1).queue, 0);
+    await receiver.close();
+  });
+
+  it("queues messages for clients that poll", async () => {
+    const alice = await server.register("+15550000004");
+    const bob = await server.register("+15550000005");
+    const sender = server.createSender(alice);
+    await sender.sendMessageToNumber(bob.number, "later", [], null, Date.now());
+    assert.lengthOf(server.getDevice(bob.number, 1).queue, 1);
+
+    const receiver = server.createReceiver(bob, { receiveMode: "poll" });
+    const message = nextEvent(receiver, "message");
+    receiver.connect();
+    assert.strictEqual((await message).data.message.body, "later");
+    await receiver.close();
+    assert.lengthOf(server.getDevice(bob.number, 1).queue, 0);
+  });
+
+  it("polls while the socket keeps closing and tries it again later", async () => {
+    const alice = await server.register("+15550000072");
+    const bob = await server.register("+15550000073");
+    const sender = server.createSender(alice);
+    server.handleSocketRequest = request => request.reject(503);
+
+    const receiver = server.createReceiver(bob, {
+      receiveMode: "auto",
+      pollInterval: 50,
+      socketRetryInterval: 200
+    });
+    const polled = nextEvent(receiver, "message");
+    receiver.connect();
+    await sender.sendMessageToNumber(
+      bob.number,
+      "polled",
+      [],
+      null,
+      Date.now()
+    );
+    const first = await polled;
+    assert.strictEqual(first.data.message.body, "polled");
+    assert.isTrue(receiver.polling);
+    await first.confirm();
+
+    delete server.handleSocketRequest;
+    const device = server.getDevice(bob.number, 1);
+    while (!device.socket) {
+      // eslint-disable-next-line no-await-in-loop
+      await new Promise(resolve => setTimeout(resolve, 50));
+    }
+    assert.isFalse(receiver.polling);
+
+    const pushed = nextEvent(receiver, "message");
+    await sender.sendMessageToNumber(
+      bob.number,
+      "pushed",
+      [],
+      null,
+      Date.now()
+    );
+    const second = await pushed;
+    assert.strictEqual(second.data.message.body, "pushed");
+    await second.confirm();
+    await receiver.close();
+  });
+
+  it("hosts attachments", async () => {
+    const alice = await server.register("+15550000006");
+    const webAPI = server.service.WebAPI.connect({
+      username: alice.number,
+      password: alice.password
+    });
+    const id = await webAPI.putAttachment(new Uint8Array([1, 2, 3]).buffer);
+    const data = await webAPI.getAttachment(id);
+    assert.deepEqual(Array.from(new Uint8Array(data)), [1, 2, 3]);
+  });
+
+  it("relays provisioning messages to a linking client", async () => {
+    let onRequest;
+    const nextRequest = () =>
+      new Promise(resolve => {
+        onRequest = resolve;
+      });
+    const address = nextRequest();
+    const socket = server.service.WebAPI.connect({}).getProvisioningSocket();
+    // eslint-disable-next-line no-new
+    new WebSocketResource(socket, {
+      handleRequest(request) {
+        request.respond(200, "OK");
+        onRequest(request);
+      }
+    });
+
+    const { uuid } = ProvisioningUuid.decode((await address).body);
+    const message = nextRequest();
+    const response = await fetch(`${server.url}/v1/provisioning/${uuid}`, {
+      method: "PUT",
+      body: JSON.stringify({ body: Buffer.from([4, 5, 6]).toString("base64") })
+    });
+    assert.strictEqual(response.status, 204);
+
+    const request = await message;
+    assert.strictEqual(request.path, "/v1/message");
+    assert.deepEqual(Array.from(request.body), [4, 5, 6]);
+    socket.close();
+  });
+});
@@ -0,0 +1,157 @@
+"use strict";
+const assert = require("chai").assert;
+const MockSignalServer = require("./MockSignalServer.js");
+const { KeyHelper, Outbox } = require("../src/index.js");
+
+const { nextEvent } = MockSignalServer;
+
+describe("Outbox", function() {
+  this.timeout(20000);
+  let server;
+
+  before(async () => {
+    server = new MockSignalServer();
+    await server.start();
+  });
+
+  after(() => server.stop());
+
+  function collectStatuses(outbox) {
+    const statuses = [];
+    outbox.addEventListener("status", ev => {
+      statuses.push(`${ev.number} ${ev.status}`);
+    });
+    return statuses;
+  }
+
+  function nextStatus(outbox, status) {
+    return new Promise(resolve => {
+      const listener = ev => {
+        if (ev.status === status) {
+          outbox.removeEventListener("status", listener);
+          resolve(ev);
+        }
+      };
+      outbox.addEventListener("status", listener);
+    });
+  }
+
+  it("sends messages and forgets them once sent", async () => {
+    const alice = await server.register("+15550000039");
+    const bob = await server.register("+15550000040");
+    const outbox = new Outbox(server.createSender(alice));
+    const statuses = collectStatuses(outbox);
+    const sent = nextStatus(outbox, "sent");
+    const id = await outbox.sendMessage({
+      recipients: [bob.number],
+      body: "hi",
+      timestamp: Date.now()
+    });
+    assert.strictEqual((await sent).id, id);
+    assert.deepEqual(statuses, [`${bob.number} queued`, `${bob.number} sent`]);
+    await new Promise(resolve => setImmediate(resolve));
+    assert.lengthOf(await alice.store.getAllOutboxItems(), 0);
+  });
+
+  it("retries network failures after a restart", async () => {
+    const alice = await server.register("+15550000041");
+    const bob = await server.register("+15550000042");
+    const sender = server.createSender(alice);
+    const { sendMessages } = server;
+    server.sendMessages = () => {
+      server.sendMessages = sendMessages;
+      return { status: 500 };
+    };
+
+    const outbox = new Outbox(sender, { retryDelay: 60000 });
+    const failed = new Promise(resolve =>
+      outbox.addEventListener("status", ev => ev.error && resolve(ev))
+    );
+    await outbox.sendMessage({
+      recipients: [bob.number],
+      body: "eventually",
+      timestamp: Date.now()
+    });
+    const { status, error } = await failed;
+    assert.strictEqual(status, "queued");
+    assert.strictEqual(error.name, "SendMessageNetworkError");
+    outbox.stop();
+    await new Promise(resolve => setImmediate(resolve));
+    const [item] = await alice.store.getAllOutboxItems();
+    assert.strictEqual(item.recipients[bob.number].attempts, 1);
+
+    // The next process finds the message in the store and tries it again
+    item.recipients[bob.number].nextAttemptAt = Date.now();
+    const restarted = new Outbox(sender);
+    const sent = nextStatus(restarted, "sent");
+    await restarted.start();
+    assert.strictEqual((await sent).attempts, 2);
+    restarted.stop();
+
+    const receiver = server.createReceiver(bob, { receiveMode: "poll" });
+    const message = nextEvent(receiver, "message");
+    receiver.connect();
+    assert.strictEqual((await message).data.message.body, "eventually");
+    await receiver.close();
+  });
+
+  it("holds changed identities until they're approved", async () => {
+    const alice = await server.register("+15550000043");
+    const bob = await server.register("+15550000044");
+    const { pubKey } = await KeyHelper.generateIdentityKeyPair();
+    await alice.store.saveIdentity(bob.number, pubKey);
+    await alice.store.saveIdentity(`${bob.number}.1`, pubKey);
+
+    const outbox = new Outbox(server.createSender(alice));
+    const changed = nextStatus(outbox, "identity-changed");
+    await outbox.sendMessage({
+      recipients: [bob.number],
+      body: "hi",
+      timestamp: Date.now()
+    });
+    const { number, error } = await changed;
+    assert.strictEqual(number, bob.number);
+    assert.strictEqual(error.name, "OutgoingIdentityKeyError");
+    await new Promise(resolve => setImmediate(resolve));
+    const [item] = await alice.store.getAllOutboxItems();
+    assert.strictEqual(item.recipients[bob.number].status, "identity-changed");
+
+    const publicKey = (await bob.store.getIdentityKeyPair()).pubKey;
+    await alice.store.saveIdentityWithAttributes(bob.number, { publicKey });
+    await alice.store.saveIdentityWithAttributes(`${bob.number}.1`, {
+      publicKey
+    });
+    const sent = nextStatus(outbox, "sent");
+    await outbox.approveIdentity(bob.number);
+    assert.strictEqual((await sent).number, bob.number);
+    await new Promise(resolve => setImmediate(resolve));
+    assert.lengthOf(await alice.store.getAllOutboxItems(), 0);
+    outbox.stop();
+  });
+
+  it("doesn't send twice when started more than once", async () => {
+    const alice = await server.register("+15550000070");
+    const bob = await server.register("+15550000071");
+    const { sendMessages } = server;
+    let calls = 0;
+    server.sendMessages = (...args) => {
+      calls += 1;
+      return calls === 1 ? { status: 500 } : sendMessages.apply(server, args);
+    };
+
+    const outbox = new Outbox(server.createSender(alice), { retryDelay: 50 });
+    const sent = nextStatus(outbox, "sent");
+    await outbox.sendMessage({
+      recipients: [bob.number],
+      body: "once",
+      timestamp: Date.now()
+    });
+    await outbox.start();
+    await outbox.start();
+    await sent;
+    await new Promise(resolve => setTimeout(resolve, 200));
+    outbox.stop();
+    server.sendMessages = sendMessages;
+    assert.strictEqual(calls, 2);
+  });
+});
@@ -0,0 +1,607 @@
+"use strict";
+const assert = require("chai").assert;
+const MockSignalServer = require("./MockSignalServer.js");
+const ProtocolStore = require("./InMemorySignalProtocolStore.js");
+
+const { nextEvent } = MockSignalServer;
+
+describe("MessageSender", function() {
+  this.timeout(20000);
+  let server;
+
+  before(async () => {
+    server = new MockSignalServer();
+    await server.start();
+  });
+
+  after(() => server.stop());
+
+  describe("sealed sender", () => {
+    it("delivers messages without telling the server who sent them", async () => {
+      const alice = await server.register("+15550000007");
+      const bob = await server.register("+15550000008");
+      const sender = server.createSender(alice);
+      const result = await sender.sendMessageToNumber(
+        bob.number,
+        "sealed",
+        [],
+        null,
+        Date.now(),
+        undefined,
+        undefined,
+        { sendMetadata: await server.sendMetadataFor(bob) }
+      );
+      assert.deepEqual(result.unidentifiedDeliveries, [bob.number]);
+      assert.isString(alice.store.get("senderCertificate").serialized);
+
+      const [queued] = server.getDevice(bob.number, 1).queue;
+      assert.strictEqual(queued.type, 6);
+      assert.isUndefined(queued.source);
+
+      const receiver = server.createReceiver(bob, { receiveMode: "poll" });
+      const message = nextEvent(receiver, "message");
+      receiver.connect();
+      const { data } = await message;
+      assert.strictEqual(data.source, alice.number);
+      assert.strictEqual(data.message.body, "sealed");
+      assert.isTrue(data.unidentifiedDeliveryReceived);
+      await receiver.close();
+      assert.lengthOf(server.getDevice(bob.number, 1).queue, 0);
+    });
+
+    it("falls back to authenticated sending when the access key is refused", async () => {
+      const alice = await server.register("+15550000009");
+      const bob = await server.register("+15550000010");
+      const sender = server.createSender(alice);
+      const result = await sender.sendMessageToNumber(
+        bob.number,
+        "unsealed",
+        [],
+        null,
+        Date.now(),
+        undefined,
+        undefined,
+        { sendMetadata: { [bob.number]: { accessKey: new ArrayBuffer(16) } } }
+      );
+      assert.deepEqual(result.failoverNumbers, [bob.number]);
+      assert.deepEqual(result.unidentifiedDeliveries, []);
+      const [queued] = server.getDevice(bob.number, 1).queue;
+      assert.strictEqual(queued.source, alice.number);
+    });
+  });
+
+  describe("send", () => {
+    it("reports the outcome for each recipient", async () => {
+      const alice = await server.register("+15550000045");
+      const bob = await server.register("+15550000046");
+      const sender = server.createSender(alice);
+      const before = Date.now();
+      const result = await sender.send({ to: bob.number, body: "hi" });
+      assert.isAtLeast(result.timestamp, before);
+      assert.deepEqual(result.recipients, {
+        [bob.number]: { status: "sent", unidentified: false }
+      });
+
+      const receiver = server.createReceiver(bob, { receiveMode: "poll" });
+      const message = nextEvent(receiver, "message");
+      receiver.connect();
+      const { data } = await message;
+      assert.strictEqual(data.timestamp, result.timestamp);
+      assert.strictEqual(data.message.body, "hi");
+      await receiver.close();
+    });
+
+    it("sends null timestamps as now, like the older wrappers did", async () => {
+      const alice = await server.register("+15550000080");
+      const bob = await server.register("+15550000081");
+      const before = Date.now();
+      const result = await server
+        .createSender(alice)
+        .sendMessageToNumber(bob.number, "hi", [], null, null);
+      assert.isAtLeast(result.timestamp, before);
+      assert.strictEqual(result.recipients[bob.number].status, "sent");
+    });
+
+    it("sends to groups and reports failed members", async () => {
+      const alice = await server.register("+15550000047");
+      const bob = await server.register("+15550000048");
+      const nobody = "+15550000049";
+      const { id } = await alice.store.groupsCreateNewGroup([
+        alice.number,
+        bob.number,
+        nobody
+      ]);
+      const sender = server.createSender(alice);
+      try {
+        await sender.send({ groupId: id, body: "hi all" });
+        assert.fail("expected an error");
+      } catch (result) {
+        assert.deepEqual(Object.keys(result.recipients).sort(), [
+          bob.number,
+          nobody
+        ]);
+        assert.strictEqual(result.recipients[bob.number].status, "sent");
+        assert.strictEqual(result.recipients[nobody].status, "failed");
+        assert.strictEqual(
+          result.recipients[nobody].error.name,
+          "UnregisteredUserError"
+        );
+      }
+    });
+
+    it("validates its input", async () => {
+      const sender = new server.service.MessageSender(
+        "+15550000050",
+        "password",
+        new ProtocolStore()
+      );
+      const invalid = [
+        [{ body: "nowhere" }, /needs either `to` or `groupId`/],
+        [{ to: "+1", groupId: "g" }, /needs either `to` or `groupId`/],
+        [{ to: 15550000051 }, /must be strings/],
+        [{ to: "+15550000051", timestamp: "now" }, /must be a number/],
+        [{ to: "+15550000051", text: "hi" }, /unknown attributes text/],
+        [{ to: "+15550000051", expireTimer: -1 }, /Invalid expireTimer/]
+      ];
+      for (const [attrs, error] of invalid) {
+        try {
+          await sender.send(attrs);
+          assert.fail("expected an error");
+        } catch (e) {
+          assert.match(e.message, error);
+        }
+      }
+    });
+  });
+
+  describe("sync transcripts", () => {
+    it("tells our linked devices what the primary sent", async () => {
+      const alice = await server.register("+15550000052");
+      const bob = await server.register("+15550000053");
+      const linked = await server.link(alice);
+      const sender = server.createSender(alice);
+      const { timestamp } = await sender.send(
+        { to: bob.number, body: "hi", expireTimer: 60 },
+        { sendMetadata: await server.sendMetadataFor(bob) }
+      );
+
+      const receiver = server.createReceiver(linked, { receiveMode: "poll" });
+      const sent = nextEvent(receiver, "sent");
+      receiver.connect();
+      const { data } = await sent;
+      assert.strictEqual(data.destination, bob.number);
+      assert.strictEqual(data.timestamp, timestamp);
+      assert.strictEqual(data.message.body, "hi");
+      assert.isAtLeast(data.expirationStartTimestamp, timestamp);
+      assert.deepEqual(data.unidentifiedStatus, [
+        { destination: bob.number, unidentified: true }
+      ]);
+      await receiver.close();
+    });
+
+    it("sends transcripts of group messages", async () => {
+      const alice = await server.register("+15550000054");
+      const bob = await server.register("+15550000055");
+      const linked = await server.link(alice);
+      const { id } = await alice.store.groupsCreateNewGroup([bob.number]);
+      await server.createSender(alice).send({ groupId: id, body: "hi all" });
+
+      const receiver = server.createReceiver(linked, { receiveMode: "poll" });
+      const sent = nextEvent(receiver, "sent");
+      receiver.connect();
+      const { data } = await sent;
+      assert.notOk(data.destination);
+      assert.strictEqual(data.message.group.id, id);
+      assert.strictEqual(data.message.body, "hi all");
+      await receiver.close();
+    });
+
+    it("doesn't send transcripts without linked devices", async () => {
+      const alice = await server.register("+15550000056");
+      const bob = await server.register("+15550000057");
+      await server.createSender(alice).send({ to: bob.number, body: "hi" });
+      assert.lengthOf(server.getDevice(alice.number, 1).queue, 0);
+      assert.lengthOf(server.getDevice(bob.number, 1).queue, 1);
+    });
+  });
+
+  describe("blocking", () => {
+    it("syncs the blocked list to linked devices", async () => {
+      const alice = await server.register("+15550000062");
+      const linked = await server.link(alice);
+      const sender = server.createSender(alice);
+      const local = [];
+      sender.addEventListener("blocked", ev => local.push(ev.blocked));
+      await sender.block("+15550000063");
+      await sender.blockGroup("\u0001group");
+      await sender.blockGroup("\u0001group");
+      await sender.unblock("+15550000063");
+
+      const receiver = server.createReceiver(linked, { receiveMode: "poll" });
+      const changes = [];
+      receiver.addEventListener("blocked", ev => changes.push(ev.blocked));
+      const empty = nextEvent(receiver, "empty");
+      receiver.connect();
+      await empty;
+      await receiver.close();
+      assert.deepEqual(changes, [
+        { numbers: ["+15550000063"], groupIds: [] },
+        { numbers: ["+15550000063"], groupIds: ["\u0001group"] },
+        { numbers: [], groupIds: ["\u0001group"] }
+      ]);
+      assert.deepEqual(local, changes);
+      assert.deepEqual(linked.store.get("blocked"), []);
+      assert.deepEqual(linked.store.get("blocked-groups"), ["\u0001group"]);
+    });
+
+    it("rejects blocking ourselves", async () => {
+      const alice = await server.register("+15550000067");
+      const sender = server.createSender(alice);
+      try {
+        await sender.block(alice.number);
+        assert.fail("expected an error");
+      } catch (error) {
+        assert.strictEqual(error.message, "Can't block our own number");
+      }
+      assert.isUndefined(alice.store.get("blocked"));
+    });
+  });
+
+  describe("reactions", () => {
+    it("reacts to messages and tells our other devices", async () => {
+      const alice = await server.register("+15550000011");
+      const bob = await server.register("+15550000012");
+      const linked = await server.link(alice);
+      const sender = server.createSender(linked);
+      await sender.sendReaction({
+        recipient: bob.number,
+        targetAuthor: bob.number,
+        targetTimestamp: 1234,
+        emoji: "👍"
+      });
+
+      const received = server.createReceiver(bob, { receiveMode: "poll" });
+      const reaction = nextEvent(received, "reaction");
+      received.connect();
+      const { data } = await reaction;
+      assert.strictEqual(data.source, alice.number);
+      assert.isNull(data.groupId);
+      assert.deepEqual(data.reaction, {
+        emoji: "👍",
+        remove: false,
+        targetAuthor: bob.number,
+        targetTimestamp: 1234
+      });
+      await received.close();
+
+      const synced = server.createReceiver(alice, { receiveMode: "poll" });
+      const transcript = nextEvent(synced, "reaction");
+      synced.connect();
+      const sent = (await transcript).data;
+      assert.strictEqual(sent.source, alice.number);
+      assert.strictEqual(sent.destination, bob.number);
+      assert.strictEqual(sent.reaction.targetTimestamp, 1234);
+      await synced.close();
+    });
+
+    it("reacts to messages in groups", async () => {
+      const alice = await server.register("+15550000013");
+      const bob = await server.register("+15550000014");
+      const { id } = await alice.store.groupsCreateNewGroup([bob.number]);
+      const sender = server.createSender(alice);
+      await sender.sendReaction({
+        groupId: id,
+        targetAuthor: bob.number,
+        targetTimestamp: 1234,
+        emoji: "🎉",
+        remove: true
+      });
+
+      const receiver = server.createReceiver(bob, { receiveMode: "poll" });
+      const reaction = nextEvent(receiver, "reaction");
+      receiver.connect();
+      const { data } = await reaction;
+      assert.strictEqual(data.groupId, id);
+      assert.isTrue(data.reaction.remove);
+      await receiver.close();
+    });
+
+    it("rejects invalid reactions", async () => {
+      const sender = new server.service.MessageSender(
+        "+15550000068",
+        "password",
+        new ProtocolStore()
+      );
+      const reaction = {
+        recipient: "+15550000069",
+        targetAuthor: "+15550000069",
+        targetTimestamp: 1234,
+        emoji: "👍"
+      };
+      const invalid = [
+        [undefined, /Invalid reaction emoji/],
+        [{ ...reaction, emoji: "" }, /Invalid reaction emoji/],
+        [{ ...reaction, targetAuthor: "" }, /Invalid target author/],
+        [{ ...reaction, targetTimestamp: "1234" }, /Invalid target timestamp/],
+        [{ ...reaction, recipient: undefined }, /needs either `recipient`/],
+        [{ ...reaction, groupId: "\u0001group" }, /needs either `recipient`/]
+      ];
+      for (const [attrs, error] of invalid) {
+        try {
+          await sender.sendReaction(attrs);
+          assert.fail("expected an error");
+        } catch (e) {
+          assert.match(e.message, error);
+        }
+      }
+    });
+  });
+
+  describe("remote deletes", () => {
+    it("deletes messages and tells our other devices", async () => {
+      const alice = await server.register("+15550000025");
+      const bob = await server.register("+15550000026");
+      const linked = await server.link(alice);
+      const sender = server.createSender(linked);
+      await sender.deleteForEveryone(1234, { recipient: bob.number });
+
+      const received = server.createReceiver(bob, { receiveMode: "poll" });
+      const deleted = nextEvent(received, "delete");
+      received.connect();
+      const { data } = await deleted;
+      assert.strictEqual(data.source, alice.number);
+      assert.isNull(data.groupId);
+      assert.deepEqual(data.delete, {
+        targetAuthor: alice.number,
+        targetTimestamp: 1234
+      });
+      await received.close();
+
+      const synced = server.createReceiver(alice, { receiveMode: "poll" });
+      const transcript = nextEvent(synced, "delete");
+      synced.connect();
+      const sent = (await transcript).data;
+      assert.strictEqual(sent.destination, bob.number);
+      assert.deepEqual(sent.delete, {
+        targetAuthor: alice.number,
+        targetTimestamp: 1234
+      });
+      await synced.close();
+    });
+
+    it("deletes messages in groups", async () => {
+      const alice = await server.register("+15550000027");
+      const bob = await server.register("+15550000028");
+      const { id } = await alice.store.groupsCreateNewGroup([bob.number]);
+      const sender = server.createSender(alice);
+      await sender.deleteForEveryone(1234, { groupId: id });
+
+      const receiver = server.createReceiver(bob, { receiveMode: "poll" });
+      const deleted = nextEvent(receiver, "delete");
+      receiver.connect();
+      const { data } = await deleted;
+      assert.strictEqual(data.groupId, id);
+      assert.strictEqual(data.delete.targetTimestamp, 1234);
+      await receiver.close();
+    });
+
+    it("rejects invalid target timestamps", async () => {
+      const sender = new server.service.MessageSender(
+        "+15550000029",
+        "password",
+        new ProtocolStore()
+      );
+      try {
+        await sender.deleteForEveryone("1234", { recipient: "+15550000030" });
+        assert.fail("expected an error");
+      } catch (error) {
+        assert.strictEqual(error.message, "Invalid target timestamp");
+      }
+    });
+
+    it("rejects deletes without exactly one conversation", async () => {
+      const sender = new server.service.MessageSender(
+        "+15550000078",
+        "password",
+        new ProtocolStore()
+      );
+      const conversations = [
+        undefined,
+        {},
+        { recipient: "+15550000079", groupId: "\u0001group" }
+      ];
+      for (const conversation of conversations) {
+        try {
+          await sender.deleteForEveryone(1234, conversation);
+          assert.fail("expected an error");
+        } catch (error) {
+          assert.match(error.message, /needs either `recipient` or `groupId`/);
+        }
+      }
+    });
+  });
+
+  it("sends contact cards with their avatars", async () => {
+    const alice = await server.register("+15550000033");
+    const bob = await server.register("+15550000034");
+    const sender = server.createSender(alice);
+    await sender.sendMessage({
+      recipients: [bob.number],
+      timestamp: Date.now(),
+      contact: [
+        {
+          name: { givenName: "Ada", familyName: "Lovelace" },
+          number: [{ value: "+15555550100", type: 2 }],
+          avatar: {
+            avatar: {
+              data: new Uint8Array([1, 2, 3]).buffer,
+              contentType: "image/png"
+            },
+            isProfile: false
+          }
+        }
+      ]
+    });
+
+    const receiver = server.createReceiver(bob, { receiveMode: "poll" });
+    const message = nextEvent(receiver, "message");
+    receiver.connect();
+    const [contact] = (await message).data.message.contact;
+    assert.deepEqual(contact.name, {
+      givenName: "Ada",
+      familyName: "Lovelace"
+    });
+    assert.deepEqual(contact.number, [{ value: "+15555550100", type: 2 }]);
+    assert.isFalse(contact.avatar.isProfile);
+    assert.strictEqual(contact.avatar.avatar.contentType, "image/png");
+    assert.deepEqual(Array.from(new Uint8Array(contact.avatar.avatar.data)), [
+      1,
+      2,
+      3
+    ]);
+    await receiver.close();
+  });
+
+  describe("view once messages", () => {
+    it("flags view once messages and syncs opening them", async () => {
+      const alice = await server.register("+15550000031");
+      const bob = await server.register("+15550000032");
+      const sender = server.createSender(alice);
+      const timestamp = Date.now();
+      await sender.sendMessage({
+        recipients: [bob.number],
+        timestamp,
+        attachments: [
+          {
+            data: new Uint8Array([1, 2, 3]).buffer,
+            contentType: "image/png"
+          }
+        ],
+        viewOnce: true
+      });
+
+      const receiver = server.createReceiver(bob, { receiveMode: "poll" });
+      const message = nextEvent(receiver, "message");
+      receiver.connect();
+      const { data } = await message;
+      assert.isTrue(data.viewOnce);
+      await receiver.close();
+
+      const linked = await server.link(bob);
+      await server
+        .createSender(linked)
+        .syncViewOnceOpen(alice.number, timestamp);
+
+      const synced = server.createReceiver(bob, { receiveMode: "poll" });
+      const viewed = nextEvent(synced, "viewSync");
+      synced.connect();
+      assert.deepEqual((await viewed).view, {
+        sender: alice.number,
+        timestamp
+      });
+      await synced.close();
+    });
+  });
+
+  describe("typing indicators", () => {
+    it("shows typing to connected devices only", async () => {
+      const alice = await server.register("+15550000015");
+      const bob = await server.register("+15550000016");
+      const sender = server.createSender(alice);
+      await sender.sendTypingMessage({
+        recipient: bob.number,
+        action: "started"
+      });
+      assert.lengthOf(server.getDevice(bob.number, 1).queue, 0);
+
+      const receiver = server.createReceiver(bob);
+      const empty = nextEvent(receiver, "empty");
+      receiver.connect();
+      await empty;
+      const typing = nextEvent(receiver, "typing");
+      await sender.sendTypingMessage({
+        recipient: bob.number,
+        action: "stopped"
+      });
+      const event = await typing;
+      assert.strictEqual(event.sender, alice.number);
+      assert.isNull(event.typing.groupId);
+      assert.isTrue(event.typing.stopped);
+      assert.isFalse(event.typing.started);
+      await receiver.close();
+    });
+
+    it("shows typing in groups", async () => {
+      const alice = await server.register("+15550000017");
+      const bob = await server.register("+15550000018");
+      const { id } = await alice.store.groupsCreateNewGroup([bob.number]);
+      const receiver = server.createReceiver(bob);
+      const empty = nextEvent(receiver, "empty");
+      receiver.connect();
+      await empty;
+
+      const typing = nextEvent(receiver, "typing");
+      const sender = server.createSender(alice);
+      await sender.sendTypingMessage({ groupId: id, action: "started" });
+      const event = await typing;
+      assert.strictEqual(event.typing.groupId, id);
+      assert.isTrue(event.typing.started);
+      await receiver.close();
+    });
+
+    it("rejects unknown actions and conversations", async () => {
+      const sender = new server.service.MessageSender(
+        "+15550000019",
+        "password",
+        new ProtocolStore()
+      );
+      const invalid = [
+        [
+          { recipient: "+15550000020", action: "thinking" },
+          /Unknown typing action/
+        ],
+        [undefined, /needs either `recipient` or `groupId`/],
+        [{ action: "started" }, /needs either `recipient` or `groupId`/]
+      ];
+      for (const [attrs, error] of invalid) {
+        try {
+          await sender.sendTypingMessage(attrs);
+          assert.fail("expected an error");
+        } catch (e) {
+          assert.match(e.message, error);
+        }
+      }
+    });
+  });
+
+  it("sends link previews with their images", async () => {
+    const alice = await server.register("+15550000021");
+    const bob = await server.register("+15550000022");
+    const sender = server.createSender(alice);
+    await sender.sendMessage({
+      recipients: [bob.number],
+      body: "look https://example.org",
+      timestamp: Date.now(),
+      previews: [
+        {
+          url: "https://example.org",
+          title: "Example",
+          image: {
+            data: new Uint8Array([1, 2, 3]).buffer,
+            contentType: "image/png"
+          }
+        }
+      ]
+    });
+
+    const receiver = server.createReceiver(bob, { receiveMode: "poll" });
+    const message = nextEvent(receiver, "message");
+    receiver.connect();
+    const [preview] = (await message).data.message.preview;
+    assert.strictEqual(preview.url, "https://example.org");
+    assert.strictEqual(preview.title, "Example");
+    assert.strictEqual(preview.image.contentType, "image/png");
+    assert.deepEqual(Array.from(new Uint8Array(preview.image.data)), [1, 2, 3]);
+    await receiver.close();
+  });
+});
@@ -0,0 +1,99 @@
+"use strict";
+const assert = require("chai").assert;
+const MockSignalServer = require("./MockSignalServer.js");
+const crypto = require("../src/crypto.js");
+const protobuf = require("../src/protobufs.js");
+const Pack = protobuf.lookupType("signalservice.Pack");
+
+const { nextEvent } = MockSignalServer;
+
+describe("Sticker packs", function() {
+  this.timeout(20000);
+  let server;
+
+  before(async () => {
+    server = new MockSignalServer();
+    await server.start();
+  });
+
+  after(() => server.stop());
+
+  it("sends stickers from packs hosted on the CDN", async () => {
+    const alice = await server.register("+15550000023");
+    const bob = await server.register("+15550000024");
+    const packId = "00112233445566778899aabbccddeeff";
+    const packKey = crypto.getRandomBytes(32);
+    const manifest = Pack.encode(
+      Pack.create({
+        title: "Pack",
+        author: "Alice",
+        cover: { id: 1, emoji: "🙂" },
+        stickers: [{ id: 1, emoji: "🙂" }, { id: 2, emoji: "🙃" }]
+      })
+    ).finish();
+    server.putCdnFile(
+      `stickers/${packId}/manifest.proto`,
+      await crypto.encryptSticker(packKey, manifest)
+    );
+    await Promise.all(
+      [1, 2].map(async id =>
+        server.putCdnFile(
+          `stickers/${packId}/full/${id}`,
+          await crypto.encryptSticker(packKey, new Uint8Array([id]).buffer)
+        )
+      )
+    );
+
+    const sender = server.createSender(alice);
+    const base64Key = Buffer.from(packKey).toString("base64");
+    const pack = await sender.getStickerPack(packId, base64Key);
+    assert.strictEqual(pack.title, "Pack");
+    assert.strictEqual(pack.author, "Alice");
+    assert.strictEqual(pack.cover.id, 1);
+    assert.deepEqual(pack.stickers.map(sticker => sticker.emoji), ["🙂", "🙃"]);
+    assert.deepEqual(Array.from(new Uint8Array(pack.stickers[1].data)), [2]);
+
+    await sender.sendMessage({
+      recipients: [bob.number],
+      timestamp: Date.now(),
+      sticker: { packId, packKey: base64Key, stickerId: 2 }
+    });
+
+    const receiver = server.createReceiver(bob, { receiveMode: "poll" });
+    const message = nextEvent(receiver, "message");
+    receiver.connect();
+    const { sticker } = (await message).data.message;
+    assert.strictEqual(sticker.packId, packId);
+    assert.strictEqual(sticker.stickerId, 2);
+    assert.strictEqual(sticker.data.contentType, "image/webp");
+    assert.deepEqual(Array.from(new Uint8Array(sticker.data.data)), [2]);
+    await receiver.close();
+  });
+
+  it("delivers messages whose sticker can't be downloaded", async () => {
+    const alice = await server.register("+15550000076");
+    const bob = await server.register("+15550000077");
+    const packId = "ffeeddccbbaa99887766554433221100";
+    const sender = server.createSender(alice);
+    // Sent without the sticker's image, so bob has to look for it on the CDN
+    sender.uploadSticker = () => Promise.resolve();
+    await sender.sendMessage({
+      recipients: [bob.number],
+      timestamp: Date.now(),
+      sticker: {
+        packId,
+        packKey: Buffer.from(crypto.getRandomBytes(32)).toString("base64"),
+        stickerId: 1
+      }
+    });
+
+    const receiver = server.createReceiver(bob, { receiveMode: "poll" });
+    const message = nextEvent(receiver, "message");
+    receiver.connect();
+    const { sticker } = (await message).data.message;
+    assert.strictEqual(sticker.packId, packId);
+    assert.strictEqual(sticker.stickerId, 1);
+    assert.isUndefined(sticker.data);
+    await receiver.close();
+  });
+});
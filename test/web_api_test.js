@@ -0,0 +1,514 @@
+"use strict";
+const assert = require("chai").assert;
+const https = require("https");
+const ProxyAgent = require("proxy-agent");
+const WebAPI = require("../src/web_api.js");
+const { RateLimitError } = require("../src/errors.js");
+const { createLogger } = require("../src/logger.js");
+
+const CA = "-----BEGIN CERTIFICATE-----\n-----END CERTIFICATE-----\n";
+const logger = createLogger(undefined, { level: "silent" });
+
+function createFakeFetch(handler) {
+  const calls = [];
+  const fakeFetch = (url, options) => {
+    calls.push({ url, options });
+    const {
+      status = 200,
+      json,
+      text = "",
+      buffer,
+      headers = {},
+      error
+    } = handler(url, options);
+    if (error) {
+      return Promise.reject(error);
+    }
+    return Promise.resolve({
+      status,
+      headers: {
+        get(name) {
+          if (name === "Content-Type" && json) {
+            return "application/json";
+          }
+          return headers[name] || null;
+        }
+      },
+      json: () => Promise.resolve(json),
+      text: () => Promise.resolve(text),
+      buffer: () => Promise.resolve(buffer || Buffer.from([]))
+    });
+  };
+  fakeFetch.calls = calls;
+  return fakeFetch;
+}
+
+function sequenceHandler(responses) {
+  let index = 0;
+  return () => {
+    const response = responses[Math.min(index, responses.length - 1)];
+    index += 1;
+    return response;
+  };
+}
+
+function connect(fakeFetch, retryPolicy) {
+  return WebAPI.initialize({
+    url: "https://chat.example.org",
+    cdnUrl: "https://cdn.example.org",
+    certificateAuthority: CA,
+    logger,
+    transport: { fetch: fakeFetch },
+    retryPolicy
+  }).connect({ username: "+15555555555", password: "password" });
+}
+
+function createFakeSocketResource(status, body, headers = []) {
+  const requests = [];
+  return {
+    closed: false,
+    requests,
+    request(options) {
+      requests.push(options);
+      return Promise.resolve({
+        status,
+        message: "",
+        body: body ? Buffer.from(JSON.stringify(body)) : undefined,
+        headers
+      });
+    }
+  };
+}
+
+function attachmentHandler(url) {
+  if (url.includes("v1/attachments/")) {
+    return { json: { location: "https://attachments.example.org/blob" } };
+  }
+  if (url.includes("v1/attachments")) {
+    return {
+      json: {
+        location: "https://attachments.example.org/upload",
+        idString: "1234"
+      }
+    };
+  }
+  return { buffer: Buffer.from([1, 2, 3]) };
+}
+
+describe("WebAPI", () => {
+  describe("transport", () => {
+    it("uses the injected fetch implementation", async () => {
+      const fakeFetch = createFakeFetch(() => ({ json: { count: 42 } }));
+      const server = WebAPI.initialize({
+        url: "https://chat.example.org",
+        cdnUrl: "https://cdn.example.org",
+        certificateAuthority: CA,
+        logger,
+        transport: { fetch: fakeFetch }
+      }).connect({ username: "+15555555555", password: "password" });
+
+      const count = await server.getMyKeys();
+      assert.strictEqual(count, 42);
+      assert.strictEqual(fakeFetch.calls.length, 1);
+      assert.strictEqual(
+        fakeFetch.calls[0].url,
+        "https://chat.example.org/v2/keys"
+      );
+    });
+
+    it("pins the certificate authority for the server and CDN only", async () => {
+      const fakeFetch = createFakeFetch(attachmentHandler);
+      const server = WebAPI.initialize({
+        url: "https://chat.example.org",
+        cdnUrl: "https://cdn.example.org",
+        certificateAuthority: CA,
+        logger,
+        transport: {
+          fetch: fakeFetch,
+          tlsOptions: { "attachments.example.org": { ca: "other" } }
+        }
+      }).connect({ username: "+15555555555", password: "password" });
+
+      await server.getAttachment("1");
+      await server.getAvatar("avatar");
+      const [rest, download, avatar] = fakeFetch.calls.map(
+        call => call.options.agent
+      );
+      assert.instanceOf(rest, https.Agent);
+      assert.strictEqual(rest.options.ca, CA);
+      assert.strictEqual(download.options.ca, "other");
+      assert.strictEqual(avatar.options.ca, CA);
+    });
+
+    it("sends REST, CDN and attachment requests through the proxy", async () => {
+      const fakeFetch = createFakeFetch(attachmentHandler);
+      const server = WebAPI.initialize({
+        url: "https://chat.example.org",
+        cdnUrl: "https://cdn.example.org",
+        certificateAuthority: CA,
+        logger,
+        proxyUrl: "http://localhost:3128",
+        transport: { fetch: fakeFetch }
+      }).connect({ username: "+15555555555", password: "password" });
+
+      await server.getAttachment("1");
+      await server.putAttachment(new ArrayBuffer(8));
+      await server.getAvatar("avatar");
+      assert.strictEqual(fakeFetch.calls.length, 5);
+      fakeFetch.calls.forEach(call => {
+        assert.instanceOf(call.options.agent, ProxyAgent);
+      });
+      assert.strictEqual(fakeFetch.calls[0].options.agent.options.ca, CA);
+    });
+
+    it("uses an injected agent for every request, TLS options and all", async () => {
+      const agent = new https.Agent({ ca: "mine" });
+      const fakeFetch = createFakeFetch(attachmentHandler);
+      const server = WebAPI.initialize({
+        url: "https://chat.example.org",
+        cdnUrl: "https://cdn.example.org",
+        certificateAuthority: CA,
+        logger,
+        transport: { fetch: fakeFetch, agent }
+      }).connect({ username: "+15555555555", password: "password" });
+
+      await server.getAttachment("1");
+      fakeFetch.calls.forEach(call => {
+        assert.strictEqual(call.options.agent, agent);
+      });
+      // The pinned CA is left out, for the agent's own
+      assert.strictEqual(agent.options.ca, "mine");
+    });
+  });
+
+  describe("stickers", () => {
+    it("rejects invalid pack and sticker ids", async () => {
+      const server = connect(createFakeFetch(() => ({})));
+      const calls = [
+        () => server.getStickerPackManifest("nope"),
+        () => server.getSticker("nope", 1),
+        () => server.getSticker("00112233445566778899aabbccddeeff", "1")
+      ];
+      for (let i = 0; i < calls.length; i += 1) {
+        const promise = calls[i]();
+        assert.instanceOf(promise, Promise);
+        try {
+          // eslint-disable-next-line no-await-in-loop
+          await promise;
+          assert.fail("expected an error");
+        } catch (error) {
+          assert.match(error.message, /ID was invalid/);
+        }
+      }
+    });
+  });
+
+  describe("retry policy", () => {
+    it("backs off and retries when the server is unavailable", async () => {
+      const fakeFetch = createFakeFetch(
+        sequenceHandler([
+          { status: 503 },
+          { status: 503 },
+          { json: { count: 7 } }
+        ])
+      );
+      const server = connect(
+        fakeFetch,
+        { baseDelay: 1 }
+      );
+
+      assert.strictEqual(await server.getMyKeys(), 7);
+      assert.strictEqual(fakeFetch.calls.length, 3);
+    });
+
+    it("does not retry client errors", async () => {
+      const fakeFetch = createFakeFetch(() => ({ status: 401 }));
+      const server = connect(
+        fakeFetch,
+        { baseDelay: 1 }
+      );
+
+      try {
+        await server.getMyKeys();
+        assert.fail("expected an error");
+      } catch (error) {
+        assert.strictEqual(error.code, 401);
+      }
+      assert.strictEqual(fakeFetch.calls.length, 1);
+    });
+
+    it("only retries rate limits of requests that aren't safe to repeat", async () => {
+      const fakeFetch = createFakeFetch(
+        sequenceHandler([
+          { status: 503 },
+          { status: 429, headers: { "Retry-After": "0" } },
+          { json: {} }
+        ])
+      );
+      const server = connect(
+        fakeFetch,
+        { baseDelay: 1 }
+      );
+
+      try {
+        await server.sendMessages("+15555555556", [], Date.now());
+        assert.fail("expected an error");
+      } catch (error) {
+        assert.strictEqual(error.code, 503);
+      }
+      assert.strictEqual(fakeFetch.calls.length, 1);
+
+      await server.sendMessages("+15555555556", [], Date.now());
+      assert.strictEqual(fakeFetch.calls.length, 3);
+    });
+
+    it("retries any request that couldn't reach the server", async () => {
+      const refused = Object.assign(new Error("connect ECONNREFUSED"), {
+        code: "ECONNREFUSED"
+      });
+      const reset = Object.assign(new Error("socket hang up"), {
+        code: "ECONNRESET"
+      });
+      const fakeFetch = createFakeFetch(
+        sequenceHandler([
+          { error: refused },
+          { json: {} },
+          { error: reset },
+          { json: {} }
+        ])
+      );
+      const server = connect(
+        fakeFetch,
+        { baseDelay: 1 }
+      );
+
+      await server.sendMessages("+15555555556", [], Date.now());
+      assert.strictEqual(fakeFetch.calls.length, 2);
+
+      // A reset connection may have delivered the messages already
+      try {
+        await server.sendMessages("+15555555556", [], Date.now());
+        assert.fail("expected an error");
+      } catch (error) {
+        assert.strictEqual(error.code, -1);
+      }
+      assert.strictEqual(fakeFetch.calls.length, 3);
+    });
+
+    it("waits as long as Retry-After asks", async () => {
+      const fakeFetch = createFakeFetch(
+        sequenceHandler([
+          { status: 413, headers: { "Retry-After": "0.05" } },
+          { json: { count: 7 } }
+        ])
+      );
+      const server = connect(
+        fakeFetch,
+        { baseDelay: 1 }
+      );
+
+      const start = Date.now();
+      assert.strictEqual(await server.getMyKeys(), 7);
+      assert.isAtLeast(Date.now() - start, 45);
+      assert.strictEqual(fakeFetch.calls.length, 2);
+    });
+
+    it("throws a RateLimitError when Retry-After is too long", async () => {
+      const fakeFetch = createFakeFetch(() => ({
+        status: 413,
+        headers: { "Retry-After": "3600" }
+      }));
+      const server = connect(fakeFetch);
+
+      try {
+        await server.sendMessages("+15555555556", [], Date.now());
+        assert.fail("expected an error");
+      } catch (error) {
+        assert.instanceOf(error, RateLimitError);
+        assert.strictEqual(error.endpoint, "messages");
+        assert.strictEqual(error.retryAfter, 3600000);
+        assert.isAbove(error.retryAt, Date.now() + 3590000);
+      }
+      assert.strictEqual(fakeFetch.calls.length, 1);
+    });
+
+    it("applies per-endpoint overrides", async () => {
+      const fakeFetch = createFakeFetch(() => ({ status: 429 }));
+      const server = connect(
+        fakeFetch,
+        {
+          baseDelay: 1,
+          endpoints: { accounts: { maxAttempts: 1 } }
+        }
+      );
+
+      try {
+        await server.requestVerificationSMS("+15555555555");
+        assert.fail("expected an error");
+      } catch (error) {
+        assert.instanceOf(error, RateLimitError);
+      }
+      assert.strictEqual(fakeFetch.calls.length, 1);
+    });
+
+    it("shares each endpoint's retry budget between requests", async () => {
+      const fakeFetch = createFakeFetch(() => ({ status: 503 }));
+      const server = connect(
+        fakeFetch,
+        {
+          baseDelay: 1,
+          maxAttempts: 5,
+          budget: 3
+        }
+      );
+
+      await server.getMyKeys().catch(() => {});
+      assert.strictEqual(fakeFetch.calls.length, 4);
+      await server.getMyKeys().catch(() => {});
+      assert.strictEqual(fakeFetch.calls.length, 5);
+    });
+  });
+
+  describe("sending over the message socket", () => {
+    function connectBoth(fakeFetch) {
+      const webAPI = WebAPI.initialize({
+        url: "https://chat.example.org",
+        cdnUrl: "https://cdn.example.org",
+        certificateAuthority: CA,
+        logger,
+        transport: { fetch: fakeFetch }
+      });
+      return {
+        receiver: webAPI.connect({
+          username: "+15555555555.1",
+          password: "password"
+        }),
+        sender: webAPI.connect({
+          username: "+15555555555",
+          password: "password"
+        })
+      };
+    }
+
+    it("uses an open socket registered for the same account", async () => {
+      const fakeFetch = createFakeFetch(() => ({ json: {} }));
+      const { receiver, sender } = connectBoth(fakeFetch);
+      const wsr = createFakeSocketResource(200, { needsSync: true });
+      receiver.setMessageSocket(wsr);
+
+      const response = await sender.sendMessages("+15555555556", [], 1234);
+      assert.deepEqual(response, { needsSync: true });
+      assert.strictEqual(fakeFetch.calls.length, 0);
+      assert.strictEqual(wsr.requests[0].verb, "PUT");
+      assert.strictEqual(wsr.requests[0].path, "/v1/messages/+15555555556");
+      assert.deepEqual(JSON.parse(wsr.requests[0].body.toString()), {
+        messages: [],
+        timestamp: 1234
+      });
+    });
+
+    it("passes on answers that REST would give too", async () => {
+      const fakeFetch = createFakeFetch(() => ({ json: {} }));
+      const { receiver, sender } = connectBoth(fakeFetch);
+      receiver.setMessageSocket(
+        createFakeSocketResource(409, { missingDevices: [2], extraDevices: [] })
+      );
+
+      try {
+        await sender.sendMessages("+15555555556", [], 1234);
+        assert.fail("expected an error");
+      } catch (error) {
+        assert.strictEqual(error.code, 409);
+        assert.deepEqual(error.response.missingDevices, [2]);
+      }
+      assert.strictEqual(fakeFetch.calls.length, 0);
+    });
+
+    it("falls back to REST when the socket is closed before sending", async () => {
+      const fakeFetch = createFakeFetch(() => ({ json: {} }));
+      const { receiver, sender } = connectBoth(fakeFetch);
+      const wsr = createFakeSocketResource(200);
+      receiver.setMessageSocket(wsr);
+
+      wsr.closed = true;
+      await sender.sendMessages("+15555555556", [], 1234);
+      assert.strictEqual(wsr.requests.length, 0);
+      assert.strictEqual(fakeFetch.calls.length, 1);
+
+      wsr.closed = false;
+      wsr.request = () => {
+        const error = new Error("websocket closed");
+        error.unsent = true;
+        return Promise.reject(error);
+      };
+      await sender.sendMessages("+15555555556", [], 1234);
+      assert.strictEqual(fakeFetch.calls.length, 2);
+
+      receiver.clearMessageSocket(wsr);
+      await sender.sendMessages("+15555555556", [], 1234);
+      assert.strictEqual(fakeFetch.calls.length, 3);
+    });
+
+    it("handles rate limits like REST does", async () => {
+      const fakeFetch = createFakeFetch(() => ({ json: {} }));
+      const { receiver, sender } = connectBoth(fakeFetch);
+      const responses = [
+        createFakeSocketResource(429, null, ["Retry-After:0.05"]),
+        createFakeSocketResource(200, { needsSync: false })
+      ];
+      const requests = [];
+      receiver.setMessageSocket({
+        closed: false,
+        request(options) {
+          requests.push(options);
+          return responses[requests.length - 1].request(options);
+        }
+      });
+
+      const start = Date.now();
+      assert.deepEqual(await sender.sendMessages("+15555555556", [], 1234), {
+        needsSync: false
+      });
+      assert.isAtLeast(Date.now() - start, 45);
+      assert.lengthOf(requests, 2);
+
+      receiver.setMessageSocket(
+        createFakeSocketResource(413, null, ["retry-after: 3600"])
+      );
+      try {
+        await sender.sendMessages("+15555555556", [], 1234);
+        assert.fail("expected an error");
+      } catch (error) {
+        assert.instanceOf(error, RateLimitError);
+        assert.strictEqual(error.endpoint, "messages");
+        assert.strictEqual(error.retryAfter, 3600000);
+      }
+      assert.strictEqual(fakeFetch.calls.length, 0);
+    });
+
+    it("leaves resending to the caller once the request went out", async () => {
+      const fakeFetch = createFakeFetch(() => ({ json: {} }));
+      const { receiver, sender } = connectBoth(fakeFetch);
+      const wsr = createFakeSocketResource(200);
+      wsr.request = () => Promise.reject(new Error("Request timed out"));
+      receiver.setMessageSocket(wsr);
+
+      try {
+        await sender.sendMessages("+15555555556", [], 1234);
+        assert.fail("expected an error");
+      } catch (error) {
+        assert.strictEqual(error.name, "HTTPError");
+        assert.strictEqual(error.code, -1);
+      }
+
+      receiver.setMessageSocket(createFakeSocketResource(500));
+      try {
+        await sender.sendMessages("+15555555556", [], 1234);
+        assert.fail("expected an error");
+      } catch (error) {
+        assert.strictEqual(error.code, 500);
+      }
+      assert.strictEqual(fakeFetch.calls.length, 0);
+    });
+  });
+});
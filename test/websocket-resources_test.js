@@ -94,6 +94,124 @@ describe("WebSocket-Resource", () => {
     });
   });
 
+  describe("promise requests", () => {
+    function createSocket() {
+      const listeners = {};
+      const socket = {
+        sent: [],
+        send(data) {
+          socket.sent.push(WebSocketMessage.decode(data));
+        },
+        close() {},
+        addEventListener(type, listener) {
+          listeners[type] = listener;
+        },
+        emit(type) {
+          listeners[type]();
+        },
+        respond(id, status, message, body, headers) {
+          const response = WebSocketMessage.create({
+            type: WebSocketMessage.Type.RESPONSE,
+            response: { id, status, message, body, headers }
+          });
+          socket.onmessage({
+            data: new Uint8Array(WebSocketMessage.encode(response).finish())
+              .buffer
+          });
+        }
+      };
+      return socket;
+    }
+
+    it("resolves with the status, message, body and headers", async () => {
+      const socket = createSocket();
+      const resource = new WebSocketResource(socket);
+      const promise = resource.request({
+        verb: "PUT",
+        path: "/v1/messages/+15555555555",
+        body: new Uint8Array([1, 2, 3]).buffer,
+        headers: ["Content-Type:application/json"]
+      });
+      const { request } = socket.sent[0];
+      assert.deepEqual(request.headers, ["Content-Type:application/json"]);
+
+      socket.respond(request.id, 429, "Too Many", new Uint8Array([4, 5]), [
+        "Retry-After:60"
+      ]);
+      const response = await promise;
+      assert.strictEqual(response.status, 429);
+      assert.strictEqual(response.message, "Too Many");
+      assert.deepEqual(response.headers, ["Retry-After:60"]);
+      assertEqualArrayBuffers(response.body, new Uint8Array([4, 5]).buffer);
+      assert.deepEqual(resource.outgoing, {});
+    });
+
+    it("times out", async () => {
+      const resource = new WebSocketResource(createSocket());
+      try {
+        await resource.request({ verb: "GET", path: "/", timeout: 1 });
+        assert.fail("expected a timeout");
+      } catch (error) {
+        assert.match(error.message, /timed out/);
+      }
+      assert.deepEqual(resource.outgoing, {});
+    });
+
+    it("rejects pending requests when the socket closes", async () => {
+      const socket = createSocket();
+      const resource = new WebSocketResource(socket);
+      const promise = resource.request({ verb: "GET", path: "/" });
+      socket.emit("close");
+      try {
+        await promise;
+        assert.fail("expected an error");
+      } catch (error) {
+        assert.strictEqual(error.message, "websocket closed");
+        assert.isUndefined(error.unsent);
+      }
+    });
+
+    it("marks requests that couldn't be written as unsent", async () => {
+      const socket = createSocket();
+      const resource = new WebSocketResource(socket);
+      socket.send = () => {
+        throw new Error("Cannot send while not connected");
+      };
+      try {
+        await resource.request({ verb: "GET", path: "/" });
+        assert.fail("expected an error");
+      } catch (error) {
+        assert.isTrue(error.unsent);
+      }
+
+      socket.emit("close");
+      try {
+        await resource.request({ verb: "GET", path: "/" });
+        assert.fail("expected an error");
+      } catch (error) {
+        assert.strictEqual(error.message, "websocket closed");
+        assert.isTrue(error.unsent);
+      }
+      assert.deepEqual(resource.outgoing, {});
+    });
+
+    it("keeps requests apart per socket and ignores unknown responses", async () => {
+      const first = createSocket();
+      const second = createSocket();
+      const firstResource = new WebSocketResource(first);
+      const secondResource = new WebSocketResource(second);
+      const promise = firstResource.request({ verb: "GET", path: "/" });
+      const { id } = first.sent[0].request;
+
+      second.respond(id, 200, "OK");
+      assert.lengthOf(Object.keys(firstResource.outgoing), 1);
+      assert.deepEqual(secondResource.outgoing, {});
+
+      first.respond(id, 200, "OK");
+      assert.strictEqual((await promise).status, 200);
+    });
+  });
+
   describe.skip("close", () => {
     it("closes the connection", done => {
       const mockServer = new MockServer("ws://localhost:8081");